@@ -18,12 +18,53 @@ module.exports = {
       quorumPercentage: 1500,              // 15% in basis points
       approvalThreshold: 5000,             // 50% in basis points
       timelockDelay: 12 * 60 * 60          // 12 hours
+    },
+    Optimistic: {
+      votingPeriod: 3 * 24 * 60 * 60,      // 3 days
+      quorumPercentage: 1500,              // Not used, passes unless vetoed
+      approvalThreshold: 5000,             // Not used, passes unless vetoed
+      timelockDelay: 12 * 60 * 60          // 12 hours
     }
   },
   
+  vetoThreshold: 1000,                    // Optimistic proposals fail if Against exceeds 10% of voting power
+  
   minStakeToPropose: "0.1",               // in ETH
+  maxOpenProposals: 5,                    // Pending, Active or Queued proposals per member
+  
+  // Refundable bond per proposal type, in ETH (none by default; set through setProposalBond)
+  proposalBonds: {
+    HighConviction: "0",
+    Experimental: "0",
+    Operational: "0",
+    Optimistic: "0"
+  },
   votingPowerCoefficient: 100,
   
+  // Voting power is multiplied by (1 + age bonus + lock bonus), bonuses in basis points
+  votingPowerBoost: {
+    maxAgeBonus: 10000,                   // Up to 2x once stake is a year old
+    ageBonusPeriod: 365 * 24 * 60 * 60,
+    maxLockBonus: 5000,                   // Up to +50% while a year or more is locked
+    maxLockDuration: 365 * 24 * 60 * 60
+  },
+  
+  unbondingPeriod: 7 * 24 * 60 * 60,      // 7 days between withdrawStake and claimWithdrawal
+  gracePeriod: 14 * 24 * 60 * 60,         // 14 days a queued proposal stays executable after its timelock
+  spendingCapPeriod: 30 * 24 * 60 * 60,   // Trailing window of each category's outflow budget (uncapped by default)
+  maxPauseDuration: 7 * 24 * 60 * 60,     // A pause lifts itself after 7 days unless the council renews it
+  emergencyWithdrawalWindow: 30 * 24 * 60 * 60, // Members can emergencyWithdraw once paused for 30 days in a row
+  
+  convictionVoting: {
+    halfLife: 3 * 24 * 60 * 60,           // Conviction closes half the gap to current support every 3 days
+    thresholdMultiplier: 20000            // Requesting 10% of the Experimental fund needs 20% of voting power
+  },
+  
+  guardianCouncil: {
+    threshold: 2,                         // Approvals required to cancel, pause, unpause or halt tranches
+    termLength: 180 * 24 * 60 * 60        // 180 days, renewable through a proposal
+  },
+  
   treasuryCategories: {
     HighConviction: 0,
     Experimental: 1,
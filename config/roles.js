@@ -24,10 +24,18 @@ module.exports = {
     EXECUTOR: [
       "executeProposal"
     ],
+    // Held by modules such as ConvictionVoting, granted only by holders of GOVERNANCE_ROLE,
+    // i.e. through a proposal once the deployer renounced; checked by the TreasuryVault
+    FUNDING_MODULE: [
+      "fundingModulePayout"
+    ],
+    // Held by the GuardianCouncil contract, whose guardians approve each call M-of-N;
+    // haltTranches is called on the TreasuryVault
     GUARDIAN: [
       "cancelProposal",
       "pause",
-      "unpause"
+      "unpause",
+      "haltTranches"
     ]
   }
 };
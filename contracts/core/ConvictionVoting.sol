@@ -0,0 +1,474 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./CryptoVenturesDAO.sol";
+
+/**
+ * @title ConvictionVoting
+ * @dev Continuous funding from CryptoVenturesDAO's Experimental fund.
+ * Members stake their voting power as support on proposals and can move it at any time.
+ * A proposal's conviction moves towards its current support, closing half the gap every
+ * halfLife, and the proposal passes once conviction reaches a threshold proportional to
+ * the share of the Experimental fund it requests. Conviction built by a supporter whose
+ * voting power no longer covers their support does not count. Payouts go through the
+ * treasury vault's fundingModulePayout, so this contract needs the DAO's FUNDING_MODULE_ROLE.
+ */
+contract ConvictionVoting is ReentrancyGuard {
+    // ============ Enums ============
+    enum ProposalStatus { Open, Executed, Cancelled }
+    
+    // ============ Structs ============
+    struct ConvictionProposal {
+        uint256 id;
+        address proposer;
+        address recipient;
+        uint256 amount;
+        string description;
+        uint256 totalSupport;      // Voting power currently staked on the proposal
+        uint256 conviction;        // Conviction as of lastUpdated
+        uint256 lastUpdated;
+        ProposalStatus status;
+    }
+    
+    struct SupporterConviction {
+        uint256 conviction;        // The supporter's part of the proposal's conviction as of lastUpdated
+        uint256 lastUpdated;
+    }
+    
+    // ============ State Variables ============
+    CryptoVenturesDAO public immutable dao;
+    
+    mapping(uint256 => ConvictionProposal) public proposals;
+    uint256 public proposalCount;
+    
+    // Support each member stakes on each proposal, and their total across proposals
+    mapping(address => mapping(uint256 => uint256)) public supportOf;
+    mapping(address => uint256) public totalSupportOf;
+    mapping(address => uint256[]) private _supportedProposals;
+    uint256 public constant MAX_SUPPORTED_PROPOSALS = 10;
+    
+    // Members supporting each proposal, and each supporter's part of its conviction.
+    // getConviction checks every supporter's voting power, so their number is capped;
+    // once full, a new supporter has to outbid the smallest one, who is dropped.
+    mapping(uint256 => address[]) private _supporters;
+    mapping(uint256 => mapping(address => uint256)) private _supporterPositions; // 1-based index into _supporters
+    mapping(address => mapping(uint256 => SupporterConviction)) private _supporterConvictions;
+    uint256 public constant MAX_SUPPORTERS = 50;
+    
+    // Time for conviction to close half the gap to the current support
+    uint256 public halfLife;
+    
+    // Conviction needed, as a share of total voting power, per unit of requested share (basis points)
+    uint256 public thresholdMultiplier;
+    
+    // ln(2) scaled by 1e18
+    uint256 private constant LN2 = 693147180559945309;
+    
+    // ============ Events ============
+    event ConvictionProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address recipient,
+        uint256 amount,
+        string description
+    );
+    event SupportChanged(address indexed member, uint256 indexed proposalId, uint256 support, uint256 totalSupport);
+    event ConvictionProposalExecuted(uint256 indexed proposalId, address recipient, uint256 amount, uint256 conviction);
+    event ConvictionProposalCancelled(uint256 indexed proposalId, address indexed canceller);
+    event SupportReconciled(address indexed member, uint256 availableVotingPower);
+    event HalfLifeUpdated(uint256 halfLife);
+    event ThresholdMultiplierUpdated(uint256 thresholdMultiplier);
+    
+    // ============ Modifiers ============
+    
+    /**
+     * @dev Restrict to calls made by the DAO's timelock while executing a passed proposal
+     */
+    modifier onlyDAO() {
+        require(msg.sender == address(dao.timelock()), "Only callable through a proposal");
+        _;
+    }
+    
+    /**
+     * @dev Follow the DAO's emergency pause
+     */
+    modifier whenDAONotPaused() {
+        require(!dao.paused(), "DAO paused");
+        _;
+    }
+    
+    // ============ Constructor ============
+    constructor(CryptoVenturesDAO _dao, uint256 _halfLife, uint256 _thresholdMultiplier) {
+        require(address(_dao) != address(0), "Invalid DAO");
+        dao = _dao;
+        
+        _setHalfLife(_halfLife);
+        _setThresholdMultiplier(_thresholdMultiplier);
+    }
+    
+    // ============ Proposal Functions ============
+    
+    /**
+     * @dev Request ETH from the Experimental fund
+     */
+    function createProposal(
+        address recipient,
+        uint256 amount,
+        string memory description
+    ) external whenDAONotPaused returns (uint256) {
+        (uint256 stake, , , , , , ) = dao.stakingModule().members(msg.sender);
+        require(stake >= dao.MINIMUM_STAKE_TO_PROPOSE(), "Insufficient stake to propose");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+        require(bytes(description).length > 0, "Description required");
+        
+        proposalCount++;
+        ConvictionProposal storage proposal = proposals[proposalCount];
+        proposal.id = proposalCount;
+        proposal.proposer = msg.sender;
+        proposal.recipient = recipient;
+        proposal.amount = amount;
+        proposal.description = description;
+        proposal.lastUpdated = block.timestamp;
+        
+        emit ConvictionProposalCreated(proposalCount, msg.sender, recipient, amount, description);
+        
+        return proposalCount;
+    }
+    
+    /**
+     * @dev Pay out a proposal whose conviction has reached its threshold
+     */
+    function executeProposal(uint256 proposalId) external nonReentrant whenDAONotPaused {
+        ConvictionProposal storage proposal = proposals[proposalId];
+        require(proposal.id != 0, "Proposal does not exist");
+        require(proposal.status == ProposalStatus.Open, "Proposal not open");
+        
+        _updateConviction(proposal);
+        proposal.conviction = getConviction(proposalId);
+        require(proposal.conviction >= getThreshold(proposalId), "Conviction below threshold");
+        
+        proposal.status = ProposalStatus.Executed;
+        dao.treasuryVault().fundingModulePayout(
+            CryptoVenturesDAO.TreasuryCategory.ExperimentalFund,
+            proposal.recipient,
+            proposal.amount
+        );
+        
+        emit ConvictionProposalExecuted(proposalId, proposal.recipient, proposal.amount, proposal.conviction);
+    }
+    
+    /**
+     * @dev Withdraw an open proposal, by its proposer or through a DAO proposal
+     */
+    function cancelProposal(uint256 proposalId) external {
+        ConvictionProposal storage proposal = proposals[proposalId];
+        require(proposal.id != 0, "Proposal does not exist");
+        require(proposal.status == ProposalStatus.Open, "Proposal not open");
+        require(msg.sender == proposal.proposer || msg.sender == address(dao.timelock()), "Not authorized to cancel");
+        
+        _updateConviction(proposal);
+        proposal.status = ProposalStatus.Cancelled;
+        
+        emit ConvictionProposalCancelled(proposalId, msg.sender);
+    }
+    
+    // ============ Support Functions ============
+    
+    /**
+     * @dev Set the caller's support on a proposal. Support can be raised on open proposals
+     * only and lowered at any time, e.g. to free it from an executed proposal.
+     */
+    function setSupport(uint256 proposalId, uint256 support) external whenDAONotPaused {
+        _setSupport(msg.sender, proposalId, support);
+        require(totalSupportOf[msg.sender] <= availableVotingPower(msg.sender), "Insufficient voting power");
+    }
+    
+    /**
+     * @dev Move part of the caller's support from one proposal to another
+     */
+    function moveSupport(uint256 fromProposalId, uint256 toProposalId, uint256 amount) external whenDAONotPaused {
+        require(supportOf[msg.sender][fromProposalId] >= amount, "Insufficient support");
+        
+        _setSupport(msg.sender, fromProposalId, supportOf[msg.sender][fromProposalId] - amount);
+        _setSupport(msg.sender, toProposalId, supportOf[msg.sender][toProposalId] + amount);
+        require(totalSupportOf[msg.sender] <= availableVotingPower(msg.sender), "Insufficient voting power");
+    }
+    
+    /**
+     * @dev Clear all support of a member whose voting power dropped below it, e.g. after
+     * withdrawing stake or delegating, along with the conviction it built. Callable by anyone.
+     */
+    function reconcile(address member) external {
+        uint256 available = availableVotingPower(member);
+        require(totalSupportOf[member] > available, "Support within voting power");
+        
+        uint256[] memory supported = _supportedProposals[member];
+        for (uint256 i = 0; i < supported.length; i++) {
+            _setSupport(member, supported[i], 0);
+        }
+        
+        emit SupportReconciled(member, available);
+    }
+    
+    // ============ Governance Functions ============
+    
+    /**
+     * @dev Update the conviction half-life (called through a proposal)
+     */
+    function setHalfLife(uint256 newHalfLife) external onlyDAO {
+        _setHalfLife(newHalfLife);
+    }
+    
+    /**
+     * @dev Update the threshold multiplier (called through a proposal)
+     */
+    function setThresholdMultiplier(uint256 newThresholdMultiplier) external onlyDAO {
+        _setThresholdMultiplier(newThresholdMultiplier);
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @dev Voting power a member can stake as support, measured one second ago so that
+     * stake joined in the current block does not count
+     */
+    function availableVotingPower(address member) public view returns (uint256) {
+        return dao.stakingModule().getPastVotes(member, block.timestamp - 1);
+    }
+    
+    /**
+     * @dev Conviction of a proposal as of now, leaving out the part built by supporters
+     * whose voting power no longer covers their support. Looks up at most MAX_SUPPORTERS
+     * supporters' voting power.
+     */
+    function getConviction(uint256 proposalId) public view returns (uint256) {
+        ConvictionProposal storage proposal = proposals[proposalId];
+        if (proposal.status != ProposalStatus.Open) {
+            return proposal.conviction;
+        }
+        
+        uint256 conviction = _project(proposal.conviction, proposal.totalSupport, proposal.lastUpdated);
+        address[] storage supporters = _supporters[proposalId];
+        for (uint256 i = 0; i < supporters.length; i++) {
+            if (!_isBacked(supporters[i])) {
+                conviction -= _min(conviction, _projectSupporterConviction(supporters[i], proposalId));
+            }
+        }
+        return conviction;
+    }
+    
+    /**
+     * @dev Conviction a proposal needs to pass: total voting power times the requested
+     * share of the Experimental fund times thresholdMultiplier. Unreachable when the
+     * request exceeds the fund.
+     */
+    function getThreshold(uint256 proposalId) public view returns (uint256) {
+        uint256 balance = dao.treasuryVault().treasuryBalances(CryptoVenturesDAO.TreasuryCategory.ExperimentalFund);
+        uint256 amount = proposals[proposalId].amount;
+        if (amount > balance) {
+            return type(uint256).max;
+        }
+        
+        uint256 totalVotingPower = dao.stakingModule().getPastTotalVotingPower(block.timestamp - 1);
+        return (totalVotingPower * amount * thresholdMultiplier) / (balance * 10000);
+    }
+    
+    /**
+     * @dev Whether a proposal could be executed now
+     */
+    function canExecute(uint256 proposalId) external view returns (bool) {
+        return proposals[proposalId].status == ProposalStatus.Open &&
+            proposals[proposalId].id != 0 &&
+            getConviction(proposalId) >= getThreshold(proposalId);
+    }
+    
+    /**
+     * @dev Proposals a member currently supports
+     */
+    function getSupportedProposals(address member) external view returns (uint256[] memory) {
+        return _supportedProposals[member];
+    }
+    
+    /**
+     * @dev Members currently supporting a proposal
+     */
+    function getSupporters(uint256 proposalId) external view returns (address[] memory) {
+        return _supporters[proposalId];
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Set a member's support on a proposal, settling conviction first. A member whose
+     * voting power no longer covers their support loses the conviction they built on it.
+     * A new supporter of a proposal with MAX_SUPPORTERS supporters replaces the one with
+     * the least support, and must stake more than them.
+     */
+    function _setSupport(address member, uint256 proposalId, uint256 support) internal {
+        ConvictionProposal storage proposal = proposals[proposalId];
+        require(proposal.id != 0, "Proposal does not exist");
+        
+        uint256 previous = supportOf[member][proposalId];
+        require(support != previous, "Support unchanged");
+        require(support < previous || proposal.status == ProposalStatus.Open, "Proposal not open");
+        
+        if (previous == 0 && _supporters[proposalId].length >= MAX_SUPPORTERS) {
+            address smallest = _smallestSupporter(proposalId);
+            require(support > supportOf[smallest][proposalId], "Too many supporters");
+            _setSupport(smallest, proposalId, 0);
+        }
+        
+        if (proposal.status == ProposalStatus.Open) {
+            _updateConviction(proposal);
+            
+            SupporterConviction storage supporterConviction = _supporterConvictions[member][proposalId];
+            supporterConviction.conviction = _projectSupporterConviction(member, proposalId);
+            supporterConviction.lastUpdated = block.timestamp;
+            if (!_isBacked(member)) {
+                proposal.conviction -= _min(proposal.conviction, supporterConviction.conviction);
+                supporterConviction.conviction = 0;
+            }
+        }
+        
+        proposal.totalSupport = proposal.totalSupport - previous + support;
+        totalSupportOf[member] = totalSupportOf[member] - previous + support;
+        supportOf[member][proposalId] = support;
+        
+        if (previous == 0) {
+            require(_supportedProposals[member].length < MAX_SUPPORTED_PROPOSALS, "Too many supported proposals");
+            _supportedProposals[member].push(proposalId);
+            _supporters[proposalId].push(member);
+            _supporterPositions[proposalId][member] = _supporters[proposalId].length;
+        } else if (support == 0) {
+            _removeSupportedProposal(member, proposalId);
+            _removeSupporter(proposalId, member);
+        }
+        
+        emit SupportChanged(member, proposalId, support, proposal.totalSupport);
+    }
+    
+    /**
+     * @dev Bring a proposal's stored conviction up to now
+     */
+    function _updateConviction(ConvictionProposal storage proposal) internal {
+        proposal.conviction = _project(proposal.conviction, proposal.totalSupport, proposal.lastUpdated);
+        proposal.lastUpdated = block.timestamp;
+    }
+    
+    /**
+     * @dev A supporter's part of a proposal's conviction as of now. Conviction is linear in
+     * support, so these parts add up to the proposal's conviction.
+     */
+    function _projectSupporterConviction(address member, uint256 proposalId) internal view returns (uint256) {
+        SupporterConviction storage supporterConviction = _supporterConvictions[member][proposalId];
+        return _project(
+            supporterConviction.conviction,
+            supportOf[member][proposalId],
+            supporterConviction.lastUpdated
+        );
+    }
+    
+    /**
+     * @dev Decay conviction towards a support level over the time since lastUpdated
+     */
+    function _project(uint256 conviction, uint256 support, uint256 lastUpdated) internal view returns (uint256) {
+        uint256 decay = _decay(block.timestamp - lastUpdated);
+        return (conviction * decay + support * (1e18 - decay)) / 1e18;
+    }
+    
+    /**
+     * @dev Whether a member's voting power still covers all the support they have staked
+     */
+    function _isBacked(address member) internal view returns (bool) {
+        return totalSupportOf[member] <= availableVotingPower(member);
+    }
+    
+    /**
+     * @dev 2^(-elapsed / halfLife) scaled by 1e18, whole half-lives by shifting and the
+     * remainder as exp(-x * ln 2) from its Taylor series
+     */
+    function _decay(uint256 elapsed) internal view returns (uint256) {
+        uint256 halvings = elapsed / halfLife;
+        if (halvings >= 60) {
+            return 0;
+        }
+        
+        uint256 x = ((elapsed % halfLife) * LN2) / halfLife;
+        uint256 term = 1e18;
+        uint256 result = 1e18;
+        for (uint256 i = 1; i <= 8; i++) {
+            term = (term * x) / (i * 1e18);
+            result = i % 2 == 1 ? result - term : result + term;
+        }
+        
+        return result >> halvings;
+    }
+    
+    /**
+     * @dev Supporter of a proposal with the least support
+     */
+    function _smallestSupporter(uint256 proposalId) internal view returns (address smallest) {
+        address[] storage supporters = _supporters[proposalId];
+        smallest = supporters[0];
+        for (uint256 i = 1; i < supporters.length; i++) {
+            if (supportOf[supporters[i]][proposalId] < supportOf[smallest][proposalId]) {
+                smallest = supporters[i];
+            }
+        }
+    }
+    
+    /**
+     * @dev Drop a proposal from a member's supported list
+     */
+    function _removeSupportedProposal(address member, uint256 proposalId) internal {
+        uint256[] storage supported = _supportedProposals[member];
+        for (uint256 i = 0; i < supported.length; i++) {
+            if (supported[i] == proposalId) {
+                supported[i] = supported[supported.length - 1];
+                supported.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @dev Drop a member from a proposal's supporters
+     */
+    function _removeSupporter(uint256 proposalId, address member) internal {
+        address[] storage supporters = _supporters[proposalId];
+        uint256 position = _supporterPositions[proposalId][member];
+        
+        address last = supporters[supporters.length - 1];
+        supporters[position - 1] = last;
+        _supporterPositions[proposalId][last] = position;
+        supporters.pop();
+        delete _supporterPositions[proposalId][member];
+    }
+    
+    /**
+     * @dev Smaller of two values
+     */
+    function _min(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a < b ? a : b;
+    }
+    
+    /**
+     * @dev Store the half-life
+     */
+    function _setHalfLife(uint256 newHalfLife) internal {
+        require(newHalfLife > 0, "Half-life must be greater than 0");
+        halfLife = newHalfLife;
+        emit HalfLifeUpdated(newHalfLife);
+    }
+    
+    /**
+     * @dev Store the threshold multiplier
+     */
+    function _setThresholdMultiplier(uint256 newThresholdMultiplier) internal {
+        require(newThresholdMultiplier > 0, "Multiplier must be greater than 0");
+        thresholdMultiplier = newThresholdMultiplier;
+        emit ThresholdMultiplierUpdated(newThresholdMultiplier);
+    }
+}
@@ -1,34 +1,45 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "../libraries/Math.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../libraries/ProposalLogic.sol";
+import "../interfaces/IGovernance.sol";
+import "./DAOTimelock.sol";
+import "./StakingModule.sol";
+import "./TreasuryVault.sol";
 
 /**
  * @title CryptoVenturesDAO
- * @dev Comprehensive governance system for decentralized investment fund
- * Features: Staking, Weighted Voting, Delegation, Timelock, Multi-Tier Treasury
+ * @dev Governor of a decentralized investment fund: proposals, their types and
+ * configurations, vote tallies, bonds, roles and the emergency pause.
+ * Deployed as a UUPS implementation behind an ERC1967Proxy; only a passed proposal can upgrade it.
+ * Works with three contracts of its own: the StakingModule holds member stake and casts
+ * votes, the DAOTimelock queues and performs passed proposals' calls, and the
+ * TreasuryVault holds the treasury and pays out to executing proposals.
  */
-contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
-    
+contract CryptoVenturesDAO is
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    UUPSUpgradeable,
+    IGovernable
+{
     // ============ Roles ============
     bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
     bytes32 public constant EXECUTOR_ROLE = keccak256("EXECUTOR_ROLE");
     bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant FUNDING_MODULE_ROLE = keccak256("FUNDING_MODULE_ROLE");
+    // Admin of the guardian and funding module roles, held by the timelock and the deployer until it renounces
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
     
     // ============ Enums ============
-    enum ProposalState { Pending, Active, Defeated, Queued, Executed, Cancelled }
+    enum ProposalState { Pending, Active, Defeated, Queued, Executed, Cancelled, Expired }
     
     enum VoteType { Against, For, Abstain }
     
-    enum ProposalType { 
-        HighConviction,    // Large investments, highest requirements
-        Experimental,      // Risky investments, moderate requirements
-        Operational        // Day-to-day expenses, lowest requirements
-    }
-    
     enum TreasuryCategory {
         HighConvictionFund,
         ExperimentalFund,
@@ -39,10 +50,10 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
     struct Proposal {
         uint256 id;
         address proposer;
-        address recipient;
-        uint256 amount;
+        address recipient;         // Target of the first action
+        uint256 amount;            // Total ETH debited from the treasury on execution
         string description;
-        ProposalType proposalType;
+        uint8 proposalType;        // Index into proposalTypes
         TreasuryCategory category;
         uint256 startTime;
         uint256 endTime;
@@ -52,10 +63,22 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
         ProposalState state;
         uint256 queuedTime;
         uint256 executedTime;
+        uint256 bond;              // ETH bond held until the proposal reaches quorum or is cancelled
         mapping(address => bool) hasVoted;
         mapping(address => VoteType) votes;
     }
     
+    struct ProposalAction {
+        address target;
+        uint256 value;
+        bytes data;
+    }
+    
+    struct TokenPayout {
+        address token;
+        uint256 amount;
+    }
+    
     struct ProposalConfig {
         uint256 votingPeriod;      // Duration of voting in seconds
         uint256 quorumPercentage;  // Required quorum (basis points: 100 = 1%)
@@ -63,265 +86,287 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
         uint256 timelockDelay;     // Delay before execution in seconds
     }
     
-    struct Member {
-        uint256 stake;
-        uint256 votingPower;
-        address delegateTo;
-        uint256 delegatedPower;
+    struct ProposalTypeInfo {
+        string name;
+        TreasuryCategory category; // Treasury category proposals of the type pay out of
+        uint256 minProposerStake;
+        bool deprecated;           // Takes no new proposals, existing ones run their course
     }
     
     // ============ State Variables ============
     
-    // Member management
-    mapping(address => Member) public members;
-    uint256 public totalStaked;
-    uint256 public totalVotingPower;
-    address[] public memberList;
+    // The proxy's storage follows this layout: new variables go after the existing
+    // ones, which are never removed or reordered
     
     // Proposal management
     mapping(uint256 => Proposal) public proposals;
     uint256 public proposalCount;
-    uint256 public constant MINIMUM_STAKE_TO_PROPOSE = 0.1 ether;
+    uint256 public constant MINIMUM_STAKE_TO_PROPOSE = ProposalLogic.MIN_PROPOSER_STAKE;
+    
+    // Refundable ETH bond required to create a proposal of each type
+    mapping(uint8 => uint256) public proposalBonds;
+    
+    // Returned bonds waiting to be claimed by their proposers
+    mapping(address => uint256) public claimableBonds;
+    
+    // Proposals a member can have Pending, Active or Queued at the same time
+    uint256 public maxOpenProposals;
+    mapping(address => uint256[]) private _openProposals;
+    
+    // Window after the timelock in which a queued proposal can still be executed
+    uint256 public gracePeriod;
+    
+    // Timestamp at which voting power is measured for each proposal
+    mapping(uint256 => uint256) public proposalSnapshots;
+    
+    // Calls performed when each proposal executes
+    mapping(uint256 => ProposalAction[]) private _proposalActions;
+    
+    // ERC-20 amount paid to the proposal recipient on execution
+    mapping(uint256 => TokenPayout) public proposalTokenPayouts;
     
     // Proposal configurations by type
-    mapping(ProposalType => ProposalConfig) public proposalConfigs;
+    mapping(uint8 => ProposalConfig) public proposalConfigs;
+    
+    // Holds the treasury, kept apart from member stake
+    TreasuryVault public treasuryVault;
     
-    // Treasury management
-    mapping(TreasuryCategory => uint256) public treasuryBalances;
-    mapping(TreasuryCategory => uint256) public treasuryLimits;
+    // Hard bounds on proposal configurations, even for governance
+    uint256 public constant MIN_VOTING_PERIOD = ProposalLogic.MIN_VOTING_PERIOD;
+    uint256 public constant MIN_TIMELOCK_DELAY = ProposalLogic.MIN_TIMELOCK_DELAY;
+    uint256 public constant MIN_QUORUM_PERCENTAGE = ProposalLogic.MIN_QUORUM_PERCENTAGE;
+    uint256 public constant MIN_APPROVAL_THRESHOLD = ProposalLogic.MIN_APPROVAL_THRESHOLD;
     
-    // Voting power calculation parameters
-    uint256 public constant VOTING_POWER_COEFFICIENT = 100; // Used for square root approximation
+    // Share of snapshot voting power voting Against that defeats an Optimistic proposal
+    uint256 public vetoThreshold;
+    uint256 public constant MAX_VETO_THRESHOLD = 2500; // 25%
+    
+    // Set once the deployer has given up its bootstrap admin role
+    bool public deployerAdminRenounced;
+    
+    // A pause lifts itself at pausedUntil unless a guardian renews it
+    uint256 public maxPauseDuration;
+    uint256 public pausedUntil;
+    
+    // Registered proposal types, indexed by proposal type. The four built-in types are
+    // registered on initialization; Optimistic keeps its veto-based voting.
+    ProposalTypeInfo[] public proposalTypes;
+    
+    // Start of the running pause, which the staking module's emergency withdrawals run from
+    uint256 public pausedSince;
+    
+    // Holds member stake and casts votes, tallied here
+    StakingModule public stakingModule;
+    
+    // Queues and performs passed proposals' calls, the only address that can reach
+    // the DAO's, the staking module's and the vault's governance functions
+    DAOTimelock public timelock;
     
     // ============ Events ============
-    event MemberJoined(address indexed member, uint256 stake, uint256 votingPower);
-    event StakeIncreased(address indexed member, uint256 additionalStake, uint256 newVotingPower);
-    event StakeWithdrawn(address indexed member, uint256 amount, uint256 newVotingPower);
+    event GracePeriodUpdated(uint256 gracePeriod);
+    event VetoThresholdUpdated(uint256 vetoThreshold);
+    event ProposalBondUpdated(uint8 indexed proposalType, uint256 bond);
+    event MaxOpenProposalsUpdated(uint256 maxOpenProposals);
+    event ProposalConfigUpdated(
+        uint8 indexed proposalType,
+        uint256 votingPeriod,
+        uint256 quorumPercentage,
+        uint256 approvalThreshold,
+        uint256 timelockDelay
+    );
+    event ProposalTypeRegistered(
+        uint8 indexed proposalType,
+        string name,
+        TreasuryCategory category,
+        uint256 minProposerStake
+    );
+    event ProposalTypeDeprecated(uint8 indexed proposalType);
+    event TreasuryVaultSet(address indexed treasuryVault);
+    event StakingModuleSet(address indexed stakingModule);
+    event TimelockSet(address indexed timelock);
+    event DeployerAdminRenounced(address indexed deployer);
+    event MaxPauseDurationUpdated(uint256 maxPauseDuration);
     
     event ProposalCreated(
         uint256 indexed proposalId,
         address indexed proposer,
         address recipient,
         uint256 amount,
-        ProposalType proposalType,
+        uint8 proposalType,
         string description
     );
     
-    event VoteCast(
-        address indexed voter,
-        uint256 indexed proposalId,
-        VoteType voteType,
-        uint256 votingPower
-    );
-    
-    event VotingPowerDelegated(
-        address indexed delegator,
-        address indexed delegatee,
-        uint256 votingPower
-    );
-    
-    event DelegationRevoked(
-        address indexed delegator,
-        address indexed previousDelegatee,
-        uint256 votingPower
-    );
-    
     event ProposalQueued(uint256 indexed proposalId, uint256 queuedTime, uint256 executionTime);
     event ProposalExecuted(uint256 indexed proposalId, address recipient, uint256 amount);
     event ProposalDefeated(uint256 indexed proposalId);
     event ProposalCancelled(uint256 indexed proposalId, address indexed canceller);
+    event ProposalBondReturned(uint256 indexed proposalId, address indexed proposer, uint256 amount);
+    event ProposalBondForfeited(uint256 indexed proposalId, uint256 amount);
+    event ProposalBondClaimed(address indexed proposer, uint256 amount);
+    event TokenPayoutProposed(
+        uint256 indexed proposalId,
+        address indexed token,
+        address recipient,
+        uint256 amount
+    );
+    event TokenPayoutExecuted(
+        uint256 indexed proposalId,
+        address indexed token,
+        address recipient,
+        uint256 amount
+    );
     
-    event TreasuryDeposit(TreasuryCategory indexed category, uint256 amount);
-    event EmergencyPause(address indexed guardian);
+    event EmergencyPause(address indexed guardian, uint256 pausedUntil);
     event EmergencyUnpause(address indexed guardian);
     
-    // ============ Constructor ============
-    constructor() {
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(GUARDIAN_ROLE, msg.sender);
-        _grantRole(EXECUTOR_ROLE, msg.sender);
-        
-        // Configure High Conviction proposals
-        proposalConfigs[ProposalType.HighConviction] = ProposalConfig({
-            votingPeriod: 7 days,
-            quorumPercentage: 4000,  // 40%
-            approvalThreshold: 6500,  // 65%
-            timelockDelay: 2 days
-        });
-        
-        // Configure Experimental proposals
-        proposalConfigs[ProposalType.Experimental] = ProposalConfig({
-            votingPeriod: 5 days,
-            quorumPercentage: 2500,  // 25%
-            approvalThreshold: 5500,  // 55%
-            timelockDelay: 1 days
-        });
-        
-        // Configure Operational proposals
-        proposalConfigs[ProposalType.Operational] = ProposalConfig({
-            votingPeriod: 3 days,
-            quorumPercentage: 1500,  // 15%
-            approvalThreshold: 5000,  // 50%
-            timelockDelay: 12 hours
-        });
-        
-        // Set treasury limits
-        treasuryLimits[TreasuryCategory.HighConvictionFund] = type(uint256).max;
-        treasuryLimits[TreasuryCategory.ExperimentalFund] = type(uint256).max;
-        treasuryLimits[TreasuryCategory.OperationalFund] = type(uint256).max;
+    // ============ Modifiers ============
+    
+    /**
+     * @dev Restrict to the timelock performing a passed proposal's calls
+     */
+    modifier onlyGovernance() {
+        _checkGovernance();
+        _;
     }
     
-    // ============ Member Functions ============
+    // ============ Constructor ============
     
     /**
-     * @dev Join DAO by depositing ETH stake
-     * Voting power calculated using square root to reduce whale dominance
+     * @dev State lives in the proxy, so the implementation's own storage is never initialized
      */
-    function joinDAO() external payable nonReentrant whenNotPaused {
-        require(msg.value > 0, "Must deposit ETH");
-        
-        Member storage member = members[msg.sender];
-        
-        if (member.stake == 0) {
-            memberList.push(msg.sender);
-            _grantRole(PROPOSER_ROLE, msg.sender);
-        }
-        
-        member.stake += msg.value;
-        totalStaked += msg.value;
-        
-        // Calculate voting power using square root to reduce whale dominance
-        uint256 oldVotingPower = member.votingPower;
-        member.votingPower = Math.sqrt(member.stake * VOTING_POWER_COEFFICIENT);
-        
-        // Update total voting power
-        totalVotingPower = totalVotingPower - oldVotingPower + member.votingPower;
-        
-        // If delegated, update delegate's power
-        if (member.delegateTo != address(0)) {
-            members[member.delegateTo].delegatedPower = 
-                members[member.delegateTo].delegatedPower - oldVotingPower + member.votingPower;
-        }
-        
-        if (oldVotingPower == 0) {
-            emit MemberJoined(msg.sender, msg.value, member.votingPower);
-        } else {
-            emit StakeIncreased(msg.sender, msg.value, member.votingPower);
-        }
+    constructor() {
+        _disableInitializers();
     }
     
     /**
-     * @dev Withdraw stake from DAO
+     * @dev Set up roles and default parameters in the proxy's storage, run once by
+     * the proxy's deployment
      */
-    function withdrawStake(uint256 amount) external nonReentrant whenNotPaused {
-        Member storage member = members[msg.sender];
-        require(member.stake >= amount, "Insufficient stake");
-        require(member.delegateTo == address(0), "Must revoke delegation first");
+    function initialize() external initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
         
-        member.stake -= amount;
-        totalStaked -= amount;
-        
-        uint256 oldVotingPower = member.votingPower;
-        member.votingPower = member.stake > 0 ? Math.sqrt(member.stake * VOTING_POWER_COEFFICIENT) : 0;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        _grantRole(EXECUTOR_ROLE, msg.sender);
         
-        totalVotingPower = totalVotingPower - oldVotingPower + member.votingPower;
+        // Guardians and funding modules can move or freeze funds, so other admins cannot grant them.
+        // The timelock gets both admin roles once it is set.
+        _grantRole(GOVERNANCE_ROLE, msg.sender);
+        _setRoleAdmin(GOVERNANCE_ROLE, GOVERNANCE_ROLE);
+        _setRoleAdmin(GUARDIAN_ROLE, GOVERNANCE_ROLE);
+        _setRoleAdmin(FUNDING_MODULE_ROLE, GOVERNANCE_ROLE);
         
-        payable(msg.sender).transfer(amount);
+        ProposalLogic.configureDefaults(proposalTypes, proposalConfigs);
         
-        emit StakeWithdrawn(msg.sender, amount, member.votingPower);
+        gracePeriod = GovernanceConstants.DEFAULT_GRACE_PERIOD;
+        vetoThreshold = GovernanceConstants.OPTIMISTIC_VETO_THRESHOLD;
+        maxPauseDuration = GovernanceConstants.DEFAULT_MAX_PAUSE_DURATION;
+        maxOpenProposals = 5;
     }
     
+    // ============ Proposal Functions ============
+    
     /**
-     * @dev Get current voting power of a member
+     * @dev Create a new proposal paying ETH to a single recipient
      */
-    function getVotingPower(address account) public view returns (uint256) {
-        return members[account].votingPower;
+    function createProposal(
+        address recipient,
+        uint256 amount,
+        string memory description,
+        uint8 proposalType,
+        TreasuryCategory category
+    ) external payable onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256) {
+        _addPayment(recipient, amount);
+        
+        return _createProposal(recipient, amount, description, proposalType, category);
     }
     
     /**
-     * @dev Get effective voting power (own + delegated)
+     * @dev Create a new proposal paying ETH to several recipients out of one treasury
+     * category. It is voted on once and pays everyone on execution, which requires the
+     * category to hold the total.
      */
-    function getEffectiveVotingPower(address account) public view returns (uint256) {
-        Member storage member = members[account];
-        return member.votingPower + member.delegatedPower;
+    function createBatchProposal(
+        address[] memory recipients,
+        uint256[] memory amounts,
+        string memory description,
+        uint8 proposalType,
+        TreasuryCategory category
+    ) external payable onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256) {
+        // Stored under the id _createProposal is about to assign
+        uint256 totalAmount = ProposalLogic.addPayments(_proposalActions[proposalCount + 1], recipients, amounts);
+        
+        return _createProposal(recipients[0], totalAmount, description, proposalType, category);
     }
     
-    // ============ Delegation Functions ============
-    
     /**
-     * @dev Delegate voting power to another member
+     * @dev Create a new proposal executing a batch of arbitrary calls
+     * The summed ETH value of all calls is debited from the treasury category. Upgrades,
+     * role changes, proposal type registry changes, the veto threshold and HighConviction
+     * reconfiguration take a HighConviction proposal.
      */
-    function delegateVotingPower(address delegatee) external whenNotPaused {
-        require(delegatee != address(0), "Cannot delegate to zero address");
-        require(delegatee != msg.sender, "Cannot delegate to self");
-        require(members[msg.sender].stake > 0, "Must have stake to delegate");
-        require(members[msg.sender].delegateTo == address(0), "Already delegated, revoke first");
-        
-        Member storage delegator = members[msg.sender];
-        Member storage delegate = members[delegatee];
-        
-        delegator.delegateTo = delegatee;
-        delegate.delegatedPower += delegator.votingPower;
+    function propose(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description,
+        uint8 proposalType,
+        TreasuryCategory category
+    ) external payable onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256) {
+        // Stored under the id _createProposal is about to assign
+        uint256 totalValue = ProposalLogic.addActions(
+            _proposalActions[proposalCount + 1],
+            address(treasuryVault),
+            address(stakingModule),
+            address(timelock),
+            proposalType,
+            targets,
+            values,
+            calldatas
+        );
         
-        emit VotingPowerDelegated(msg.sender, delegatee, delegator.votingPower);
+        return _createProposal(targets[0], totalValue, description, proposalType, category);
     }
     
     /**
-     * @dev Revoke delegation
+     * @dev Create a new proposal paying an ERC-20 amount from a treasury category
      */
-    function revokeDelegation() external whenNotPaused {
-        Member storage delegator = members[msg.sender];
-        require(delegator.delegateTo != address(0), "No active delegation");
-        
-        address previousDelegate = delegator.delegateTo;
-        Member storage delegate = members[previousDelegate];
-        
-        delegate.delegatedPower -= delegator.votingPower;
-        delegator.delegateTo = address(0);
+    function createTokenProposal(
+        address token,
+        address recipient,
+        uint256 amount,
+        string memory description,
+        uint8 proposalType,
+        TreasuryCategory category
+    ) external payable onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256) {
+        uint256 proposalId = _createProposal(recipient, 0, description, proposalType, category);
+        ProposalLogic.setTokenPayout(proposalTokenPayouts[proposalId], proposalId, token, recipient, amount);
         
-        emit DelegationRevoked(msg.sender, previousDelegate, delegator.votingPower);
+        return proposalId;
     }
     
-    // ============ Proposal Functions ============
-    
     /**
-     * @dev Create a new proposal
+     * @dev Create a new proposal paying ETH to a recipient in tranches
+     * The first tranche is paid on execution and the rest is reserved in the treasury
+     * vault until the recipient claims each tranche there after its unlock time.
+     * An unlock time of zero marks a milestone that governance has to confirm.
      */
-    function createProposal(
+    function createTrancheProposal(
         address recipient,
-        uint256 amount,
+        uint256[] memory amounts,
+        uint256[] memory unlockTimes,
         string memory description,
-        ProposalType proposalType,
+        uint8 proposalType,
         TreasuryCategory category
-    ) external onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256) {
-        require(members[msg.sender].stake >= MINIMUM_STAKE_TO_PROPOSE, "Insufficient stake to propose");
-        require(recipient != address(0), "Invalid recipient");
-        require(amount > 0, "Amount must be greater than 0");
-        require(bytes(description).length > 0, "Description required");
-        
-        // Validate treasury category matches proposal type
-        require(
-            (proposalType == ProposalType.HighConviction && category == TreasuryCategory.HighConvictionFund) ||
-            (proposalType == ProposalType.Experimental && category == TreasuryCategory.ExperimentalFund) ||
-            (proposalType == ProposalType.Operational && category == TreasuryCategory.OperationalFund),
-            "Category must match proposal type"
-        );
-        
-        proposalCount++;
-        Proposal storage proposal = proposals[proposalCount];
-        
-        proposal.id = proposalCount;
-        proposal.proposer = msg.sender;
-        proposal.recipient = recipient;
-        proposal.amount = amount;
-        proposal.description = description;
-        proposal.proposalType = proposalType;
-        proposal.category = category;
-        proposal.state = ProposalState.Pending;
+    ) external payable onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256) {
+        // Scheduled under the id _createProposal is about to assign
+        uint256 totalAmount = treasuryVault.scheduleTranches(proposalCount + 1, recipient, category, amounts, unlockTimes);
+        _addPayment(recipient, amounts[0]);
         
-        emit ProposalCreated(proposalCount, msg.sender, recipient, amount, proposalType, description);
-        
-        return proposalCount;
+        return _createProposal(recipient, totalAmount, description, proposalType, category);
     }
     
     /**
@@ -329,143 +374,117 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
      */
     function activateProposal(uint256 proposalId) external whenNotPaused {
         Proposal storage proposal = proposals[proposalId];
-        require(proposal.id != 0, "Proposal does not exist");
-        require(proposal.state == ProposalState.Pending, "Proposal not in pending state");
-        require(
-            proposal.proposer == msg.sender || hasRole(GUARDIAN_ROLE, msg.sender),
-            "Only proposer or guardian can activate"
+        ProposalLogic.activate(
+            proposal,
+            proposalConfigs[proposal.proposalType],
+            proposalSnapshots,
+            hasRole(GUARDIAN_ROLE, msg.sender)
         );
-        
-        ProposalConfig memory config = proposalConfigs[proposal.proposalType];
-        
-        proposal.startTime = block.timestamp;
-        proposal.endTime = block.timestamp + config.votingPeriod;
-        proposal.state = ProposalState.Active;
     }
     
     /**
-     * @dev Cast a vote on an active proposal
+     * @dev Grant the proposer role to an account the staking module admits as a member,
+     * or revoke it from one that has left
      */
-    function castVote(uint256 proposalId, VoteType voteType) external whenNotPaused {
-        Proposal storage proposal = proposals[proposalId];
-        require(proposal.id != 0, "Proposal does not exist");
-        require(proposal.state == ProposalState.Active, "Proposal not active");
-        require(block.timestamp >= proposal.startTime, "Voting not started");
-        require(block.timestamp <= proposal.endTime, "Voting period ended");
-        require(!proposal.hasVoted[msg.sender], "Already voted");
-        require(members[msg.sender].delegateTo == address(0), "Cannot vote when delegated");
-        
-        uint256 votingPower = getEffectiveVotingPower(msg.sender);
-        require(votingPower > 0, "No voting power");
-        
-        proposal.hasVoted[msg.sender] = true;
-        proposal.votes[msg.sender] = voteType;
-        
-        if (voteType == VoteType.For) {
-            proposal.forVotes += votingPower;
-        } else if (voteType == VoteType.Against) {
-            proposal.againstVotes += votingPower;
+    function setProposer(address account, bool isMember) external {
+        _checkStakingModule();
+        if (isMember) {
+            _grantRole(PROPOSER_ROLE, account);
         } else {
-            proposal.abstainVotes += votingPower;
+            _revokeRole(PROPOSER_ROLE, account);
         }
-        
-        emit VoteCast(msg.sender, proposalId, voteType, votingPower);
     }
     
     /**
-     * @dev Queue a proposal after voting ends if it passes
+     * @dev Tally a vote the staking module casts with the voter's snapshot voting power
+     */
+    function recordVote(uint256 proposalId, address voter, VoteType voteType, uint256 votingPower) external {
+        _checkStakingModule();
+        ProposalLogic.recordVote(proposals[proposalId], voter, voteType, votingPower);
+    }
+    
+    /**
+     * @dev Move a vote the staking module changes to its new choice, returning the previous one
+     */
+    function recordVoteChange(uint256 proposalId, address voter, VoteType voteType, uint256 votingPower)
+        external
+        returns (VoteType)
+    {
+        _checkStakingModule();
+        return ProposalLogic.changeVote(proposals[proposalId], voter, voteType, votingPower);
+    }
+    
+    /**
+     * @dev Queue a proposal after voting ends if it passes, scheduling its calls in the timelock
      */
     function queueProposal(uint256 proposalId) external whenNotPaused {
         Proposal storage proposal = proposals[proposalId];
-        require(proposal.id != 0, "Proposal does not exist");
-        require(proposal.state == ProposalState.Active, "Proposal not active");
-        require(block.timestamp > proposal.endTime, "Voting period not ended");
-        
-        ProposalConfig memory config = proposalConfigs[proposal.proposalType];
-        
-        uint256 totalVotes = proposal.forVotes + proposal.againstVotes + proposal.abstainVotes;
-        uint256 requiredQuorum = (totalVotingPower * config.quorumPercentage) / 10000;
-        
-        // Check quorum
-        if (totalVotes < requiredQuorum) {
-            proposal.state = ProposalState.Defeated;
-            emit ProposalDefeated(proposalId);
-            return;
-        }
-        
-        // Check approval threshold (for votes vs for + against)
-        uint256 votesForDecision = proposal.forVotes + proposal.againstVotes;
-        if (votesForDecision == 0) {
-            proposal.state = ProposalState.Defeated;
-            emit ProposalDefeated(proposalId);
-            return;
-        }
-        
-        uint256 approvalPercentage = (proposal.forVotes * 10000) / votesForDecision;
-        
-        if (approvalPercentage >= config.approvalThreshold) {
-            proposal.state = ProposalState.Queued;
-            proposal.queuedTime = block.timestamp;
-            
-            uint256 executionTime = block.timestamp + config.timelockDelay;
-            emit ProposalQueued(proposalId, block.timestamp, executionTime);
-        } else {
-            proposal.state = ProposalState.Defeated;
-            emit ProposalDefeated(proposalId);
-        }
+        ProposalLogic.queue(
+            proposal,
+            proposalConfigs[proposal.proposalType],
+            _proposalActions[proposalId],
+            stakingModule.getPastTotalVotingPower(proposalSnapshots[proposalId]),
+            vetoThreshold,
+            claimableBonds,
+            address(treasuryVault),
+            address(timelock)
+        );
     }
     
     /**
-     * @dev Execute a queued proposal after timelock
+     * @dev Execute a queued proposal after timelock and before its grace period runs out,
+     * drawing its ETH and ERC-20 payouts from the treasury vault and having the timelock
+     * perform its calls
      */
     function executeProposal(uint256 proposalId) external onlyRole(EXECUTOR_ROLE) nonReentrant whenNotPaused {
-        Proposal storage proposal = proposals[proposalId];
-        require(proposal.id != 0, "Proposal does not exist");
-        require(proposal.state == ProposalState.Queued, "Proposal not queued");
-        
-        ProposalConfig memory config = proposalConfigs[proposal.proposalType];
-        require(
-            block.timestamp >= proposal.queuedTime + config.timelockDelay,
-            "Timelock period not elapsed"
-        );
-        
-        // Check treasury has sufficient funds
-        require(
-            treasuryBalances[proposal.category] >= proposal.amount,
-            "Insufficient treasury funds"
+        ProposalLogic.execute(
+            proposals[proposalId],
+            gracePeriod,
+            proposalTokenPayouts[proposalId],
+            address(treasuryVault),
+            address(timelock)
         );
-        
-        proposal.state = ProposalState.Executed;
-        proposal.executedTime = block.timestamp;
-        
-        treasuryBalances[proposal.category] -= proposal.amount;
-        
-        payable(proposal.recipient).transfer(proposal.amount);
-        
-        emit ProposalExecuted(proposalId, proposal.recipient, proposal.amount);
     }
     
     /**
-     * @dev Cancel a queued proposal (emergency function)
+     * @dev Cancel a proposal
+     * Guardians can cancel Active or Queued proposals (emergency function), proposers can
+     * withdraw their own Pending or Active proposals, and anyone can cancel a proposal
+     * whose proposer's stake dropped below the minimum of the proposal's type.
+     * A bond the proposal still holds is forfeited unless the proposer withdraws it while Pending.
      */
-    function cancelProposal(uint256 proposalId) external onlyRole(GUARDIAN_ROLE) {
+    function cancelProposal(uint256 proposalId) external {
         Proposal storage proposal = proposals[proposalId];
-        require(proposal.id != 0, "Proposal does not exist");
-        require(
-            proposal.state == ProposalState.Queued || proposal.state == ProposalState.Active,
-            "Cannot cancel proposal in current state"
+        ProposalLogic.cancel(
+            proposal,
+            _state(proposalId),
+            _stakeOf(proposal.proposer) < proposalTypes[proposal.proposalType].minProposerStake,
+            hasRole(GUARDIAN_ROLE, msg.sender),
+            claimableBonds,
+            address(treasuryVault),
+            address(timelock)
         );
-        
-        proposal.state = ProposalState.Cancelled;
-        
-        emit ProposalCancelled(proposalId, msg.sender);
+    }
+    
+    /**
+     * @dev Claim proposal bonds returned to the caller
+     */
+    function claimBonds() external nonReentrant {
+        ProposalLogic.claimBonds(claimableBonds);
     }
     
     /**
      * @dev Get proposal state
      */
-    function getProposalState(uint256 proposalId) external view returns (ProposalState) {
-        return proposals[proposalId].state;
+    function getProposalState(uint256 proposalId) external view returns (uint8) {
+        return uint8(_state(proposalId));
+    }
+    
+    /**
+     * @dev Number of registered proposal types, which are numbered from zero
+     */
+    function getProposalTypeCount() external view returns (uint256) {
+        return proposalTypes.length;
     }
     
     /**
@@ -476,7 +495,7 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
         address recipient,
         uint256 amount,
         string memory description,
-        ProposalType proposalType,
+        uint8 proposalType,
         ProposalState state,
         uint256 forVotes,
         uint256 againstVotes,
@@ -491,7 +510,7 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
             proposal.amount,
             proposal.description,
             proposal.proposalType,
-            proposal.state,
+            _state(proposalId),
             proposal.forVotes,
             proposal.againstVotes,
             proposal.abstainVotes,
@@ -500,6 +519,26 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
         );
     }
     
+    /**
+     * @dev Get the calls a proposal performs on execution
+     */
+    function getProposalActions(uint256 proposalId) external view returns (
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas
+    ) {
+        ProposalAction[] storage actions = _proposalActions[proposalId];
+        targets = new address[](actions.length);
+        values = new uint256[](actions.length);
+        calldatas = new bytes[](actions.length);
+        
+        for (uint256 i = 0; i < actions.length; i++) {
+            targets[i] = actions[i].target;
+            values[i] = actions[i].value;
+            calldatas[i] = actions[i].data;
+        }
+    }
+    
     /**
      * @dev Check if address has voted on proposal
      */
@@ -508,80 +547,178 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Get vote cast by address on proposal
+     * @dev Get the latest vote cast by address on proposal
      */
     function getVote(uint256 proposalId, address voter) external view returns (VoteType) {
         require(proposals[proposalId].hasVoted[voter], "Has not voted");
         return proposals[proposalId].votes[voter];
     }
     
-    // ============ Treasury Functions ============
+    // ============ Configuration Functions ============
+    
+    /**
+     * @dev Update proposal configuration (called through a proposal)
+     */
+    function updateProposalConfig(
+        uint8 proposalType,
+        uint256 votingPeriod,
+        uint256 quorumPercentage,
+        uint256 approvalThreshold,
+        uint256 timelockDelay
+    ) external onlyGovernance {
+        _setProposalConfig(proposalType, ProposalConfig({
+            votingPeriod: votingPeriod,
+            quorumPercentage: quorumPercentage,
+            approvalThreshold: approvalThreshold,
+            timelockDelay: timelockDelay
+        }));
+    }
+    
+    /**
+     * @dev Update the bond required to create a proposal of a type (called through a proposal)
+     */
+    function setProposalBond(uint8 proposalType, uint256 bond) external onlyGovernance {
+        proposalBonds[proposalType] = bond;
+        emit ProposalBondUpdated(proposalType, bond);
+    }
     
     /**
-     * @dev Deposit funds to specific treasury category
+     * @dev Register a new proposal type paying out of a treasury category (called through
+     * a HighConviction proposal). Returns the new proposal type.
      */
-    function depositToTreasury(TreasuryCategory category) external payable whenNotPaused {
-        require(msg.value > 0, "Must deposit ETH");
-        require(
-            treasuryBalances[category] + msg.value <= treasuryLimits[category],
-            "Exceeds treasury limit"
+    function registerProposalType(
+        string memory name,
+        TreasuryCategory category,
+        uint256 minProposerStake,
+        uint256 votingPeriod,
+        uint256 quorumPercentage,
+        uint256 approvalThreshold,
+        uint256 timelockDelay
+    ) external onlyGovernance returns (uint8) {
+        return ProposalLogic.register(
+            proposalTypes,
+            proposalConfigs,
+            name,
+            category,
+            minProposerStake,
+            ProposalConfig(votingPeriod, quorumPercentage, approvalThreshold, timelockDelay)
         );
+    }
+    
+    /**
+     * @dev Stop a registered proposal type from taking new proposals (called through a
+     * HighConviction proposal). The built-in types cannot be deprecated.
+     */
+    function deprecateProposalType(uint8 proposalType) external onlyGovernance {
+        ProposalLogic.deprecate(proposalTypes, proposalType);
+    }
+    
+    /**
+     * @dev Update how many open proposals a member can have (called through a proposal)
+     */
+    function setMaxOpenProposals(uint256 newMaxOpenProposals) external onlyGovernance {
+        require(newMaxOpenProposals > 0, "Max open proposals must be greater than 0");
+        maxOpenProposals = newMaxOpenProposals;
+        emit MaxOpenProposalsUpdated(newMaxOpenProposals);
+    }
+    
+    /**
+     * @dev Update how long a queued proposal stays executable after its timelock (called through a proposal)
+     */
+    function setGracePeriod(uint256 newGracePeriod) external onlyGovernance {
+        gracePeriod = newGracePeriod;
+        emit GracePeriodUpdated(newGracePeriod);
+    }
+    
+    /**
+     * @dev Update how long a pause lasts before it expires (called through a proposal)
+     */
+    function setMaxPauseDuration(uint256 newMaxPauseDuration) external onlyGovernance {
+        require(newMaxPauseDuration > 0, "Duration must be greater than 0");
+        maxPauseDuration = newMaxPauseDuration;
+        emit MaxPauseDurationUpdated(newMaxPauseDuration);
+    }
+    
+    /**
+     * @dev Update the Against share that vetoes Optimistic proposals (called through a
+     * HighConviction proposal), at most MAX_VETO_THRESHOLD so a minority can still stop one
+     */
+    function setVetoThreshold(uint256 newVetoThreshold) external onlyGovernance {
+        require(newVetoThreshold > 0 && newVetoThreshold <= MAX_VETO_THRESHOLD, "Invalid veto threshold");
+        vetoThreshold = newVetoThreshold;
+        emit VetoThresholdUpdated(newVetoThreshold);
+    }
+    
+    /**
+     * @dev Point the DAO at the treasury vault, once, during deployment
+     */
+    function setTreasuryVault(TreasuryVault vault) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(treasuryVault) == address(0), "Treasury vault already set");
+        require(address(vault.dao()) == address(this), "Vault belongs to another DAO");
         
-        treasuryBalances[category] += msg.value;
+        treasuryVault = vault;
         
-        emit TreasuryDeposit(category, msg.value);
+        emit TreasuryVaultSet(address(vault));
     }
     
     /**
-     * @dev Set treasury limit for a category
+     * @dev Point the DAO at the staking module, once, during deployment
      */
-    function setTreasuryLimit(TreasuryCategory category, uint256 limit) 
-        external 
-        onlyRole(DEFAULT_ADMIN_ROLE) 
-    {
-        treasuryLimits[category] = limit;
+    function setStakingModule(StakingModule module) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(stakingModule) == address(0), "Staking module already set");
+        require(address(module.dao()) == address(this), "Staking module belongs to another DAO");
+        
+        stakingModule = module;
+        
+        emit StakingModuleSet(address(module));
     }
     
     /**
-     * @dev Get total treasury balance
+     * @dev Point the DAO at the timelock, once, during deployment, handing it the admin
+     * roles passed proposals rotate roles with
      */
-    function getTotalTreasuryBalance() external view returns (uint256) {
-        return treasuryBalances[TreasuryCategory.HighConvictionFund] +
-               treasuryBalances[TreasuryCategory.ExperimentalFund] +
-               treasuryBalances[TreasuryCategory.OperationalFund];
+    function setTimelock(DAOTimelock newTimelock) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(timelock) == address(0), "Timelock already set");
+        require(address(newTimelock.dao()) == address(this), "Timelock belongs to another DAO");
+        
+        timelock = newTimelock;
+        _grantRole(DEFAULT_ADMIN_ROLE, address(newTimelock));
+        _grantRole(GOVERNANCE_ROLE, address(newTimelock));
+        
+        emit TimelockSet(address(newTimelock));
     }
     
-    // ============ Configuration Functions ============
-    
     /**
-     * @dev Update proposal configuration
+     * @dev Permanently drop the deployer's bootstrap admin, governance and guardian roles,
+     * leaving role grants and revocations to passed proposals and guarding to the council
      */
-    function updateProposalConfig(
-        ProposalType proposalType,
-        uint256 votingPeriod,
-        uint256 quorumPercentage,
-        uint256 approvalThreshold,
-        uint256 timelockDelay
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(quorumPercentage <= 10000, "Quorum cannot exceed 100%");
-        require(approvalThreshold <= 10000, "Threshold cannot exceed 100%");
+    function renounceDeployerAdmin() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(msg.sender != address(timelock), "DAO cannot renounce admin");
+        require(address(timelock) != address(0), "Timelock not set");
+        require(!deployerAdminRenounced, "Deployer admin already renounced");
         
-        proposalConfigs[proposalType] = ProposalConfig({
-            votingPeriod: votingPeriod,
-            quorumPercentage: quorumPercentage,
-            approvalThreshold: approvalThreshold,
-            timelockDelay: timelockDelay
-        });
+        deployerAdminRenounced = true;
+        _revokeRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _revokeRole(GOVERNANCE_ROLE, msg.sender);
+        _revokeRole(GUARDIAN_ROLE, msg.sender);
+        
+        emit DeployerAdminRenounced(msg.sender);
     }
     
     // ============ Emergency Functions ============
     
     /**
-     * @dev Pause the contract
+     * @dev Pause the contract for maxPauseDuration, or renew a running pause from now.
+     * Renewals come from guardians rather than a vote, since no proposal can pass while
+     * the DAO is paused; governance bounds them through maxPauseDuration.
      */
     function pause() external onlyRole(GUARDIAN_ROLE) {
-        _pause();
-        emit EmergencyPause(msg.sender);
+        if (!paused()) {
+            _pause();
+            pausedSince = block.timestamp;
+        }
+        pausedUntil = block.timestamp + maxPauseDuration;
+        emit EmergencyPause(msg.sender, pausedUntil);
     }
     
     /**
@@ -593,17 +730,93 @@ contract CryptoVenturesDAO is AccessControl, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Get member count
+     * @dev Whether the contract is paused, an expired pause no longer counts
+     */
+    function paused() public view override returns (bool) {
+        return super.paused() && block.timestamp < pausedUntil;
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Revert unless called by the timelock, i.e. by a passed proposal's action
+     */
+    function _checkGovernance() internal view {
+        require(msg.sender == address(timelock), "Only callable through a proposal");
+    }
+    
+    /**
+     * @dev Revert unless called by the staking module casting a vote or updating membership
+     */
+    function _checkStakingModule() internal view {
+        require(msg.sender == address(stakingModule), "Only callable by the staking module");
+    }
+    
+    /**
+     * @dev Upgrades go through upgradeToAndCall on the proxy, which only a passed proposal may call
+     */
+    function _authorizeUpgrade(address) internal view override {
+        _checkGovernance();
+    }
+    
+    /**
+     * @dev Store a proposal configuration after checking it against the hard bounds
+     */
+    function _setProposalConfig(uint8 proposalType, ProposalConfig memory config) internal {
+        ProposalLogic.configure(proposalTypes, proposalConfigs, proposalType, config);
+    }
+    
+    /**
+     * @dev Validate and store a new proposal, taking its bond and counting it
+     * against the proposer's open proposals
+     */
+    function _createProposal(
+        address recipient,
+        uint256 amount,
+        string memory description,
+        uint8 proposalType,
+        TreasuryCategory category
+    ) internal returns (uint256) {
+        proposalCount++;
+        ProposalLogic.create(
+            proposals,
+            proposalTypes,
+            _openProposals[msg.sender],
+            _proposalActions[proposalCount],
+            proposalCount,
+            recipient,
+            amount,
+            description,
+            proposalType,
+            category,
+            _stakeOf(msg.sender),
+            proposalBonds[proposalType],
+            gracePeriod,
+            maxOpenProposals
+        );
+        
+        return proposalCount;
+    }
+    
+    /**
+     * @dev Store an ETH payment as an action of the proposal _createProposal is about to create
+     */
+    function _addPayment(address recipient, uint256 amount) internal {
+        ProposalLogic.addPayment(_proposalActions[proposalCount + 1], recipient, amount);
+    }
+    
+    /**
+     * @dev An account's stake in the staking module
      */
-    function getMemberCount() external view returns (uint256) {
-        return memberList.length;
+    function _stakeOf(address account) internal view returns (uint256 stake) {
+        (stake, , , , , , ) = stakingModule.members(account);
     }
     
     /**
-     * @dev Receive ETH
+     * @dev Current state of a proposal, reporting queued proposals past their
+     * grace period, or their category's spending cap window if longer, as Expired
      */
-    receive() external payable {
-        // Accept ETH donations to general fund
-        treasuryBalances[TreasuryCategory.OperationalFund] += msg.value;
+    function _state(uint256 proposalId) internal view returns (ProposalState) {
+        return ProposalLogic.state(proposals[proposalId], gracePeriod);
     }
 }
@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// CryptoVenturesDAO, its staking module, treasury vault and timelock run behind OpenZeppelin's
+// ERC1967Proxy; importing it here compiles it for the deployment scripts. Upgrades are handled
+// by each contract's UUPSUpgradeable logic.
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
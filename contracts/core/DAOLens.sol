@@ -0,0 +1,249 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./CryptoVenturesDAO.sol";
+import "../libraries/GovernanceConstants.sol";
+
+/**
+ * @title DAOLens
+ * @dev Read-only views over CryptoVenturesDAO for dashboards and scripts, built from the
+ * public getters of the DAO and its staking module so that a page of members or
+ * proposals takes a single call.
+ * Proposal views also carry the quorum and approval status queueProposal would find
+ * for the current tally.
+ * Kept out of the DAO itself to keep it small. Holds no state
+ * besides the DAO's address and can be redeployed freely.
+ */
+contract DAOLens {
+    // ============ Structs ============
+    struct MemberInfo {
+        address account;
+        uint256 stake;
+        uint256 votingPower;
+        address delegateTo;        // First delegate, zero when not delegating
+    }
+    
+    struct ProposalView {
+        uint256 id;
+        address proposer;
+        address recipient;
+        uint256 amount;
+        string description;
+        uint8 proposalType;
+        CryptoVenturesDAO.TreasuryCategory category;
+        CryptoVenturesDAO.ProposalState state;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 queuedTime;
+        uint256 executedTime;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        bool quorumReached;        // As queueProposal would judge the current tally
+        uint256 approvalPercentage; // For share of For + Against, in basis points
+        uint256 earliestExecution; // Zero while Pending and once Defeated or Cancelled
+    }
+    
+    struct Ballot {
+        uint256 proposalId;
+        bool hasVoted;
+        CryptoVenturesDAO.VoteType voteType;
+    }
+    
+    struct MemberView {
+        uint256 stake;
+        uint256 votingPower;       // Own power, including any share delegated away
+        uint256 delegatedPower;    // Power other members delegated to this one
+        address delegateTo;        // First delegate, zero when not delegating
+        Ballot[] votes;
+    }
+    
+    // ============ State Variables ============
+    CryptoVenturesDAO public immutable dao;
+    
+    // ============ Constructor ============
+    constructor(CryptoVenturesDAO _dao) {
+        require(address(_dao) != address(0), "Invalid DAO");
+        dao = _dao;
+    }
+    
+    // ============ Member Views ============
+    
+    /**
+     * @dev Members with stake, in member list order, from `offset` and at most `limit`
+     * of them
+     */
+    function getMembers(uint256 offset, uint256 limit) external view returns (MemberInfo[] memory page) {
+        StakingModule staking = dao.stakingModule();
+        uint256 count = staking.getMemberCount();
+        uint256 size = count > offset ? count - offset : 0;
+        page = new MemberInfo[](size < limit ? size : limit);
+        
+        for (uint256 i = 0; i < page.length; i++) {
+            address account = staking.memberList(offset + i);
+            (uint256 stake, , address delegateTo, , , , ) = staking.members(account);
+            page[i] = MemberInfo(account, stake, staking.getVotingPower(account), delegateTo);
+        }
+    }
+    
+    /**
+     * @dev Stake, voting power, delegation and votes on the given proposals of an account
+     */
+    function getMember(address account, uint256[] calldata proposalIds)
+        external
+        view
+        returns (MemberView memory member)
+    {
+        StakingModule staking = dao.stakingModule();
+        (member.stake, , member.delegateTo, , , , ) = staking.members(account);
+        member.votingPower = staking.getVotingPower(account);
+        member.delegatedPower = staking.getDelegatedPower(account);
+        
+        member.votes = new Ballot[](proposalIds.length);
+        for (uint256 i = 0; i < proposalIds.length; i++) {
+            Ballot memory ballot = member.votes[i];
+            ballot.proposalId = proposalIds[i];
+            ballot.hasVoted = dao.hasVotedOnProposal(proposalIds[i], account);
+            if (ballot.hasVoted) {
+                ballot.voteType = dao.getVote(proposalIds[i], account);
+            }
+        }
+    }
+    
+    // ============ Proposal Views ============
+    
+    /**
+     * @dev Full views of the proposals from `fromId`, at most `count` of them, with their
+     * live quorum and approval status and earliest execution time
+     */
+    function getProposals(uint256 fromId, uint256 count) external view returns (ProposalView[] memory views) {
+        if (fromId == 0) {
+            fromId = 1;
+        }
+        uint256 proposalCount = dao.proposalCount();
+        uint256 size = proposalCount >= fromId ? proposalCount - fromId + 1 : 0;
+        views = new ProposalView[](size < count ? size : count);
+        
+        for (uint256 i = 0; i < views.length; i++) {
+            views[i] = _proposalView(fromId + i);
+        }
+    }
+    
+    /**
+     * @dev Ids of proposals in a state, oldest first. Skips the first `offset` matches
+     * and returns at most `limit`. Queued proposals past their grace period are Expired.
+     */
+    function getProposalsByState(CryptoVenturesDAO.ProposalState state, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _findProposals(false, uint8(state), offset, limit);
+    }
+    
+    /**
+     * @dev Ids of proposals of a type, oldest first. Skips the first `offset` matches
+     * and returns at most `limit`.
+     */
+    function getProposalsByType(uint8 proposalType, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _findProposals(true, proposalType, offset, limit);
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Scan all proposals for those with the given type, or the given state when
+     * byType is false, and return a page of their ids
+     */
+    function _findProposals(bool byType, uint8 value, uint256 offset, uint256 limit)
+        private
+        view
+        returns (uint256[] memory ids)
+    {
+        uint256[] memory found = new uint256[](limit);
+        uint256 count = 0;
+        uint256 skipped = 0;
+        
+        uint256 proposalCount = dao.proposalCount();
+        for (uint256 id = 1; id <= proposalCount && count < limit; id++) {
+            uint8 actual = byType ? _proposalType(id) : uint8(dao.getProposalState(id));
+            if (actual != value) {
+                continue;
+            }
+            if (skipped < offset) {
+                skipped++;
+            } else {
+                found[count++] = id;
+            }
+        }
+        
+        ids = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ids[i] = found[i];
+        }
+    }
+    
+    /**
+     * @dev Stored fields of a proposal plus the outcome the current tally would have
+     */
+    function _proposalView(uint256 proposalId) private view returns (ProposalView memory proposalView) {
+        (
+            proposalView.id,
+            proposalView.proposer,
+            proposalView.recipient,
+            proposalView.amount,
+            proposalView.description,
+            proposalView.proposalType,
+            proposalView.category,
+            proposalView.startTime,
+            proposalView.endTime,
+            proposalView.forVotes,
+            proposalView.againstVotes,
+            proposalView.abstainVotes,
+            ,
+            proposalView.queuedTime,
+            proposalView.executedTime,
+        ) = dao.proposals(proposalId);
+        proposalView.state = CryptoVenturesDAO.ProposalState(dao.getProposalState(proposalId));
+        
+        (, uint256 quorumPercentage, , uint256 timelockDelay) = dao.proposalConfigs(proposalView.proposalType);
+        
+        uint256 votesForDecision = proposalView.forVotes + proposalView.againstVotes;
+        if (votesForDecision > 0) {
+            proposalView.approvalPercentage = (proposalView.forVotes * 10000) / votesForDecision;
+        }
+        
+        // Same tests as ProposalLogic.queue, against the total power at the snapshot
+        if (proposalView.state != CryptoVenturesDAO.ProposalState.Pending) {
+            uint256 totalVotingPower = dao.stakingModule().getPastTotalVotingPower(dao.proposalSnapshots(proposalId));
+            if (proposalView.proposalType == GovernanceConstants.PROPOSAL_TYPE_OPTIMISTIC) {
+                proposalView.quorumReached = proposalView.againstVotes * 10000 <= totalVotingPower * dao.vetoThreshold();
+            } else {
+                proposalView.quorumReached = votesForDecision + proposalView.abstainVotes >=
+                    (totalVotingPower * quorumPercentage) / 10000;
+            }
+        }
+        
+        if (proposalView.state == CryptoVenturesDAO.ProposalState.Active) {
+            // Queueable the second after voting ends
+            proposalView.earliestExecution = proposalView.endTime + 1 + timelockDelay;
+        } else if (
+            proposalView.state == CryptoVenturesDAO.ProposalState.Queued ||
+            proposalView.state == CryptoVenturesDAO.ProposalState.Executed ||
+            proposalView.state == CryptoVenturesDAO.ProposalState.Expired
+        ) {
+            proposalView.earliestExecution = dao.timelock().readyTime(proposalId);
+        }
+    }
+    
+    /**
+     * @dev Type of a proposal
+     */
+    function _proposalType(uint256 proposalId) private view returns (uint8 proposalType) {
+        (, , , , , proposalType, , , , , , , , , , ) = dao.proposals(proposalId);
+    }
+}
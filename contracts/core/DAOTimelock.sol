@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../interfaces/IGovernance.sol";
+import "./CryptoVenturesDAO.sol";
+
+/**
+ * @title DAOTimelock
+ * @dev Timelock controller of CryptoVenturesDAO. Holds the execution queue: the DAO
+ * schedules each passed proposal's calls with its type's delay and executes them here
+ * once the delay has elapsed. Calls are made from this contract, which is the only
+ * address allowed to change the DAO's, the staking module's and the vault's settings.
+ * It only ever holds the ETH the vault releases for the proposal being executed.
+ * Runs behind an ERC1967Proxy that keeps the queue; a HighConviction proposal can
+ * upgrade it through a call the timelock makes to itself.
+ */
+contract DAOTimelock is ITimelock, UUPSUpgradeable {
+    // ============ Structs ============
+    struct Operation {
+        address[] targets;
+        uint256[] values;
+        bytes[] calldatas;
+        uint256 readyTime;
+        bool executed;
+        bool cancelled;
+    }
+    
+    // ============ State Variables ============
+    CryptoVenturesDAO public dao;
+    
+    // Scheduled calls by DAO proposal id
+    mapping(uint256 => Operation) private _operations;
+    
+    // ============ Events ============
+    event OperationScheduled(uint256 indexed proposalId, uint256 readyTime);
+    event OperationCancelled(uint256 indexed proposalId);
+    event ProposalActionExecuted(
+        uint256 indexed proposalId,
+        uint256 indexed actionIndex,
+        address target,
+        uint256 value,
+        bytes data
+    );
+    event PayoutExecuted(uint256 indexed proposalId, address indexed recipient, uint256 amount);
+    
+    // ============ Modifiers ============
+    
+    /**
+     * @dev Restrict to the DAO queueing, cancelling or executing a proposal
+     */
+    modifier onlyDAO() {
+        require(msg.sender == address(dao), "Only callable by the DAO");
+        _;
+    }
+    
+    // ============ Constructor ============
+    
+    /**
+     * @dev State lives in the proxy, so the implementation's own storage is never initialized
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Bind the timelock to its DAO, run once by the proxy's deployment
+     */
+    function initialize(CryptoVenturesDAO _dao) external initializer {
+        require(address(_dao) != address(0), "Invalid DAO");
+        __UUPSUpgradeable_init();
+        dao = _dao;
+    }
+    
+    // ============ Queue Functions ============
+    
+    /**
+     * @dev Queue a passed proposal's calls, executable once `delay` has elapsed
+     */
+    function schedule(
+        uint256 proposalId,
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        uint256 delay
+    ) external onlyDAO {
+        Operation storage operation = _operations[proposalId];
+        require(operation.readyTime == 0, "Operation already scheduled");
+        
+        operation.targets = targets;
+        operation.values = values;
+        operation.calldatas = calldatas;
+        operation.readyTime = block.timestamp + delay;
+        
+        emit OperationScheduled(proposalId, operation.readyTime);
+    }
+    
+    /**
+     * @dev Drop a queued operation before it is executed
+     */
+    function cancel(uint256 proposalId) external onlyDAO {
+        Operation storage operation = _operations[proposalId];
+        require(operation.readyTime != 0, "Operation not scheduled");
+        require(!operation.executed, "Operation already executed");
+        
+        operation.cancelled = true;
+        
+        emit OperationCancelled(proposalId);
+    }
+    
+    /**
+     * @dev Make a ready operation's calls from the timelock, logging each plain ETH
+     * payment by recipient. Any failing call reverts the whole proposal.
+     */
+    function execute(uint256 proposalId) external onlyDAO {
+        Operation storage operation = _operations[proposalId];
+        require(operation.readyTime != 0, "Operation not scheduled");
+        require(!operation.executed, "Operation already executed");
+        require(!operation.cancelled, "Operation cancelled");
+        require(block.timestamp >= operation.readyTime, "Timelock period not elapsed");
+        
+        operation.executed = true;
+        
+        for (uint256 i = 0; i < operation.targets.length; i++) {
+            address target = operation.targets[i];
+            uint256 value = operation.values[i];
+            bytes memory data = operation.calldatas[i];
+            (bool success, bytes memory returndata) = target.call{value: value}(data);
+            Address.verifyCallResult(success, returndata);
+            
+            emit ProposalActionExecuted(proposalId, i, target, value, data);
+            if (data.length == 0) {
+                emit PayoutExecuted(proposalId, target, value);
+            }
+        }
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Upgrades go through upgradeToAndCall on the proxy, which only a passed proposal
+     * may call: the timelock calls itself while executing it
+     */
+    function _authorizeUpgrade(address) internal view override {
+        require(msg.sender == address(this), "Only callable through a proposal");
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @dev Time from which a scheduled operation can execute, zero if never scheduled
+     */
+    function readyTime(uint256 proposalId) external view returns (uint256) {
+        return _operations[proposalId].readyTime;
+    }
+    
+    /**
+     * @dev Receive the ETH a proposal's actions pay out from the treasury vault. Treasury
+     * deposits and donations go to the vault itself.
+     */
+    receive() external payable {
+        require(msg.sender == address(dao.treasuryVault()), "Send treasury funds to the vault");
+    }
+}
@@ -0,0 +1,291 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./CryptoVenturesDAO.sol";
+
+/**
+ * @title GuardianCouncil
+ * @dev M-of-N council holding CryptoVenturesDAO's GUARDIAN_ROLE.
+ * Guardians serve fixed terms and the membership can only be changed by the DAO,
+ * i.e. through a passed proposal. An emergency action is performed once enough
+ * guardians with running terms have approved it.
+ * Renewing a pause takes the council's approval rather than a DAO vote: voting, queueing
+ * and execution all stop while the DAO is paused, so no proposal could renew a running
+ * pause. The DAO bounds renewals instead through maxPauseDuration and the staking
+ * module's emergency withdrawal window.
+ */
+contract GuardianCouncil {
+    // ============ Enums ============
+    enum Action { Cancel, Pause, Unpause, HaltTranches }
+    
+    // ============ State Variables ============
+    CryptoVenturesDAO public immutable dao;
+    
+    address[] private _guardians;
+    mapping(address => uint256) public termEnds;
+    
+    // Approvals required to perform an action
+    uint256 public threshold;
+    
+    // Length of a term given to new or renewed guardians
+    uint256 public termLength;
+    
+    uint256 public constant MAX_GUARDIANS = 15;
+    
+    // Bumped on every membership change so approvals from an older council lapse
+    uint256 public membershipEpoch;
+    
+    // Number of times each (action, proposalId) pair has been performed
+    mapping(Action => mapping(uint256 => uint256)) public executionCounts;
+    
+    mapping(bytes32 => address[]) private _approvers;
+    mapping(bytes32 => mapping(address => bool)) private _hasApproved;
+    
+    // ============ Events ============
+    event GuardianAdded(address indexed guardian, uint256 termEnd);
+    event GuardianRemoved(address indexed guardian);
+    event GuardianTermRenewed(address indexed guardian, uint256 termEnd);
+    event ThresholdUpdated(uint256 threshold);
+    event TermLengthUpdated(uint256 termLength);
+    event ActionApproved(Action indexed action, uint256 indexed proposalId, address indexed guardian, uint256 approvals);
+    event ActionPerformed(Action indexed action, uint256 indexed proposalId);
+    
+    // ============ Modifiers ============
+    
+    /**
+     * @dev Restrict to calls made by the DAO's timelock while executing a passed proposal
+     */
+    modifier onlyDAO() {
+        require(msg.sender == address(dao.timelock()), "Only callable through a proposal");
+        _;
+    }
+    
+    // ============ Constructor ============
+    constructor(
+        CryptoVenturesDAO _dao,
+        address[] memory guardians,
+        uint256 _threshold,
+        uint256 _termLength
+    ) {
+        require(address(_dao) != address(0), "Invalid DAO");
+        dao = _dao;
+        
+        _setTermLength(_termLength);
+        for (uint256 i = 0; i < guardians.length; i++) {
+            _addGuardian(guardians[i]);
+        }
+        _setThreshold(_threshold);
+    }
+    
+    // ============ Guardian Functions ============
+    
+    /**
+     * @dev Approve an emergency action, performing it once the threshold is reached.
+     * proposalId is ignored for Pause and Unpause.
+     */
+    function approve(Action action, uint256 proposalId) external {
+        require(isActiveGuardian(msg.sender), "Not an active guardian");
+        if (action == Action.Pause || action == Action.Unpause) {
+            proposalId = 0;
+        }
+        
+        bytes32 key = actionKey(action, proposalId);
+        require(!_hasApproved[key][msg.sender], "Already approved");
+        
+        _hasApproved[key][msg.sender] = true;
+        _approvers[key].push(msg.sender);
+        
+        uint256 approvals = _countActiveApprovals(key);
+        emit ActionApproved(action, proposalId, msg.sender, approvals);
+        
+        if (approvals >= threshold) {
+            executionCounts[action][proposalId]++;
+            _perform(action, proposalId);
+            emit ActionPerformed(action, proposalId);
+        }
+    }
+    
+    // ============ Governance Functions ============
+    
+    /**
+     * @dev Add a guardian with a fresh term (called through a proposal)
+     */
+    function addGuardian(address guardian) external onlyDAO {
+        _addGuardian(guardian);
+        membershipEpoch++;
+    }
+    
+    /**
+     * @dev Remove a guardian (called through a proposal). Removing a guardian with a running
+     * term must leave enough of them to reach the threshold; one whose term has ended can
+     * always be removed.
+     */
+    function removeGuardian(address guardian) external onlyDAO {
+        bool wasActive = isActiveGuardian(guardian);
+        _removeGuardian(guardian);
+        require(!wasActive || activeGuardianCount() >= threshold, "Threshold exceeds active guardian count");
+        membershipEpoch++;
+    }
+    
+    /**
+     * @dev Rotate one guardian out and another in (called through a proposal)
+     */
+    function replaceGuardian(address oldGuardian, address newGuardian) external onlyDAO {
+        _removeGuardian(oldGuardian);
+        _addGuardian(newGuardian);
+        membershipEpoch++;
+    }
+    
+    /**
+     * @dev Start a new term for an existing guardian (called through a proposal)
+     */
+    function renewTerm(address guardian) external onlyDAO {
+        require(termEnds[guardian] != 0, "Not a guardian");
+        termEnds[guardian] = block.timestamp + termLength;
+        emit GuardianTermRenewed(guardian, termEnds[guardian]);
+    }
+    
+    /**
+     * @dev Update the number of approvals required (called through a proposal)
+     */
+    function setThreshold(uint256 newThreshold) external onlyDAO {
+        _setThreshold(newThreshold);
+        membershipEpoch++;
+    }
+    
+    /**
+     * @dev Update the term given to new and renewed guardians (called through a proposal)
+     */
+    function setTermLength(uint256 newTermLength) external onlyDAO {
+        _setTermLength(newTermLength);
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @dev Get all guardians, including those whose term has ended
+     */
+    function getGuardians() external view returns (address[] memory) {
+        return _guardians;
+    }
+    
+    /**
+     * @dev Whether an account is a guardian with a running term
+     */
+    function isActiveGuardian(address account) public view returns (bool) {
+        return block.timestamp < termEnds[account];
+    }
+    
+    /**
+     * @dev Number of guardians with a running term
+     */
+    function activeGuardianCount() public view returns (uint256 count) {
+        for (uint256 i = 0; i < _guardians.length; i++) {
+            if (isActiveGuardian(_guardians[i])) {
+                count++;
+            }
+        }
+    }
+    
+    /**
+     * @dev Identifier of the pending approval round for an action
+     */
+    function actionKey(Action action, uint256 proposalId) public view returns (bytes32) {
+        return keccak256(abi.encode(action, proposalId, membershipEpoch, executionCounts[action][proposalId]));
+    }
+    
+    /**
+     * @dev Approvals from active guardians in the pending round for an action
+     */
+    function getApprovalCount(Action action, uint256 proposalId) external view returns (uint256) {
+        return _countActiveApprovals(actionKey(action, proposalId));
+    }
+    
+    /**
+     * @dev Whether a guardian has approved the pending round for an action
+     */
+    function hasApproved(Action action, uint256 proposalId, address guardian) external view returns (bool) {
+        return _hasApproved[actionKey(action, proposalId)][guardian];
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Forward an approved action to the DAO, or its treasury vault for halts, using
+     * the council's guardian role
+     */
+    function _perform(Action action, uint256 proposalId) internal {
+        if (action == Action.Cancel) {
+            dao.cancelProposal(proposalId);
+        } else if (action == Action.Pause) {
+            dao.pause();
+        } else if (action == Action.Unpause) {
+            dao.unpause();
+        } else {
+            dao.treasuryVault().haltTranches(proposalId);
+        }
+    }
+    
+    /**
+     * @dev Count approvers of a round whose term is still running
+     */
+    function _countActiveApprovals(bytes32 key) internal view returns (uint256 count) {
+        address[] storage approvers = _approvers[key];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (isActiveGuardian(approvers[i])) {
+                count++;
+            }
+        }
+    }
+    
+    /**
+     * @dev Add a guardian whose term starts now
+     */
+    function _addGuardian(address guardian) internal {
+        require(guardian != address(0), "Invalid guardian");
+        require(termEnds[guardian] == 0, "Already a guardian");
+        require(_guardians.length < MAX_GUARDIANS, "Too many guardians");
+        
+        _guardians.push(guardian);
+        termEnds[guardian] = block.timestamp + termLength;
+        
+        emit GuardianAdded(guardian, termEnds[guardian]);
+    }
+    
+    /**
+     * @dev Remove a guardian and clear its term
+     */
+    function _removeGuardian(address guardian) internal {
+        require(termEnds[guardian] != 0, "Not a guardian");
+        
+        for (uint256 i = 0; i < _guardians.length; i++) {
+            if (_guardians[i] == guardian) {
+                _guardians[i] = _guardians[_guardians.length - 1];
+                _guardians.pop();
+                break;
+            }
+        }
+        delete termEnds[guardian];
+        
+        emit GuardianRemoved(guardian);
+    }
+    
+    /**
+     * @dev Store the approval threshold, which must be reachable by the guardians with a running term
+     */
+    function _setThreshold(uint256 newThreshold) internal {
+        require(newThreshold > 0, "Threshold must be greater than 0");
+        require(newThreshold <= activeGuardianCount(), "Threshold exceeds active guardian count");
+        threshold = newThreshold;
+        emit ThresholdUpdated(newThreshold);
+    }
+    
+    /**
+     * @dev Store the term length
+     */
+    function _setTermLength(uint256 newTermLength) internal {
+        require(newTermLength > 0, "Term length must be greater than 0");
+        termLength = newTermLength;
+        emit TermLengthUpdated(newTermLength);
+    }
+}
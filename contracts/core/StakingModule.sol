@@ -0,0 +1,780 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../interfaces/IGovernance.sol";
+import "../libraries/Checkpoints.sol";
+import "../libraries/DelegationLogic.sol";
+import "../libraries/GovernanceConstants.sol";
+import "../libraries/GrowthCheckpoints.sol";
+import "../libraries/StakeLogic.sol";
+import "../libraries/VotingLogic.sol";
+import "./CryptoVenturesDAO.sol";
+
+/**
+ * @title StakingModule
+ * @dev Staking and voting module of CryptoVenturesDAO: member stake, time-weighted
+ * voting power, delegation, voting power checkpoints and vote casting.
+ * Votes are tallied on the DAO, which only accepts them from this module.
+ * Stake is held in this contract's own balance, apart from the treasury vault, and only
+ * leaves it back to the member it belongs to. Passed proposals reach this module
+ * through its governance setters alone, so no proposal can spend stake.
+ * Runs behind an ERC1967Proxy that keeps stake and voting state; a HighConviction
+ * proposal can upgrade it like the DAO itself.
+ */
+contract StakingModule is IVotable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
+    // ============ Structs ============
+    struct Member {
+        uint256 stake;
+        uint256 stakePower;        // Power from stake and lock, the age bonus grows on top
+        address delegateTo;        // First delegate, zero when not delegating
+        uint256 delegatedPower;    // Stake power other members delegated to this one
+        uint256 stakeSince;        // Stake-weighted start time, the age bonus grows from it
+        uint256 lockedUntil;       // End of a voluntary lock, blocks withdrawals until then
+        uint256 lockDuration;      // Notice period of a lock not yet unlocking, sets the lock bonus
+    }
+    
+    struct VotingPowerBoost {
+        uint256 maxAgeBonus;       // Basis points added once stake reaches ageBonusPeriod
+        uint256 ageBonusPeriod;
+        uint256 maxLockBonus;      // Basis points added for a notice period of maxLockDuration or more
+        uint256 maxLockDuration;
+    }
+    
+    struct PendingWithdrawal {
+        uint256 amount;
+        uint256 releaseTime;
+    }
+    
+    struct VoteLock {
+        uint256 proposalId;
+        uint256 stake;
+    }
+    
+    struct SignedBallot {
+        uint256 proposalId;
+        CryptoVenturesDAO.VoteType voteType;
+        address voter;
+        uint256 nonce;
+        uint256 deadline;
+        bytes signature;
+    }
+    
+    // ============ EIP-712 ============
+    bytes32 public constant BALLOT_TYPEHASH = VotingLogic.BALLOT_TYPEHASH;
+    
+    // ============ State Variables ============
+    CryptoVenturesDAO public dao;
+    
+    // Member management
+    mapping(address => Member) public members;
+    uint256 public totalStaked;
+    uint256 public totalStakePower;
+    address[] public memberList;
+    mapping(address => uint256) private _memberListPosition; // index + 1, zero when not listed
+    
+    // Stake leaving the DAO by withdrawal request, each claimable after its own release time
+    mapping(address => PendingWithdrawal[]) private _pendingWithdrawals;
+    uint256 public unbondingPeriod;
+    
+    // Stake committed by each vote on a proposal that has not resolved yet
+    mapping(address => VoteLock[]) private _voteLocks;
+    
+    // Next expected ballot nonce per voter for signed votes
+    mapping(address => uint256) public nonces;
+    
+    // Split of each member's voting power across delegates
+    mapping(address => DelegationLogic.Delegation[]) private _delegations;
+    
+    // Stake power history (own + delegated) used for proposal snapshots
+    mapping(address => Checkpoints.History) private _votingPowerCheckpoints;
+    Checkpoints.History private _totalVotingPowerCheckpoints;
+    
+    // Age bonus of each member's stake, split like its stake power, read at snapshots
+    // as it has grown by then so it never depends on when power was last updated
+    DelegationLogic.AgeBonuses private _ageBonuses;
+    
+    // Voting power calculation parameters
+    uint256 public constant VOTING_POWER_COEFFICIENT = StakeLogic.VOTING_POWER_COEFFICIENT; // Used for square root approximation
+    
+    // Stake-age and lock boosts on top of the square root base power
+    VotingPowerBoost public votingPowerBoost;
+    
+    // Once the DAO has been paused for emergencyWithdrawalWindow without a break,
+    // members can reclaim their own stake; a zero window disables this
+    uint256 public emergencyWithdrawalWindow;
+    
+    // Members who opted in to receive delegated voting power, with their profiles
+    mapping(address => DelegationLogic.DelegateProfile) public delegateProfiles;
+    
+    // Stake history per member and in total, used to size ragequit shares at a
+    // proposal's snapshot
+    mapping(address => Checkpoints.History) private _stakeCheckpoints;
+    Checkpoints.History private _totalStakeCheckpoints;
+    
+    // ============ Events ============
+    event MemberJoined(address indexed member, uint256 stake, uint256 votingPower);
+    event StakeIncreased(address indexed member, uint256 additionalStake, uint256 newVotingPower);
+    event StakeWithdrawn(address indexed member, uint256 amount, uint256 newVotingPower);
+    event WithdrawalRequested(address indexed member, uint256 amount, uint256 releaseTime);
+    event WithdrawalClaimed(address indexed member, uint256 amount);
+    event UnbondingPeriodUpdated(uint256 unbondingPeriod);
+    event StakeLocked(address indexed member, uint256 lockDuration);
+    event StakeUnlocking(address indexed member, uint256 lockedUntil);
+    event VotingPowerUpdated(address indexed member, uint256 votingPower);
+    event VotingPowerBoostUpdated(
+        uint256 maxAgeBonus,
+        uint256 ageBonusPeriod,
+        uint256 maxLockBonus,
+        uint256 maxLockDuration
+    );
+    
+    event VoteCast(
+        address indexed voter,
+        uint256 indexed proposalId,
+        CryptoVenturesDAO.VoteType voteType,
+        uint256 votingPower
+    );
+    
+    event VoteCastWithReason(
+        address indexed voter,
+        uint256 indexed proposalId,
+        CryptoVenturesDAO.VoteType voteType,
+        uint256 votingPower,
+        string reason
+    );
+    
+    event VoteChanged(
+        address indexed voter,
+        uint256 indexed proposalId,
+        CryptoVenturesDAO.VoteType previousVoteType,
+        CryptoVenturesDAO.VoteType newVoteType,
+        uint256 votingPower
+    );
+    
+    event VotingPowerDelegated(
+        address indexed delegator,
+        address indexed delegatee,
+        uint256 votingPower
+    );
+    
+    event DelegationRevoked(
+        address indexed delegator,
+        address indexed previousDelegatee,
+        uint256 votingPower
+    );
+    
+    event DelegateRegistered(address indexed delegate, string metadataURI, string statement);
+    event DelegateDeregistered(address indexed delegate);
+    
+    event Ragequit(
+        address indexed member,
+        uint256 indexed proposalId,
+        uint256 stakeReturned,
+        uint256 treasuryShare
+    );
+    
+    event EmergencyWithdrawal(address indexed member, uint256 amount);
+    event EmergencyWithdrawalWindowUpdated(uint256 emergencyWithdrawalWindow);
+    
+    // ============ Modifiers ============
+    
+    /**
+     * @dev Restrict to the DAO's timelock executing a passed proposal
+     */
+    modifier onlyGovernance() {
+        require(msg.sender == address(dao.timelock()), "Only callable through a proposal");
+        _;
+    }
+    
+    /**
+     * @dev Follow the DAO's emergency pause
+     */
+    modifier whenDAONotPaused() {
+        require(!dao.paused(), "DAO paused");
+        _;
+    }
+    
+    // ============ Constructor ============
+    
+    /**
+     * @dev State lives in the proxy, so the implementation's own storage is never initialized
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Start with the default unbonding period, emergency window and voting power boosts,
+     * run once by the proxy's deployment
+     */
+    function initialize(CryptoVenturesDAO _dao) external initializer {
+        require(address(_dao) != address(0), "Invalid DAO");
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        dao = _dao;
+        
+        // Up to 2x after a year of stake, up to +50% while a year is locked
+        _setVotingPowerBoost(VotingPowerBoost({
+            maxAgeBonus: 10000,
+            ageBonusPeriod: 365 days,
+            maxLockBonus: 5000,
+            maxLockDuration: 365 days
+        }));
+        
+        unbondingPeriod = GovernanceConstants.DEFAULT_UNBONDING_PERIOD;
+        emergencyWithdrawalWindow = 30 days;
+    }
+    
+    // ============ Member Functions ============
+    
+    /**
+     * @dev Join DAO by depositing ETH stake
+     * Voting power calculated using square root to reduce whale dominance, boosted by stake age and locks
+     */
+    function joinDAO() external payable nonReentrant whenDAONotPaused {
+        require(msg.value > 0, "Must deposit ETH");
+        
+        Member storage member = members[msg.sender];
+        
+        if (member.stake == 0) {
+            StakeLogic.addToMemberList(memberList, _memberListPosition, msg.sender);
+            dao.setProposer(msg.sender, true);
+        }
+        
+        StakeLogic.addStake(member, msg.value);
+        totalStaked += msg.value;
+        
+        uint256 oldStakePower = _updateVotingPower(msg.sender);
+        
+        if (oldStakePower == 0) {
+            emit MemberJoined(msg.sender, msg.value, getVotingPower(msg.sender));
+        } else {
+            emit StakeIncreased(msg.sender, msg.value, getVotingPower(msg.sender));
+        }
+    }
+    
+    /**
+     * @dev Withdraw stake from DAO
+     * Voting power is removed immediately; the ETH can be claimed after the unbonding period.
+     * Stake that backed a vote on a still Active or Queued proposal cannot be withdrawn.
+     */
+    function withdrawStake(uint256 amount) external nonReentrant whenDAONotPaused {
+        StakeLogic.withdraw(
+            members[msg.sender],
+            _pendingWithdrawals[msg.sender],
+            amount,
+            _releaseVoteLocks(msg.sender, 0),
+            unbondingPeriod
+        );
+        totalStaked -= amount;
+        
+        _updateVotingPower(msg.sender);
+        if (members[msg.sender].stake == 0) {
+            _removeMember(msg.sender);
+        }
+        
+        emit StakeWithdrawn(msg.sender, amount, getVotingPower(msg.sender));
+    }
+    
+    /**
+     * @dev Lock all stake with a notice period of `duration` in exchange for a voting power
+     * boost that grows with the notice period. The stake stays locked until `duration`
+     * after unlockStake. A notice period can be lengthened but not shortened.
+     */
+    function lockStake(uint256 duration) external whenDAONotPaused {
+        StakeLogic.lock(members[msg.sender], votingPowerBoost, duration);
+        _updateVotingPower(msg.sender);
+    }
+    
+    /**
+     * @dev Start the notice period of the caller's lock, dropping the lock bonus right away
+     */
+    function unlockStake() external whenDAONotPaused {
+        StakeLogic.unlock(members[msg.sender]);
+        _updateVotingPower(msg.sender);
+    }
+    
+    /**
+     * @dev Drop an account without stake from the member list, e.g. one that withdrew
+     * everything before withdrawals removed members. Callable by anyone.
+     */
+    function pruneMember(address account) external {
+        require(members[account].stake == 0, "Member has stake");
+        _removeMember(account);
+    }
+    
+    /**
+     * @dev Claim every withdrawal request whose unbonding period has elapsed
+     */
+    function claimWithdrawal() external nonReentrant whenDAONotPaused {
+        StakeLogic.claimWithdrawal(_pendingWithdrawals[msg.sender]);
+    }
+    
+    /**
+     * @dev Exit the DAO during a proposal's timelock, taking stake plus a pro-rata
+     * share of the treasury category the proposal draws from, paid by the vault
+     * Only members who had voting power at the proposal's snapshot and voted Against it
+     * or did not vote on it can ragequit
+     */
+    function ragequit(uint256 proposalId) external nonReentrant whenDAONotPaused {
+        uint256 snapshot = dao.proposalSnapshots(proposalId);
+        require(getPastVotes(msg.sender, snapshot) > 0, "No voting power at proposal snapshot");
+        (
+            CryptoVenturesDAO.TreasuryCategory category,
+            uint256 stake,
+            uint256 snapshotStake,
+            uint256 snapshotTotalStake
+        ) = StakeLogic.ragequit(
+            dao,
+            proposalId,
+            members[msg.sender],
+            _stakeCheckpoints[msg.sender],
+            _totalStakeCheckpoints,
+            snapshot
+        );
+        require(_releaseVoteLocks(msg.sender, proposalId) == 0, "Stake locked by open vote");
+        
+        _exit(stake, stake);
+        uint256 treasuryShare = dao.treasuryVault().payShare(category, msg.sender, snapshotStake, snapshotTotalStake);
+        
+        emit Ragequit(msg.sender, proposalId, stake, treasuryShare);
+    }
+    
+    /**
+     * @dev Reclaim the caller's stake, including stake still unbonding, once the DAO
+     * has been paused for emergencyWithdrawalWindow without a break. Guards against a
+     * pause that is renewed indefinitely. Pays out only the caller's own stake, leaving
+     * the treasury and proposals as they are; delegations are revoked and the caller
+     * leaves the member list.
+     */
+    function emergencyWithdraw() external nonReentrant {
+        if (members[msg.sender].delegateTo != address(0)) {
+            _revokeDelegation(msg.sender);
+        }
+        (uint256 stake, uint256 amount) = StakeLogic.clearForEmergency(
+            members[msg.sender],
+            _pendingWithdrawals[msg.sender],
+            emergencyWithdrawalWindow > 0 &&
+                dao.paused() &&
+                block.timestamp >= dao.pausedSince() + emergencyWithdrawalWindow
+        );
+        
+        _exit(stake, amount);
+        
+        emit EmergencyWithdrawal(msg.sender, amount);
+    }
+    
+    // ============ Voting Power Views ============
+    
+    /**
+     * @dev Get an account's unclaimed withdrawal requests with their amounts and release times
+     */
+    function getPendingWithdrawals(address account) external view returns (PendingWithdrawal[] memory) {
+        return _pendingWithdrawals[account];
+    }
+    
+    /**
+     * @dev Get the stake that cannot currently be withdrawn because it backed an open vote
+     */
+    function getLockedStake(address account) public view returns (uint256) {
+        return VotingLogic.lockedStake(_voteLocks[account], dao);
+    }
+    
+    /**
+     * @dev Get current voting power of a member: stake power plus the age bonus so far
+     */
+    function getVotingPower(address account) public view returns (uint256) {
+        return members[account].stakePower +
+            GrowthCheckpoints.valueOf(_ageBonuses.growths[account], block.timestamp);
+    }
+    
+    /**
+     * @dev Get effective voting power (own power not delegated away + delegated)
+     */
+    function getEffectiveVotingPower(address account) public view returns (uint256) {
+        return DelegationLogic.votablePower(members, _delegations, delegateProfiles, _ageBonuses, account);
+    }
+    
+    /**
+     * @dev Get the voting power other members currently delegate to an account
+     */
+    function getDelegatedPower(address account) external view returns (uint256) {
+        return DelegationLogic.delegatedPower(members, _ageBonuses, account);
+    }
+    
+    /**
+     * @dev Get current total voting power across all members
+     */
+    function totalVotingPower() external view returns (uint256) {
+        return totalStakePower + GrowthCheckpoints.valueAt(_ageBonuses.total, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the voting power an account could vote with at a past timestamp
+     * Delegated-away power counts towards the delegate, not the delegator
+     */
+    function getPastVotes(address account, uint256 timepoint) public view returns (uint256) {
+        require(timepoint < block.timestamp, "Timepoint not yet finalized");
+        return DelegationLogic.pastVotes(_votingPowerCheckpoints[account], _ageBonuses, account, timepoint);
+    }
+    
+    /**
+     * @dev Get total voting power at a past timestamp
+     */
+    function getPastTotalVotingPower(uint256 timepoint) public view returns (uint256) {
+        require(timepoint < block.timestamp, "Timepoint not yet finalized");
+        return DelegationLogic.pastTotal(_totalVotingPowerCheckpoints, _ageBonuses, timepoint);
+    }
+    
+    /**
+     * @dev Get member count. Members leave the list once they withdraw all their stake.
+     */
+    function getMemberCount() external view returns (uint256) {
+        return memberList.length;
+    }
+    
+    // ============ Delegation Functions ============
+    
+    /**
+     * @dev Opt in to receiving delegated voting power with a metadata URI describing the
+     * delegate and an optional statement, or update them if already registered
+     */
+    function registerDelegate(string memory metadataURI, string memory statement) external whenDAONotPaused {
+        DelegationLogic.register(members, delegateProfiles, _ageBonuses, msg.sender, metadataURI, statement);
+    }
+    
+    /**
+     * @dev Stop receiving delegated voting power; delegations to the caller revert to
+     * their delegators, the first batch right away and the rest through releaseDelegators
+     */
+    function deregisterDelegate() external whenDAONotPaused {
+        _deregisterDelegate(msg.sender);
+    }
+    
+    /**
+     * @dev Return delegated power to up to `count` remaining delegators of a deregistered
+     * delegate. Anyone can call this.
+     */
+    function releaseDelegators(address delegate, uint256 count) external whenDAONotPaused {
+        DelegationLogic.release(
+            members,
+            _delegations,
+            _votingPowerCheckpoints,
+            delegateProfiles,
+            _ageBonuses,
+            _voteLocks,
+            dao,
+            delegate,
+            count
+        );
+    }
+    
+    /**
+     * @dev Delegate all voting power to a registered delegate
+     */
+    function delegateVotingPower(address delegatee) external whenDAONotPaused {
+        DelegationLogic.delegateAll(
+            members,
+            _delegations,
+            _votingPowerCheckpoints,
+            delegateProfiles,
+            _ageBonuses,
+            _voteLocks,
+            dao,
+            msg.sender,
+            delegatee
+        );
+    }
+    
+    /**
+     * @dev Split voting power across registered delegates by basis-point weights, replacing
+     * any existing delegations. Weight not assigned stays with the member to vote directly.
+     */
+    function setDelegations(address[] memory delegatees, uint256[] memory weights) external whenDAONotPaused {
+        DelegationLogic.setDelegations(
+            members,
+            _delegations,
+            _votingPowerCheckpoints,
+            delegateProfiles,
+            _ageBonuses,
+            _voteLocks,
+            dao,
+            msg.sender,
+            delegatees,
+            weights
+        );
+    }
+    
+    /**
+     * @dev Revoke all delegations
+     */
+    function revokeDelegation() external whenDAONotPaused {
+        _revokeDelegation(msg.sender);
+    }
+    
+    /**
+     * @dev Get an account's delegates and their basis-point weights
+     */
+    function getDelegations(address account) external view returns (
+        address[] memory delegatees,
+        uint256[] memory weights
+    ) {
+        DelegationLogic.Delegation[] storage split = _delegations[account];
+        delegatees = new address[](split.length);
+        weights = new uint256[](split.length);
+        
+        for (uint256 i = 0; i < split.length; i++) {
+            delegatees[i] = split[i].delegatee;
+            weights[i] = split[i].weight;
+        }
+    }
+    
+    /**
+     * @dev Get the accounts delegating any voting power to a delegate
+     */
+    function getDelegators(address delegate) external view returns (address[] memory) {
+        return delegateProfiles[delegate].delegators;
+    }
+    
+    // ============ Voting Functions ============
+    
+    /**
+     * @dev Cast a vote on an active proposal. Takes the vote type as a uint8 to match
+     * IVotable, so out-of-range values are rejected before converting it.
+     */
+    function castVote(uint256 proposalId, uint8 voteType) external whenDAONotPaused {
+        require(voteType <= uint8(CryptoVenturesDAO.VoteType.Abstain), "Invalid vote type");
+        _castVote(proposalId, msg.sender, CryptoVenturesDAO.VoteType(voteType));
+    }
+    
+    /**
+     * @dev Cast a vote on an active proposal with a rationale recorded in the event log
+     */
+    function castVoteWithReason(uint256 proposalId, CryptoVenturesDAO.VoteType voteType, string calldata reason)
+        external
+        whenDAONotPaused
+    {
+        uint256 votingPower = _castVote(proposalId, msg.sender, voteType);
+        emit VoteCastWithReason(msg.sender, proposalId, voteType, votingPower, reason);
+    }
+    
+    /**
+     * @dev Move an existing vote to a different choice while the proposal is still Active
+     * The same snapshot voting power is taken off the old tally and added to the new one
+     */
+    function changeVote(uint256 proposalId, CryptoVenturesDAO.VoteType voteType) external whenDAONotPaused {
+        uint256 votingPower = getPastVotes(msg.sender, dao.proposalSnapshots(proposalId));
+        CryptoVenturesDAO.VoteType previousVoteType = dao.recordVoteChange(proposalId, msg.sender, voteType, votingPower);
+        
+        emit VoteChanged(msg.sender, proposalId, previousVoteType, voteType, votingPower);
+    }
+    
+    /**
+     * @dev Cast a vote on behalf of a member using their EIP-712 signed ballot
+     * Lets members vote from cold wallets while a relayer pays the gas. Ballots are
+     * signed for the "CryptoVenturesDAO" domain, version "1", with the DAO's proxy as
+     * the verifying contract.
+     */
+    function castVoteBySig(
+        uint256 proposalId,
+        CryptoVenturesDAO.VoteType voteType,
+        address voter,
+        uint256 nonce,
+        uint256 deadline,
+        bytes memory signature
+    ) public whenDAONotPaused {
+        VotingLogic.useBallot(nonces, dao, proposalId, voteType, voter, nonce, deadline, signature);
+        
+        _castVote(proposalId, voter, voteType);
+    }
+    
+    /**
+     * @dev Submit several signed ballots in one transaction
+     * Reverts entirely if any ballot is invalid
+     */
+    function castVotesBySig(SignedBallot[] calldata ballots) external whenDAONotPaused {
+        for (uint256 i = 0; i < ballots.length; i++) {
+            castVoteBySig(
+                ballots[i].proposalId,
+                ballots[i].voteType,
+                ballots[i].voter,
+                ballots[i].nonce,
+                ballots[i].deadline,
+                ballots[i].signature
+            );
+        }
+    }
+    
+    // ============ Governance Functions ============
+    
+    /**
+     * @dev Update the stake-age and lock boosts (called through a proposal). A member's
+     * power picks up the new values the next time their stake or lock changes.
+     */
+    function setVotingPowerBoost(
+        uint256 maxAgeBonus,
+        uint256 ageBonusPeriod,
+        uint256 maxLockBonus,
+        uint256 maxLockDuration
+    ) external onlyGovernance {
+        _setVotingPowerBoost(VotingPowerBoost(maxAgeBonus, ageBonusPeriod, maxLockBonus, maxLockDuration));
+    }
+    
+    /**
+     * @dev Update the delay between requesting and claiming a stake withdrawal (called through a proposal)
+     */
+    function setUnbondingPeriod(uint256 newUnbondingPeriod) external onlyGovernance {
+        unbondingPeriod = newUnbondingPeriod;
+        emit UnbondingPeriodUpdated(newUnbondingPeriod);
+    }
+    
+    /**
+     * @dev Update how long a pause has to last before members can reclaim their stake
+     * (called through a proposal)
+     */
+    function setEmergencyWithdrawalWindow(uint256 newWindow) external onlyGovernance {
+        require(newWindow > 0, "Window must be greater than 0");
+        emergencyWithdrawalWindow = newWindow;
+        emit EmergencyWithdrawalWindowUpdated(newWindow);
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Upgrades go through upgradeToAndCall on the proxy, which only a passed proposal may call
+     */
+    function _authorizeUpgrade(address) internal view override onlyGovernance {}
+    
+    /**
+     * @dev Store the stake-age and lock boosts after checking their bounds
+     */
+    function _setVotingPowerBoost(VotingPowerBoost memory boost) internal {
+        StakeLogic.configure(votingPowerBoost, boost);
+    }
+    
+    /**
+     * @dev Have the DAO tally a vote with the voter's snapshot voting power, then lock
+     * the voter's stake behind it
+     */
+    function _castVote(
+        uint256 proposalId,
+        address voter,
+        CryptoVenturesDAO.VoteType voteType
+    ) internal returns (uint256 votingPower) {
+        votingPower = getPastVotes(voter, dao.proposalSnapshots(proposalId));
+        dao.recordVote(proposalId, voter, voteType, votingPower);
+        
+        // Delegators copy these locks when they leave, so keep only those on open proposals
+        _releaseVoteLocks(voter, 0);
+        VotingLogic.castVote(
+            _voteLocks[voter],
+            proposalId,
+            voter,
+            voteType,
+            votingPower,
+            members[voter].stake,
+            DelegationLogic.retainedWeight(_delegations[voter]) == 0
+        );
+    }
+    
+    /**
+     * @dev Drop vote locks on resolved proposals and return the stake still locked
+     * by any open proposal other than `ignoredProposalId`
+     */
+    function _releaseVoteLocks(address account, uint256 ignoredProposalId) internal returns (uint256) {
+        return VotingLogic.releaseVoteLocks(_voteLocks[account], dao, ignoredProposalId);
+    }
+    
+    /**
+     * @dev Remove an account from the member list, its proposer role and the delegate registry
+     */
+    function _removeMember(address account) internal {
+        if (delegateProfiles[account].registered) {
+            _deregisterDelegate(account);
+        }
+        if (StakeLogic.removeFromMemberList(memberList, _memberListPosition, account)) {
+            dao.setProposer(account, false);
+        }
+    }
+    
+    /**
+     * @dev Revoke all of a delegator's delegations
+     */
+    function _revokeDelegation(address delegator) internal {
+        DelegationLogic.revoke(
+            members,
+            _delegations,
+            _votingPowerCheckpoints,
+            delegateProfiles,
+            _ageBonuses,
+            _voteLocks,
+            dao,
+            delegator
+        );
+    }
+    
+    /**
+     * @dev Deregister a delegate, returning delegated power to its delegators
+     */
+    function _deregisterDelegate(address delegate) internal {
+        DelegationLogic.deregister(
+            members,
+            _delegations,
+            _votingPowerCheckpoints,
+            delegateProfiles,
+            _ageBonuses,
+            _voteLocks,
+            dao,
+            delegate
+        );
+    }
+    
+    /**
+     * @dev Take a departing caller's cleared stake out of the total, zero their voting
+     * power, drop them from the member list and pay them out
+     */
+    function _exit(uint256 stake, uint256 amount) internal {
+        totalStaked -= stake;
+        
+        _updateVotingPower(msg.sender);
+        _removeMember(msg.sender);
+        
+        payable(msg.sender).transfer(amount);
+    }
+    
+    /**
+     * @dev Recalculate an account's stake power and age bonus after its stake or lock
+     * changed, keeping totals, delegates and checkpoints consistent, and return the
+     * previous stake power
+     */
+    function _updateVotingPower(address account) internal returns (uint256 oldStakePower) {
+        Member storage member = members[account];
+        GrowthCheckpoints.Growth memory ageBonus;
+        (oldStakePower, ageBonus) = StakeLogic.update(
+            member,
+            votingPowerBoost,
+            _stakeCheckpoints[account],
+            _totalStakeCheckpoints,
+            totalStaked
+        );
+        
+        totalStakePower = totalStakePower - oldStakePower + member.stakePower;
+        
+        // Also moves the age bonus and re-credits delegates if delegated
+        DelegationLogic.refresh(
+            members,
+            _delegations,
+            _votingPowerCheckpoints,
+            delegateProfiles,
+            _ageBonuses,
+            account,
+            ageBonus
+        );
+        DelegationLogic.checkpointTotal(_totalVotingPowerCheckpoints, totalStakePower);
+        
+        emit VotingPowerUpdated(account, getVotingPower(account));
+    }
+}
@@ -0,0 +1,548 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IGovernance.sol";
+import "../libraries/Checkpoints.sol";
+import "../libraries/GovernanceConstants.sol";
+import "./CryptoVenturesDAO.sol";
+
+/**
+ * @title TreasuryVault
+ * @dev Holds CryptoVenturesDAO's treasury: ETH and ERC-20 balances per category, their
+ * deposit limits and outflow caps, and the ETH reserved for tranche payouts.
+ * Member stake stays in the DAO's staking module, so no treasury call can reach it and
+ * no stake call can reach the treasury. Funds only leave through the DAO's proposal,
+ * the staking module's ragequit and the funding module paths, through tranche claims,
+ * or back to the treasury on a halt.
+ * Runs behind an ERC1967Proxy that holds the funds; a HighConviction proposal can
+ * upgrade it like the DAO itself.
+ */
+contract TreasuryVault is ITreasuryManagement, ReentrancyGuardUpgradeable, UUPSUpgradeable {
+    using Checkpoints for Checkpoints.History;
+    using SafeERC20 for IERC20;
+    
+    // ============ Structs ============
+    struct SpendingCap {
+        uint256 budget;            // Max ETH paid out per trailing period
+        uint256 period;            // Length of the trailing window in seconds
+    }
+    
+    struct Tranche {
+        uint256 amount;
+        uint256 unlockTime;        // Zero for a milestone awaiting confirmation by governance
+        bool released;
+    }
+    
+    struct TrancheSchedule {
+        Tranche[] tranches;
+        address recipient;
+        CryptoVenturesDAO.TreasuryCategory category;
+        uint256 executedTime;      // Set when the proposal executes and the first tranche is paid
+        bool halted;
+    }
+    
+    // ============ Constants ============
+    uint256 public constant MAX_CATEGORY_TOKENS = 20;  // Bounds the tokens a ragequit pays out
+    
+    // ============ State Variables ============
+    CryptoVenturesDAO public dao;
+    
+    mapping(CryptoVenturesDAO.TreasuryCategory => uint256) public treasuryBalances;
+    mapping(CryptoVenturesDAO.TreasuryCategory => uint256) public treasuryLimits;
+    mapping(address => mapping(CryptoVenturesDAO.TreasuryCategory => uint256)) public tokenTreasuryBalances;
+    
+    // ETH held back for unreleased tranches, not spendable by other proposals
+    mapping(CryptoVenturesDAO.TreasuryCategory => uint256) public reservedTreasuryBalances;
+    
+    // Outflow budget per category and cumulative ETH paid out of it
+    mapping(CryptoVenturesDAO.TreasuryCategory => SpendingCap) public spendingCaps;
+    mapping(CryptoVenturesDAO.TreasuryCategory => Checkpoints.History) private _outflowCheckpoints;
+    
+    // Payment schedule of tranche proposals by DAO proposal id
+    mapping(uint256 => TrancheSchedule) private _trancheSchedules;
+    
+    // ERC-20 tokens each category holds a balance of, paid out pro rata on ragequit
+    mapping(CryptoVenturesDAO.TreasuryCategory => address[]) private _categoryTokens;
+    
+    // ============ Events ============
+    event TreasuryDeposit(CryptoVenturesDAO.TreasuryCategory indexed category, uint256 amount);
+    event TokenTreasuryDeposit(
+        CryptoVenturesDAO.TreasuryCategory indexed category,
+        address indexed token,
+        uint256 amount
+    );
+    event TokenSharePaid(
+        CryptoVenturesDAO.TreasuryCategory indexed category,
+        address indexed token,
+        address indexed recipient,
+        uint256 amount
+    );
+    event TreasuryLimitUpdated(CryptoVenturesDAO.TreasuryCategory indexed category, uint256 limit);
+    event SpendingCapUpdated(CryptoVenturesDAO.TreasuryCategory indexed category, uint256 budget, uint256 period);
+    event FundingModulePayout(
+        address indexed module,
+        CryptoVenturesDAO.TreasuryCategory indexed category,
+        address recipient,
+        uint256 amount
+    );
+    event TrancheReleased(
+        uint256 indexed proposalId,
+        uint256 indexed trancheIndex,
+        address recipient,
+        uint256 amount
+    );
+    event MilestoneConfirmed(uint256 indexed proposalId, uint256 indexed trancheIndex);
+    event TranchesHalted(uint256 indexed proposalId, address indexed haltedBy, uint256 returnedAmount);
+    
+    // ============ Modifiers ============
+    
+    /**
+     * @dev Restrict to the DAO creating or executing a proposal
+     */
+    modifier onlyDAO() {
+        require(msg.sender == address(dao), "Only callable by the DAO");
+        _;
+    }
+    
+    /**
+     * @dev Restrict to the DAO's timelock performing a passed proposal's action
+     */
+    modifier onlyGovernance() {
+        require(msg.sender == address(dao.timelock()), "Only callable through a proposal");
+        _;
+    }
+    
+    /**
+     * @dev Follow the DAO's emergency pause
+     */
+    modifier whenDAONotPaused() {
+        require(!dao.paused(), "DAO paused");
+        _;
+    }
+    
+    // ============ Constructor ============
+    
+    /**
+     * @dev State lives in the proxy, so the implementation's own storage is never initialized
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Leave every category unlimited and its outflows uncapped until governance
+     * sets a limit or budget, run once by the proxy's deployment
+     */
+    function initialize(CryptoVenturesDAO _dao) external initializer {
+        require(address(_dao) != address(0), "Invalid DAO");
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        dao = _dao;
+        
+        for (uint8 i = 0; i <= uint8(CryptoVenturesDAO.TreasuryCategory.OperationalFund); i++) {
+            CryptoVenturesDAO.TreasuryCategory category = CryptoVenturesDAO.TreasuryCategory(i);
+            treasuryLimits[category] = type(uint256).max;
+            spendingCaps[category] = SpendingCap(type(uint256).max, GovernanceConstants.DEFAULT_SPENDING_CAP_PERIOD);
+        }
+    }
+    
+    // ============ Deposit Functions ============
+    
+    /**
+     * @dev Deposit ETH to a treasury category, within its limit
+     */
+    function depositToTreasury(uint8 category) external payable whenDAONotPaused {
+        CryptoVenturesDAO.TreasuryCategory treasuryCategory = CryptoVenturesDAO.TreasuryCategory(category);
+        require(msg.value > 0, "Must deposit ETH");
+        require(
+            treasuryBalances[treasuryCategory] + msg.value <= treasuryLimits[treasuryCategory],
+            "Exceeds treasury limit"
+        );
+        
+        treasuryBalances[treasuryCategory] += msg.value;
+        
+        emit TreasuryDeposit(treasuryCategory, msg.value);
+    }
+    
+    /**
+     * @dev Deposit ERC-20 tokens to a treasury category
+     * Caller must approve the vault for the amount first
+     */
+    function depositTokenToTreasury(CryptoVenturesDAO.TreasuryCategory category, address token, uint256 amount)
+        external
+        nonReentrant
+        whenDAONotPaused
+    {
+        require(token != address(0), "Invalid token");
+        require(amount > 0, "Must deposit tokens");
+        
+        // Credit what actually arrived so fee-on-transfer tokens cannot inflate balances
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        
+        if (tokenTreasuryBalances[token][category] == 0 && received > 0) {
+            require(_categoryTokens[category].length < MAX_CATEGORY_TOKENS, "Too many treasury tokens");
+            _categoryTokens[category].push(token);
+        }
+        tokenTreasuryBalances[token][category] += received;
+        
+        emit TokenTreasuryDeposit(category, token, received);
+    }
+    
+    // ============ DAO Functions ============
+    
+    /**
+     * @dev Debit an executing proposal's amount from its category within the spending cap
+     * and send the DAO's timelock the ETH its actions pay out. For a tranche proposal only the first
+     * tranche is sent and the rest stays in the vault, reserved until claimed or halted.
+     */
+    function fundProposal(uint256 proposalId, CryptoVenturesDAO.TreasuryCategory category, uint256 amount)
+        external
+        onlyDAO
+        nonReentrant
+    {
+        require(treasuryBalances[category] >= amount, "Insufficient treasury funds");
+        
+        // Reverting leaves the proposal Queued until the category's window frees up budget
+        _recordOutflow(category, amount);
+        treasuryBalances[category] -= amount;
+        
+        TrancheSchedule storage schedule = _trancheSchedules[proposalId];
+        if (schedule.tranches.length > 0) {
+            Tranche storage first = schedule.tranches[0];
+            first.released = true;
+            schedule.executedTime = block.timestamp;
+            reservedTreasuryBalances[category] += amount - first.amount;
+            amount = first.amount;
+            
+            emit TrancheReleased(proposalId, 0, schedule.recipient, first.amount);
+        }
+        
+        if (amount > 0) {
+            Address.sendValue(payable(address(dao.timelock())), amount);
+        }
+    }
+    
+    /**
+     * @dev Pay an executing proposal's ERC-20 amount out of its category
+     */
+    function transferToken(
+        CryptoVenturesDAO.TreasuryCategory category,
+        address token,
+        address recipient,
+        uint256 amount
+    ) external onlyDAO nonReentrant {
+        require(tokenTreasuryBalances[token][category] >= amount, "Insufficient token treasury funds");
+        
+        tokenTreasuryBalances[token][category] -= amount;
+        if (tokenTreasuryBalances[token][category] == 0) {
+            _untrackToken(category, token);
+        }
+        IERC20(token).safeTransfer(recipient, amount);
+    }
+    
+    /**
+     * @dev Pay a member ragequitting through the staking module the share
+     * `stake / totalStake` of a category's ETH and of each ERC-20 token it holds,
+     * returning the ETH paid. A token whose transfer fails keeps its share in the
+     * category, so one broken token cannot block the exit.
+     */
+    function payShare(
+        CryptoVenturesDAO.TreasuryCategory category,
+        address recipient,
+        uint256 stake,
+        uint256 totalStake
+    ) external nonReentrant returns (uint256 share) {
+        require(msg.sender == address(dao.stakingModule()), "Only callable by the staking module");
+        
+        share = (treasuryBalances[category] * stake) / totalStake;
+        treasuryBalances[category] -= share;
+        
+        if (share > 0) {
+            Address.sendValue(payable(recipient), share);
+        }
+        
+        address[] storage tokens = _categoryTokens[category];
+        // Walk backwards so untracking a drained token does not skip the one moved into its place
+        for (uint256 i = tokens.length; i > 0; i--) {
+            address token = tokens[i - 1];
+            uint256 balance = tokenTreasuryBalances[token][category];
+            uint256 tokenShare = (balance * stake) / totalStake;
+            if (tokenShare == 0 || !IERC20(token).trySafeTransfer(recipient, tokenShare)) {
+                continue;
+            }
+            
+            tokenTreasuryBalances[token][category] = balance - tokenShare;
+            if (balance == tokenShare) {
+                _untrackToken(category, token);
+            }
+            
+            emit TokenSharePaid(category, token, recipient, tokenShare);
+        }
+    }
+    
+    /**
+     * @dev Store the payment schedule of the tranche proposal the DAO is creating,
+     * returning its total amount
+     */
+    function scheduleTranches(
+        uint256 proposalId,
+        address recipient,
+        CryptoVenturesDAO.TreasuryCategory category,
+        uint256[] memory amounts,
+        uint256[] memory unlockTimes
+    ) external onlyDAO returns (uint256 totalAmount) {
+        require(amounts.length > 1, "At least two tranches required");
+        require(amounts.length == unlockTimes.length, "Tranche length mismatch");
+        
+        TrancheSchedule storage schedule = _trancheSchedules[proposalId];
+        schedule.recipient = recipient;
+        schedule.category = category;
+        
+        for (uint256 i = 0; i < amounts.length; i++) {
+            require(amounts[i] > 0, "Amount must be greater than 0");
+            totalAmount += amounts[i];
+            schedule.tranches.push(Tranche({amount: amounts[i], unlockTime: unlockTimes[i], released: false}));
+        }
+    }
+    
+    // ============ Funding Module Functions ============
+    
+    /**
+     * @dev Pay out of a treasury category for a funding module such as conviction voting,
+     * within the category's spending cap. FUNDING_MODULE_ROLE is granted on the DAO
+     * through a proposal.
+     */
+    function fundingModulePayout(CryptoVenturesDAO.TreasuryCategory category, address recipient, uint256 amount)
+        external
+        nonReentrant
+        whenDAONotPaused
+    {
+        require(dao.hasRole(dao.FUNDING_MODULE_ROLE(), msg.sender), "Not a funding module");
+        require(amount > 0, "Amount must be greater than 0");
+        require(treasuryBalances[category] >= amount, "Insufficient treasury funds");
+        _recordOutflow(category, amount);
+        
+        treasuryBalances[category] -= amount;
+        Address.sendValue(payable(recipient), amount);
+        
+        emit FundingModulePayout(msg.sender, category, recipient, amount);
+    }
+    
+    // ============ Tranche Functions ============
+    
+    /**
+     * @dev Claim an unlocked tranche of an executed tranche proposal
+     */
+    function claimTranche(uint256 proposalId, uint256 trancheIndex) external nonReentrant whenDAONotPaused {
+        TrancheSchedule storage schedule = _trancheSchedules[proposalId];
+        require(msg.sender == schedule.recipient, "Only recipient can claim");
+        require(schedule.executedTime != 0, "Proposal not executed");
+        require(!schedule.halted, "Tranches halted");
+        require(trancheIndex < schedule.tranches.length, "Invalid tranche");
+        
+        Tranche storage tranche = schedule.tranches[trancheIndex];
+        require(!tranche.released, "Tranche already released");
+        require(tranche.unlockTime != 0 && block.timestamp >= tranche.unlockTime, "Tranche locked");
+        
+        tranche.released = true;
+        reservedTreasuryBalances[schedule.category] -= tranche.amount;
+        
+        Address.sendValue(payable(schedule.recipient), tranche.amount);
+        
+        emit TrancheReleased(proposalId, trancheIndex, schedule.recipient, tranche.amount);
+    }
+    
+    /**
+     * @dev Unlock a milestone tranche from now on (called through a follow-up proposal)
+     */
+    function confirmMilestone(uint256 proposalId, uint256 trancheIndex) external onlyGovernance {
+        TrancheSchedule storage schedule = _trancheSchedules[proposalId];
+        require(trancheIndex < schedule.tranches.length, "Invalid tranche");
+        
+        Tranche storage tranche = schedule.tranches[trancheIndex];
+        require(tranche.unlockTime == 0 && !tranche.released, "Not a pending milestone");
+        
+        tranche.unlockTime = block.timestamp;
+        
+        emit MilestoneConfirmed(proposalId, trancheIndex);
+    }
+    
+    /**
+     * @dev Stop all unreleased tranches of an executed proposal and return their
+     * reserved ETH to the treasury category and its spending budget. Callable by a
+     * guardian or a follow-up proposal.
+     */
+    function haltTranches(uint256 proposalId) external {
+        require(
+            msg.sender == address(dao.timelock()) || dao.hasRole(dao.GUARDIAN_ROLE(), msg.sender),
+            "Only guardian or governance can halt"
+        );
+        
+        TrancheSchedule storage schedule = _trancheSchedules[proposalId];
+        require(schedule.tranches.length > 0, "No tranches");
+        require(schedule.executedTime != 0, "Proposal not executed");
+        require(!schedule.halted, "Tranches halted");
+        
+        schedule.halted = true;
+        
+        uint256 remaining = 0;
+        for (uint256 i = 0; i < schedule.tranches.length; i++) {
+            if (!schedule.tranches[i].released) {
+                remaining += schedule.tranches[i].amount;
+            }
+        }
+        
+        CryptoVenturesDAO.TreasuryCategory category = schedule.category;
+        reservedTreasuryBalances[category] -= remaining;
+        treasuryBalances[category] += remaining;
+        
+        // Once the execution has left the trailing window it no longer counts against the
+        // budget, so only outflows recorded within the window need correcting
+        if (block.timestamp < schedule.executedTime + spendingCaps[category].period) {
+            _outflowCheckpoints[category].subtractSince(schedule.executedTime, remaining);
+        }
+        
+        emit TranchesHalted(proposalId, msg.sender, remaining);
+    }
+    
+    // ============ Governance Functions ============
+    
+    /**
+     * @dev Set treasury limit for a category (called through a proposal)
+     */
+    function setTreasuryLimit(CryptoVenturesDAO.TreasuryCategory category, uint256 limit) external onlyGovernance {
+        treasuryLimits[category] = limit;
+        emit TreasuryLimitUpdated(category, limit);
+    }
+    
+    /**
+     * @dev Set the outflow budget of a category (called through a proposal)
+     */
+    function setSpendingCap(CryptoVenturesDAO.TreasuryCategory category, uint256 budget, uint256 period)
+        external
+        onlyGovernance
+    {
+        require(period > 0, "Period must be greater than 0");
+        
+        spendingCaps[category] = SpendingCap({budget: budget, period: period});
+        
+        emit SpendingCapUpdated(category, budget, period);
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @dev Get how much ETH a category can still pay out in its current trailing window
+     */
+    function getRemainingSpendingBudget(CryptoVenturesDAO.TreasuryCategory category) public view returns (uint256) {
+        SpendingCap storage cap = spendingCaps[category];
+        if (cap.budget == type(uint256).max) {
+            return type(uint256).max;
+        }
+        
+        Checkpoints.History storage outflows = _outflowCheckpoints[category];
+        uint256 windowStart = block.timestamp > cap.period ? block.timestamp - cap.period : 0;
+        uint256 spent = outflows.upperLookup(block.timestamp) - outflows.upperLookup(windowStart);
+        
+        return spent >= cap.budget ? 0 : cap.budget - spent;
+    }
+    
+    /**
+     * @dev Get total treasury balance
+     */
+    function getTotalTreasuryBalance() external view returns (uint256) {
+        return treasuryBalances[CryptoVenturesDAO.TreasuryCategory.HighConvictionFund] +
+               treasuryBalances[CryptoVenturesDAO.TreasuryCategory.ExperimentalFund] +
+               treasuryBalances[CryptoVenturesDAO.TreasuryCategory.OperationalFund];
+    }
+    
+    /**
+     * @dev Get total treasury balance of an ERC-20 token
+     */
+    function getTotalTokenTreasuryBalance(address token) external view returns (uint256) {
+        return tokenTreasuryBalances[token][CryptoVenturesDAO.TreasuryCategory.HighConvictionFund] +
+               tokenTreasuryBalances[token][CryptoVenturesDAO.TreasuryCategory.ExperimentalFund] +
+               tokenTreasuryBalances[token][CryptoVenturesDAO.TreasuryCategory.OperationalFund];
+    }
+    
+    /**
+     * @dev Get the ERC-20 tokens a category holds a balance of
+     */
+    function getCategoryTokens(CryptoVenturesDAO.TreasuryCategory category) external view returns (address[] memory) {
+        return _categoryTokens[category];
+    }
+    
+    /**
+     * @dev Get the payment schedule of a tranche proposal
+     */
+    function getTranches(uint256 proposalId) external view returns (
+        uint256[] memory amounts,
+        uint256[] memory unlockTimes,
+        bool[] memory released
+    ) {
+        Tranche[] storage tranches = _trancheSchedules[proposalId].tranches;
+        amounts = new uint256[](tranches.length);
+        unlockTimes = new uint256[](tranches.length);
+        released = new bool[](tranches.length);
+        
+        for (uint256 i = 0; i < tranches.length; i++) {
+            amounts[i] = tranches[i].amount;
+            unlockTimes[i] = tranches[i].unlockTime;
+            released[i] = tranches[i].released;
+        }
+    }
+    
+    /**
+     * @dev Whether the remaining tranches of a proposal were halted
+     */
+    function tranchesHalted(uint256 proposalId) external view returns (bool) {
+        return _trancheSchedules[proposalId].halted;
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Upgrades go through upgradeToAndCall on the proxy, which only a passed proposal may call
+     */
+    function _authorizeUpgrade(address) internal view override onlyGovernance {}
+    
+    /**
+     * @dev Record an outflow, reverting if it does not fit in the remaining budget
+     */
+    function _recordOutflow(CryptoVenturesDAO.TreasuryCategory category, uint256 amount) internal {
+        require(amount <= getRemainingSpendingBudget(category), "Exceeds spending cap");
+        
+        Checkpoints.History storage outflows = _outflowCheckpoints[category];
+        outflows.push(block.timestamp, outflows.upperLookup(block.timestamp) + amount);
+    }
+    
+    /**
+     * @dev Drop a token whose balance in a category reached zero from the category's list
+     */
+    function _untrackToken(CryptoVenturesDAO.TreasuryCategory category, address token) internal {
+        address[] storage tokens = _categoryTokens[category];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == token) {
+                tokens[i] = tokens[tokens.length - 1];
+                tokens.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @dev Credit ETH sent without a category, e.g. donations and forfeited proposal
+     * bonds, to the Operational fund
+     */
+    receive() external payable {
+        treasuryBalances[CryptoVenturesDAO.TreasuryCategory.OperationalFund] += msg.value;
+    }
+}
@@ -27,3 +27,20 @@ interface ITreasuryManagement {
     function depositToTreasury(uint8 category) external payable;
     function getTotalTreasuryBalance() external view returns (uint256);
 }
+
+/**
+ * @title ITimelock
+ * @dev Interface for the delayed execution queue of passed proposals
+ */
+interface ITimelock {
+    function schedule(
+        uint256 proposalId,
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        uint256 delay
+    ) external;
+    function cancel(uint256 proposalId) external;
+    function execute(uint256 proposalId) external;
+    function readyTime(uint256 proposalId) external view returns (uint256);
+}
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Checkpoints
+ * @dev Timestamped value history used to look up voting power at a past point in time
+ */
+library Checkpoints {
+    struct Checkpoint {
+        uint256 fromTime;
+        uint256 value;
+    }
+
+    struct History {
+        Checkpoint[] checkpoints;
+    }
+
+    /**
+     * @dev Record a value at the given timestamp, overwriting an entry from the same timestamp
+     */
+    function push(History storage self, uint256 timepoint, uint256 value) internal {
+        uint256 length = self.checkpoints.length;
+
+        if (length > 0) {
+            Checkpoint storage last = self.checkpoints[length - 1];
+            require(last.fromTime <= timepoint, "Checkpoint out of order");
+
+            if (last.fromTime == timepoint) {
+                last.value = value;
+                return;
+            }
+        }
+
+        self.checkpoints.push(Checkpoint({fromTime: timepoint, value: value}));
+    }
+
+    /**
+     * @dev Subtract an amount from every value recorded at or after the given timestamp
+     */
+    function subtractSince(History storage self, uint256 timepoint, uint256 amount) internal {
+        for (uint256 i = self.checkpoints.length; i > 0 && self.checkpoints[i - 1].fromTime >= timepoint; i--) {
+            self.checkpoints[i - 1].value -= amount;
+        }
+    }
+
+    /**
+     * @dev Get the value recorded at or before the given timestamp, zero if there is none
+     * Uses binary search over the history
+     */
+    function upperLookup(History storage self, uint256 timepoint) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = self.checkpoints.length;
+
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (self.checkpoints[mid].fromTime > timepoint) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return high == 0 ? 0 : self.checkpoints[high - 1].value;
+    }
+}
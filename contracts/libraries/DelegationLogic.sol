@@ -0,0 +1,563 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../core/CryptoVenturesDAO.sol";
+import "../core/StakingModule.sol";
+import "./Checkpoints.sol";
+import "./GrowthCheckpoints.sol";
+
+/**
+ * @title DelegationLogic
+ * @dev Linked library holding StakingModule's delegation bookkeeping.
+ * A member splits their voting power across up to MAX_DELEGATES delegates by
+ * basis-point weights and votes directly with whatever weight they keep.
+ * Only registered delegates can receive voting power; deregistering returns it to
+ * each delegator, in batches of RELEASE_BATCH so a popular delegate can always leave.
+ * A delegator whose delegation ends takes on its share of the delegate's vote locks.
+ * Voting power checkpoints hold stake power, i.e. power from stake and lock. The stake
+ * age bonus is split by the same weights into growth histories that are read at the
+ * requested time, so it never depends on when anyone's power was last updated.
+ */
+library DelegationLogic {
+    using Checkpoints for Checkpoints.History;
+    using GrowthCheckpoints for GrowthCheckpoints.History;
+
+    struct Delegation {
+        address delegatee;
+        uint256 weight; // Basis points of the delegator's voting power
+        uint256 power;  // Stake power currently credited to the delegatee
+        uint256 since;  // When the delegation started
+    }
+
+    struct DelegateProfile {
+        bool registered;
+        string metadataURI;
+        string statement;
+        address[] delegators; // Accounts delegating any weight to the delegate
+        mapping(address => uint256) delegatorPositions; // 1-based index into delegators
+    }
+
+    struct AgeBonuses {
+        mapping(address => GrowthCheckpoints.Growth) growths;    // Age bonus of each member's stake
+        mapping(address => GrowthCheckpoints.History) retained;  // Age bonus an account did not delegate away
+        mapping(address => GrowthCheckpoints.History) delegated; // Age bonus delegated to an account
+        mapping(address => Checkpoints.History) registrations;   // 1 while an account is a registered delegate
+        GrowthCheckpoints.History total;
+    }
+
+    uint256 public constant MAX_WEIGHT = 10000;
+    uint256 public constant MAX_DELEGATES = 10;
+    uint256 public constant RELEASE_BATCH = 50;
+
+    // Same signatures as the events declared on StakingModule
+    event VotingPowerDelegated(address indexed delegator, address indexed delegatee, uint256 votingPower);
+    event DelegationRevoked(address indexed delegator, address indexed previousDelegatee, uint256 votingPower);
+    event DelegateRegistered(address indexed delegate, string metadataURI, string statement);
+    event DelegateDeregistered(address indexed delegate);
+
+    /**
+     * @dev Register a member as a delegate, or update a registered delegate's profile
+     */
+    function register(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        address delegate,
+        string memory metadataURI,
+        string memory statement
+    ) external {
+        require(members[delegate].stake > 0, "Must have stake to register");
+        require(bytes(metadataURI).length > 0, "Metadata URI required");
+
+        DelegateProfile storage profile = profiles[delegate];
+        require(profile.registered || profile.delegators.length == 0, "Delegators still being released");
+        profile.registered = true;
+        ageBonuses.registrations[delegate].push(block.timestamp, 1);
+        profile.metadataURI = metadataURI;
+        profile.statement = statement;
+
+        emit DelegateRegistered(delegate, metadataURI, statement);
+    }
+
+    /**
+     * @dev Deregister a delegate and stop counting the power delegated to them. Up to
+     * RELEASE_BATCH delegators get their share back right away and the rest through
+     * release. Other delegates of a split delegation keep their share.
+     */
+    function deregister(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegate
+    ) external {
+        DelegateProfile storage profile = profiles[delegate];
+        require(profile.registered, "Not a registered delegate");
+
+        profile.registered = false;
+        delete profile.metadataURI;
+        delete profile.statement;
+        ageBonuses.registrations[delegate].push(block.timestamp, 0);
+        checkpoint(members, delegations, checkpoints, profiles, delegate);
+        _release(members, delegations, checkpoints, profiles, ageBonuses, voteLocks, dao, delegate, RELEASE_BATCH);
+
+        emit DelegateDeregistered(delegate);
+    }
+
+    /**
+     * @dev Give up to `count` delegators of a deregistered delegate their share back
+     */
+    function release(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegate,
+        uint256 count
+    ) external {
+        require(!profiles[delegate].registered, "Delegate is registered");
+        require(profiles[delegate].delegators.length > 0, "No delegators to release");
+
+        _release(members, delegations, checkpoints, profiles, ageBonuses, voteLocks, dao, delegate, count);
+    }
+
+    /**
+     * @dev Delegate all of a delegator's voting power to a single delegate
+     */
+    function delegateAll(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegator,
+        address delegatee
+    ) external {
+        require(members[delegator].delegateTo == address(0), "Already delegated, revoke first");
+
+        address[] memory delegatees = new address[](1);
+        uint256[] memory weights = new uint256[](1);
+        delegatees[0] = delegatee;
+        weights[0] = MAX_WEIGHT;
+
+        setDelegations(
+            members,
+            delegations,
+            checkpoints,
+            profiles,
+            ageBonuses,
+            voteLocks,
+            dao,
+            delegator,
+            delegatees,
+            weights
+        );
+    }
+
+    /**
+     * @dev Replace all of a delegator's delegations with a new split
+     */
+    function setDelegations(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegator,
+        address[] memory delegatees,
+        uint256[] memory weights
+    ) public {
+        require(members[delegator].stake > 0, "Must have stake to delegate");
+        require(delegatees.length == weights.length, "Delegation length mismatch");
+        require(delegatees.length <= MAX_DELEGATES, "Too many delegates");
+
+        _clear(members, delegations, checkpoints, profiles, ageBonuses, voteLocks, dao, delegator);
+
+        StakingModule.Member storage member = members[delegator];
+        Delegation[] storage split = delegations[delegator];
+        uint256 totalWeight = 0;
+
+        for (uint256 i = 0; i < delegatees.length; i++) {
+            address delegatee = delegatees[i];
+            require(delegatee != address(0), "Cannot delegate to zero address");
+            require(delegatee != delegator, "Cannot delegate to self");
+            require(profiles[delegatee].registered, "Delegate not registered");
+            require(weights[i] > 0, "Weight must be greater than 0");
+            for (uint256 j = 0; j < i; j++) {
+                require(delegatees[j] != delegatee, "Duplicate delegate");
+            }
+
+            totalWeight += weights[i];
+            uint256 power = (member.stakePower * weights[i]) / MAX_WEIGHT;
+            split.push(Delegation({delegatee: delegatee, weight: weights[i], power: power, since: block.timestamp}));
+            members[delegatee].delegatedPower += power;
+            _addDelegator(profiles[delegatee], delegator);
+            checkpoint(members, delegations, checkpoints, profiles, delegatee);
+
+            emit VotingPowerDelegated(delegator, delegatee, power);
+        }
+        require(totalWeight <= MAX_WEIGHT, "Weights exceed 100%");
+
+        for (uint256 i = 0; i < delegatees.length; i++) {
+            _delegateAgeBonus(ageBonuses, delegator, delegatees[i], weights[i]);
+        }
+
+        member.delegateTo = delegatees.length > 0 ? delegatees[0] : address(0);
+        checkpoint(members, delegations, checkpoints, profiles, delegator);
+    }
+
+    /**
+     * @dev Remove all of a delegator's delegations
+     */
+    function revoke(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegator
+    ) external {
+        require(members[delegator].delegateTo != address(0), "No active delegation");
+
+        _clear(members, delegations, checkpoints, profiles, ageBonuses, voteLocks, dao, delegator);
+        checkpoint(members, delegations, checkpoints, profiles, delegator);
+    }
+
+    /**
+     * @dev Re-credit delegates after the delegator's stake power changed, and replace the
+     * delegator's age bonus with `growth` in their own, their delegates' and the total
+     * age bonus histories
+     */
+    function refresh(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        address delegator,
+        GrowthCheckpoints.Growth memory growth
+    ) external {
+        uint256 stakePower = members[delegator].stakePower;
+        Delegation[] storage split = delegations[delegator];
+        GrowthCheckpoints.Growth memory oldGrowth = ageBonuses.growths[delegator];
+        GrowthCheckpoints.History storage retained = ageBonuses.retained[delegator];
+
+        // Take the old age bonus back from the delegates before swapping the whole of it
+        for (uint256 i = 0; i < split.length; i++) {
+            _returnAgeBonus(ageBonuses, delegator, split[i].delegatee, split[i].weight);
+        }
+        retained.subtract(oldGrowth, MAX_WEIGHT, MAX_WEIGHT);
+        retained.add(growth, MAX_WEIGHT, MAX_WEIGHT);
+        ageBonuses.total.subtract(oldGrowth, MAX_WEIGHT, MAX_WEIGHT);
+        ageBonuses.total.add(growth, MAX_WEIGHT, MAX_WEIGHT);
+        ageBonuses.growths[delegator] = growth;
+
+        for (uint256 i = 0; i < split.length; i++) {
+            uint256 power = (stakePower * split[i].weight) / MAX_WEIGHT;
+            StakingModule.Member storage delegate = members[split[i].delegatee];
+            delegate.delegatedPower = delegate.delegatedPower - split[i].power + power;
+            split[i].power = power;
+            _delegateAgeBonus(ageBonuses, delegator, split[i].delegatee, split[i].weight);
+            checkpoint(members, delegations, checkpoints, profiles, split[i].delegatee);
+        }
+
+        checkpoint(members, delegations, checkpoints, profiles, delegator);
+    }
+
+    /**
+     * @dev Record the stake power an account can currently vote with
+     */
+    function checkpoint(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        address account
+    ) public {
+        checkpoints[account].push(block.timestamp, _votableStakePower(members, delegations, profiles, account));
+    }
+
+    /**
+     * @dev Record the total stake power across all members
+     */
+    function checkpointTotal(Checkpoints.History storage totalCheckpoints, uint256 totalStakePower) external {
+        totalCheckpoints.push(block.timestamp, totalStakePower);
+    }
+
+    /**
+     * @dev Power an account could vote with at a timestamp: the stake power recorded in
+     * its checkpoints plus the age bonus grown by then
+     */
+    function pastVotes(
+        Checkpoints.History storage history,
+        AgeBonuses storage ageBonuses,
+        address account,
+        uint256 timepoint
+    ) external view returns (uint256) {
+        return history.upperLookup(timepoint) + _ageBonusVotes(ageBonuses, account, timepoint);
+    }
+
+    /**
+     * @dev Total voting power at a timestamp: the recorded total stake power plus every
+     * member's age bonus grown by then
+     */
+    function pastTotal(
+        Checkpoints.History storage totalCheckpoints,
+        AgeBonuses storage ageBonuses,
+        uint256 timepoint
+    ) external view returns (uint256) {
+        return totalCheckpoints.upperLookup(timepoint) + ageBonuses.total.valueAt(timepoint);
+    }
+
+    /**
+     * @dev Own power not delegated away plus power delegated to the account, which stops
+     * counting once the account deregisters as a delegate
+     */
+    function votablePower(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        address account
+    ) external view returns (uint256) {
+        return _votableStakePower(members, delegations, profiles, account) +
+            _ageBonusVotes(ageBonuses, account, block.timestamp);
+    }
+
+    /**
+     * @dev Power delegated to an account right now, whether or not it still counts
+     */
+    function delegatedPower(
+        mapping(address => StakingModule.Member) storage members,
+        AgeBonuses storage ageBonuses,
+        address account
+    ) external view returns (uint256) {
+        return members[account].delegatedPower + ageBonuses.delegated[account].valueAt(block.timestamp);
+    }
+
+    /**
+     * @dev Basis points of voting power the account has not delegated away
+     */
+    function retainedWeight(Delegation[] storage split) external view returns (uint256) {
+        uint256 totalWeight = 0;
+        for (uint256 i = 0; i < split.length; i++) {
+            totalWeight += split[i].weight;
+        }
+        return MAX_WEIGHT - totalWeight;
+    }
+
+    /**
+     * @dev Stake power not delegated away plus stake power delegated to the account while
+     * it is registered
+     */
+    function _votableStakePower(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => DelegateProfile) storage profiles,
+        address account
+    ) private view returns (uint256) {
+        StakingModule.Member storage member = members[account];
+        Delegation[] storage split = delegations[account];
+
+        uint256 delegatedAway = 0;
+        for (uint256 i = 0; i < split.length; i++) {
+            delegatedAway += split[i].power;
+        }
+
+        uint256 delegatedIn = profiles[account].registered ? member.delegatedPower : 0;
+        return member.stakePower - delegatedAway + delegatedIn;
+    }
+
+    /**
+     * @dev Age bonus an account kept plus, while it was a registered delegate, the age bonus
+     * delegated to it, at a timestamp
+     */
+    function _ageBonusVotes(
+        AgeBonuses storage ageBonuses,
+        address account,
+        uint256 timepoint
+    ) private view returns (uint256 votes) {
+        votes = ageBonuses.retained[account].valueAt(timepoint);
+        if (ageBonuses.registrations[account].upperLookup(timepoint) == 1) {
+            votes += ageBonuses.delegated[account].valueAt(timepoint);
+        }
+    }
+
+    /**
+     * @dev Return the share of up to `count` delegators of a deregistered delegate, last first
+     */
+    function _release(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegate,
+        uint256 count
+    ) private {
+        DelegateProfile storage profile = profiles[delegate];
+        address[] storage delegators = profile.delegators;
+
+        for (uint256 i = 0; i < count && delegators.length > 0; i++) {
+            address delegator = delegators[delegators.length - 1];
+            delegators.pop();
+            delete profile.delegatorPositions[delegator];
+            _drop(members, ageBonuses, voteLocks, dao, delegations[delegator], delegator, delegate);
+            checkpoint(members, delegations, checkpoints, profiles, delegator);
+        }
+    }
+
+    function _clear(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => Delegation[]) storage delegations,
+        mapping(address => Checkpoints.History) storage checkpoints,
+        mapping(address => DelegateProfile) storage profiles,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegator
+    ) private {
+        Delegation[] storage split = delegations[delegator];
+
+        for (uint256 i = 0; i < split.length; i++) {
+            address delegatee = split[i].delegatee;
+            members[delegatee].delegatedPower -= split[i].power;
+            _returnAgeBonus(ageBonuses, delegator, delegatee, split[i].weight);
+            _removeDelegator(profiles[delegatee], delegator);
+            _inheritVoteLocks(members, voteLocks, dao, delegator, split[i]);
+            checkpoint(members, delegations, checkpoints, profiles, delegatee);
+
+            emit DelegationRevoked(delegator, delegatee, split[i].power);
+        }
+
+        delete delegations[delegator];
+        members[delegator].delegateTo = address(0);
+    }
+
+    /**
+     * @dev Remove a delegator's delegation to one delegate, keeping the order of the rest
+     */
+    function _drop(
+        mapping(address => StakingModule.Member) storage members,
+        AgeBonuses storage ageBonuses,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        Delegation[] storage split,
+        address delegator,
+        address delegate
+    ) private {
+        for (uint256 i = 0; i < split.length; i++) {
+            if (split[i].delegatee == delegate) {
+                members[delegate].delegatedPower -= split[i].power;
+                _returnAgeBonus(ageBonuses, delegator, delegate, split[i].weight);
+                _inheritVoteLocks(members, voteLocks, dao, delegator, split[i]);
+                emit DelegationRevoked(delegator, delegate, split[i].power);
+
+                for (uint256 j = i + 1; j < split.length; j++) {
+                    split[j - 1] = split[j];
+                }
+                split.pop();
+                break;
+            }
+        }
+
+        members[delegator].delegateTo = split.length > 0 ? split[0].delegatee : address(0);
+    }
+
+    /**
+     * @dev Lock a leaving delegator's share of stake behind each vote their delegate cast
+     * with it, i.e. on proposals whose snapshot is not before the delegation started, so the
+     * stake that backed those votes stays put until the proposals resolve. A proposal the
+     * delegator already has a lock on gets the share added to that lock.
+     */
+    function _inheritVoteLocks(
+        mapping(address => StakingModule.Member) storage members,
+        mapping(address => StakingModule.VoteLock[]) storage voteLocks,
+        CryptoVenturesDAO dao,
+        address delegator,
+        Delegation storage delegation
+    ) private {
+        StakingModule.VoteLock[] storage delegateLocks = voteLocks[delegation.delegatee];
+        StakingModule.VoteLock[] storage delegatorLocks = voteLocks[delegator];
+        uint256 stake = members[delegator].stake;
+        uint256 share = (stake * delegation.weight) / MAX_WEIGHT;
+
+        for (uint256 i = 0; i < delegateLocks.length; i++) {
+            uint256 proposalId = delegateLocks[i].proposalId;
+            if (dao.proposalSnapshots(proposalId) < delegation.since) {
+                continue;
+            }
+
+            uint256 j = 0;
+            while (j < delegatorLocks.length && delegatorLocks[j].proposalId != proposalId) {
+                j++;
+            }
+            if (j < delegatorLocks.length) {
+                uint256 locked = delegatorLocks[j].stake + share;
+                delegatorLocks[j].stake = locked < stake ? locked : stake;
+            } else {
+                delegatorLocks.push(StakingModule.VoteLock({proposalId: proposalId, stake: share}));
+            }
+        }
+    }
+
+    /**
+     * @dev Move a share of a delegator's age bonus from what they keep to a delegate
+     */
+    function _delegateAgeBonus(
+        AgeBonuses storage ageBonuses,
+        address delegator,
+        address delegatee,
+        uint256 weight
+    ) private {
+        GrowthCheckpoints.Growth memory growth = ageBonuses.growths[delegator];
+        ageBonuses.retained[delegator].subtract(growth, weight, MAX_WEIGHT);
+        ageBonuses.delegated[delegatee].add(growth, weight, MAX_WEIGHT);
+    }
+
+    /**
+     * @dev Give a delegator back the share of their age bonus a delegate held
+     */
+    function _returnAgeBonus(
+        AgeBonuses storage ageBonuses,
+        address delegator,
+        address delegatee,
+        uint256 weight
+    ) private {
+        GrowthCheckpoints.Growth memory growth = ageBonuses.growths[delegator];
+        ageBonuses.delegated[delegatee].subtract(growth, weight, MAX_WEIGHT);
+        ageBonuses.retained[delegator].add(growth, weight, MAX_WEIGHT);
+    }
+
+    function _addDelegator(DelegateProfile storage profile, address delegator) private {
+        profile.delegators.push(delegator);
+        profile.delegatorPositions[delegator] = profile.delegators.length;
+    }
+
+    function _removeDelegator(DelegateProfile storage profile, address delegator) private {
+        uint256 position = profile.delegatorPositions[delegator];
+        if (position == 0) {
+            return;
+        }
+
+        address last = profile.delegators[profile.delegators.length - 1];
+        profile.delegators[position - 1] = last;
+        profile.delegatorPositions[last] = position;
+        profile.delegators.pop();
+        delete profile.delegatorPositions[delegator];
+    }
+}
@@ -10,6 +10,7 @@ library GovernanceConstants {
     uint8 public constant PROPOSAL_TYPE_HIGH_CONVICTION = 0;
     uint8 public constant PROPOSAL_TYPE_EXPERIMENTAL = 1;
     uint8 public constant PROPOSAL_TYPE_OPERATIONAL = 2;
+    uint8 public constant PROPOSAL_TYPE_OPTIMISTIC = 3;
     
     // Treasury Categories
     uint8 public constant TREASURY_HIGH_CONVICTION = 0;
@@ -23,6 +24,7 @@ library GovernanceConstants {
     uint8 public constant STATE_QUEUED = 3;
     uint8 public constant STATE_EXECUTED = 4;
     uint8 public constant STATE_CANCELLED = 5;
+    uint8 public constant STATE_EXPIRED = 6;
     
     // Vote Types
     uint8 public constant VOTE_AGAINST = 0;
@@ -42,6 +44,11 @@ library GovernanceConstants {
     uint256 public constant EXPERIMENTAL_TIMELOCK = 1 days;
     uint256 public constant OPERATIONAL_TIMELOCK = 12 hours;
     
+    uint256 public constant DEFAULT_UNBONDING_PERIOD = 7 days;
+    uint256 public constant DEFAULT_GRACE_PERIOD = 14 days;
+    uint256 public constant DEFAULT_SPENDING_CAP_PERIOD = 30 days;
+    uint256 public constant DEFAULT_MAX_PAUSE_DURATION = 7 days;
+    
     // Governance Requirements (basis points: 100 = 1%)
     uint256 public constant HIGH_CONVICTION_QUORUM = 4000;      // 40%
     uint256 public constant EXPERIMENTAL_QUORUM = 2500;         // 25%
@@ -50,4 +57,6 @@ library GovernanceConstants {
     uint256 public constant HIGH_CONVICTION_THRESHOLD = 6500;   // 65%
     uint256 public constant EXPERIMENTAL_THRESHOLD = 5500;      // 55%
     uint256 public constant OPERATIONAL_THRESHOLD = 5000;       // 50%
+    
+    uint256 public constant OPTIMISTIC_VETO_THRESHOLD = 1000;   // 10% of voting power Against
 }
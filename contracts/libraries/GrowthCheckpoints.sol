@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title GrowthCheckpoints
+ * @dev Timestamped history of a sum of linearly growing values, used for the stake age
+ * bonus. Each part grows by a fixed rate from its start until its end and then stays
+ * put, so the sum can be read at any past time without anyone updating it. Ends fall on
+ * STEP boundaries, where a lookup applies the rate that stops growing, so reading walks
+ * at most one boundary per STEP that the sum kept growing since its last checkpoint.
+ */
+library GrowthCheckpoints {
+    uint256 internal constant STEP = 1 weeks;
+
+    // Rates are scaled up so slow growth keeps its precision
+    uint256 internal constant PRECISION = 1e18;
+
+    struct Growth {
+        uint256 rate;  // Scaled value gained per second
+        uint256 since; // When growth started
+        uint256 end;   // When growth stops, a STEP boundary
+    }
+
+    struct Checkpoint {
+        uint256 fromTime;
+        uint256 value; // Scaled
+        uint256 rate;  // Sum of the rates still growing at fromTime
+    }
+
+    struct History {
+        Checkpoint[] checkpoints;
+        mapping(uint256 => uint256) rateEnds; // Rate that stops growing at each STEP boundary
+    }
+
+    /**
+     * @dev Growth of `amount` reached over `period` from `since`, rounding the end up to
+     * a STEP boundary and the rate up so the full amount is reached at the end
+     */
+    function linear(uint256 amount, uint256 since, uint256 period) internal pure returns (Growth memory growth) {
+        if (amount == 0) {
+            return growth;
+        }
+
+        growth.since = since;
+        growth.end = ((since + period + STEP - 1) / STEP) * STEP;
+        growth.rate = (amount * PRECISION + growth.end - since - 1) / (growth.end - since);
+    }
+
+    /**
+     * @dev Value a growth has reached at the given timestamp, unscaled
+     */
+    function valueOf(Growth memory growth, uint256 timepoint) internal pure returns (uint256) {
+        if (growth.rate == 0 || timepoint <= growth.since) {
+            return 0;
+        }
+        return (growth.rate * (_min(timepoint, growth.end) - growth.since)) / PRECISION;
+    }
+
+    /**
+     * @dev Add a share of `weight` out of `scale` of a growth to the sum from now on
+     */
+    function add(History storage self, Growth memory growth, uint256 weight, uint256 scale) internal {
+        uint256 rate = (growth.rate * weight) / scale;
+        if (rate == 0) {
+            return;
+        }
+
+        (uint256 value, uint256 currentRate) = _latest(self);
+        value += rate * (_min(block.timestamp, growth.end) - growth.since);
+        if (growth.end > block.timestamp) {
+            currentRate += rate;
+            self.rateEnds[growth.end] += rate;
+        }
+        _push(self, value, currentRate);
+    }
+
+    /**
+     * @dev Take a share previously added with `add` back out of the sum from now on
+     */
+    function subtract(History storage self, Growth memory growth, uint256 weight, uint256 scale) internal {
+        uint256 rate = (growth.rate * weight) / scale;
+        if (rate == 0) {
+            return;
+        }
+
+        (uint256 value, uint256 currentRate) = _latest(self);
+        value -= rate * (_min(block.timestamp, growth.end) - growth.since);
+        if (growth.end > block.timestamp) {
+            currentRate -= rate;
+            self.rateEnds[growth.end] -= rate;
+        }
+        _push(self, value, currentRate);
+    }
+
+    /**
+     * @dev Get the sum at the given timestamp, unscaled, zero before the first checkpoint
+     * Uses binary search over the history
+     */
+    function valueAt(History storage self, uint256 timepoint) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = self.checkpoints.length;
+
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (self.checkpoints[mid].fromTime > timepoint) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        if (high == 0) {
+            return 0;
+        }
+        (uint256 value, ) = _grow(self, self.checkpoints[high - 1], timepoint);
+        return value / PRECISION;
+    }
+
+    /**
+     * @dev Scaled sum and growing rate right now
+     */
+    function _latest(History storage self) private view returns (uint256, uint256) {
+        uint256 length = self.checkpoints.length;
+        if (length == 0) {
+            return (0, 0);
+        }
+        return _grow(self, self.checkpoints[length - 1], block.timestamp);
+    }
+
+    /**
+     * @dev Carry a checkpoint forward to a later timestamp, stopping each rate at its end
+     */
+    function _grow(
+        History storage self,
+        Checkpoint storage checkpoint,
+        uint256 timepoint
+    ) private view returns (uint256 value, uint256 rate) {
+        value = checkpoint.value;
+        rate = checkpoint.rate;
+        uint256 time = checkpoint.fromTime;
+
+        while (rate > 0) {
+            uint256 boundary = (time / STEP + 1) * STEP;
+            if (boundary > timepoint) {
+                break;
+            }
+            value += rate * (boundary - time);
+            rate -= self.rateEnds[boundary];
+            time = boundary;
+        }
+
+        value += rate * (timepoint - time);
+    }
+
+    /**
+     * @dev Record the sum now, overwriting an entry from the same timestamp
+     */
+    function _push(History storage self, uint256 value, uint256 rate) private {
+        uint256 length = self.checkpoints.length;
+
+        if (length > 0) {
+            Checkpoint storage last = self.checkpoints[length - 1];
+            if (last.fromTime == block.timestamp) {
+                last.value = value;
+                last.rate = rate;
+                return;
+            }
+        }
+
+        self.checkpoints.push(Checkpoint({fromTime: block.timestamp, value: value, rate: rate}));
+    }
+
+    /**
+     * @dev Smaller of two values
+     */
+    function _min(uint256 a, uint256 b) private pure returns (uint256) {
+        return a < b ? a : b;
+    }
+}
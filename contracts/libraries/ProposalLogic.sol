@@ -0,0 +1,776 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../core/CryptoVenturesDAO.sol";
+import "../core/StakingModule.sol";
+import "../core/TreasuryVault.sol";
+import "../interfaces/IGovernance.sol";
+import "./GovernanceConstants.sol";
+
+/**
+ * @title ProposalLogic
+ * @dev Linked library holding CryptoVenturesDAO's proposal creation, vote tallies, queueing
+ * and execution. Runs in the DAO's context; passed proposals' calls are scheduled in the
+ * DAO's timelock and their payouts are drawn from the treasury vault on execution.
+ */
+library ProposalLogic {
+    // Hard bounds on proposal configurations, even for governance
+    uint256 public constant MIN_VOTING_PERIOD = 1 days;
+    uint256 public constant MIN_TIMELOCK_DELAY = 6 hours;
+    uint256 public constant MIN_QUORUM_PERCENTAGE = 1000; // 10%
+    uint256 public constant MIN_APPROVAL_THRESHOLD = 5000; // 50%
+    uint256 public constant MIN_PROPOSER_STAKE = 0.1 ether;
+
+    // Same signatures as the events declared on CryptoVenturesDAO
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address recipient,
+        uint256 amount,
+        uint8 proposalType,
+        string description
+    );
+    event ProposalQueued(uint256 indexed proposalId, uint256 queuedTime, uint256 executionTime);
+    event ProposalDefeated(uint256 indexed proposalId);
+    event ProposalCancelled(uint256 indexed proposalId, address indexed canceller);
+    event ProposalBondReturned(uint256 indexed proposalId, address indexed proposer, uint256 amount);
+    event ProposalBondForfeited(uint256 indexed proposalId, uint256 amount);
+    event ProposalBondClaimed(address indexed proposer, uint256 amount);
+    event ProposalConfigUpdated(
+        uint8 indexed proposalType,
+        uint256 votingPeriod,
+        uint256 quorumPercentage,
+        uint256 approvalThreshold,
+        uint256 timelockDelay
+    );
+    event ProposalTypeRegistered(
+        uint8 indexed proposalType,
+        string name,
+        CryptoVenturesDAO.TreasuryCategory category,
+        uint256 minProposerStake
+    );
+    event ProposalTypeDeprecated(uint8 indexed proposalType);
+    event ProposalExecuted(uint256 indexed proposalId, address recipient, uint256 amount);
+    event TokenPayoutProposed(
+        uint256 indexed proposalId,
+        address indexed token,
+        address recipient,
+        uint256 amount
+    );
+    event TokenPayoutExecuted(
+        uint256 indexed proposalId,
+        address indexed token,
+        address recipient,
+        uint256 amount
+    );
+
+    /**
+     * @dev Store a registered proposal type's configuration after checking it against
+     * the hard bounds
+     */
+    function configure(
+        CryptoVenturesDAO.ProposalTypeInfo[] storage proposalTypes,
+        mapping(uint8 => CryptoVenturesDAO.ProposalConfig) storage proposalConfigs,
+        uint8 proposalType,
+        CryptoVenturesDAO.ProposalConfig memory config
+    ) public {
+        require(proposalType < proposalTypes.length, "Invalid proposal type");
+        require(config.votingPeriod >= MIN_VOTING_PERIOD, "Voting period too short");
+        require(config.timelockDelay >= MIN_TIMELOCK_DELAY, "Timelock too short");
+        require(config.quorumPercentage >= MIN_QUORUM_PERCENTAGE, "Quorum below floor");
+        require(config.quorumPercentage <= 10000, "Quorum cannot exceed 100%");
+        require(config.approvalThreshold >= MIN_APPROVAL_THRESHOLD, "Threshold below floor");
+        require(config.approvalThreshold <= 10000, "Threshold cannot exceed 100%");
+
+        proposalConfigs[proposalType] = config;
+
+        emit ProposalConfigUpdated(
+            proposalType,
+            config.votingPeriod,
+            config.quorumPercentage,
+            config.approvalThreshold,
+            config.timelockDelay
+        );
+    }
+
+    /**
+     * @dev Register the built-in proposal types with their initial configuration
+     */
+    function configureDefaults(
+        CryptoVenturesDAO.ProposalTypeInfo[] storage proposalTypes,
+        mapping(uint8 => CryptoVenturesDAO.ProposalConfig) storage proposalConfigs
+    ) external {
+        // Large investments, highest requirements
+        register(
+            proposalTypes,
+            proposalConfigs,
+            "HighConviction",
+            CryptoVenturesDAO.TreasuryCategory.HighConvictionFund,
+            MIN_PROPOSER_STAKE,
+            CryptoVenturesDAO.ProposalConfig({
+                votingPeriod: 7 days,
+                quorumPercentage: 4000,  // 40%
+                approvalThreshold: 6500,  // 65%
+                timelockDelay: 2 days
+            })
+        );
+
+        // Risky investments, moderate requirements
+        register(
+            proposalTypes,
+            proposalConfigs,
+            "Experimental",
+            CryptoVenturesDAO.TreasuryCategory.ExperimentalFund,
+            MIN_PROPOSER_STAKE,
+            CryptoVenturesDAO.ProposalConfig({
+                votingPeriod: 5 days,
+                quorumPercentage: 2500,  // 25%
+                approvalThreshold: 5500,  // 55%
+                timelockDelay: 1 days
+            })
+        );
+
+        // Day-to-day expenses, lowest requirements
+        register(
+            proposalTypes,
+            proposalConfigs,
+            "Operational",
+            CryptoVenturesDAO.TreasuryCategory.OperationalFund,
+            MIN_PROPOSER_STAKE,
+            CryptoVenturesDAO.ProposalConfig({
+                votingPeriod: 3 days,
+                quorumPercentage: 1500,  // 15%
+                approvalThreshold: 5000,  // 50%
+                timelockDelay: 12 hours
+            })
+        );
+
+        // Routine payouts that pass unless vetoed, quorum and approval are not used
+        register(
+            proposalTypes,
+            proposalConfigs,
+            "Optimistic",
+            CryptoVenturesDAO.TreasuryCategory.OperationalFund,
+            MIN_PROPOSER_STAKE,
+            CryptoVenturesDAO.ProposalConfig({
+                votingPeriod: 3 days,
+                quorumPercentage: 1500,
+                approvalThreshold: 5000,
+                timelockDelay: 12 hours
+            })
+        );
+    }
+
+    /**
+     * @dev Add a proposal type with its linked treasury category, minimum proposer stake
+     * and configuration, returning the new proposal type
+     */
+    function register(
+        CryptoVenturesDAO.ProposalTypeInfo[] storage proposalTypes,
+        mapping(uint8 => CryptoVenturesDAO.ProposalConfig) storage proposalConfigs,
+        string memory name,
+        CryptoVenturesDAO.TreasuryCategory category,
+        uint256 minProposerStake,
+        CryptoVenturesDAO.ProposalConfig memory config
+    ) public returns (uint8 proposalType) {
+        require(bytes(name).length > 0, "Name required");
+        require(minProposerStake >= MIN_PROPOSER_STAKE, "Stake requirement below minimum");
+        require(proposalTypes.length <= type(uint8).max, "Too many proposal types");
+
+        proposalType = uint8(proposalTypes.length);
+        proposalTypes.push(CryptoVenturesDAO.ProposalTypeInfo({
+            name: name,
+            category: category,
+            minProposerStake: minProposerStake,
+            deprecated: false
+        }));
+        configure(proposalTypes, proposalConfigs, proposalType, config);
+
+        emit ProposalTypeRegistered(proposalType, name, category, minProposerStake);
+    }
+
+    /**
+     * @dev Stop a registered proposal type from taking new proposals. The built-in types
+     * stay, as upgrades and role changes depend on HighConviction and nothing undeprecates.
+     */
+    function deprecate(CryptoVenturesDAO.ProposalTypeInfo[] storage proposalTypes, uint8 proposalType) external {
+        require(proposalType < proposalTypes.length, "Invalid proposal type");
+        require(proposalType > GovernanceConstants.PROPOSAL_TYPE_OPTIMISTIC, "Cannot deprecate a built-in proposal type");
+        require(!proposalTypes[proposalType].deprecated, "Proposal type already deprecated");
+
+        proposalTypes[proposalType].deprecated = true;
+
+        emit ProposalTypeDeprecated(proposalType);
+    }
+
+    /**
+     * @dev Validate and store a new proposal made by the caller, holding the ETH sent
+     * with the call as the proposal's bond, and count it towards the caller's open proposals.
+     * Optimistic proposals pass without votes, so their actions can only be plain payouts.
+     */
+    function create(
+        mapping(uint256 => CryptoVenturesDAO.Proposal) storage proposals,
+        CryptoVenturesDAO.ProposalTypeInfo[] storage proposalTypes,
+        uint256[] storage openProposals,
+        CryptoVenturesDAO.ProposalAction[] storage actions,
+        uint256 proposalId,
+        address recipient,
+        uint256 amount,
+        string memory description,
+        uint8 proposalType,
+        CryptoVenturesDAO.TreasuryCategory category,
+        uint256 proposerStake,
+        uint256 requiredBond,
+        uint256 gracePeriod,
+        uint256 maxOpen
+    ) external {
+        _trackOpen(openProposals, proposals, gracePeriod, maxOpen, proposalId);
+
+        require(proposalType < proposalTypes.length, "Invalid proposal type");
+        CryptoVenturesDAO.ProposalTypeInfo storage typeInfo = proposalTypes[proposalType];
+        require(proposerStake >= typeInfo.minProposerStake, "Insufficient stake to propose");
+        require(!typeInfo.deprecated, "Proposal type deprecated");
+        require(category == typeInfo.category, "Category must match proposal type");
+        require(bytes(description).length > 0, "Description required");
+        require(msg.value == requiredBond, "Incorrect proposal bond");
+
+        if (proposalType == GovernanceConstants.PROPOSAL_TYPE_OPTIMISTIC) {
+            for (uint256 i = 0; i < actions.length; i++) {
+                require(
+                    actions[i].data.length == 0 && actions[i].target != address(this),
+                    "Optimistic proposals can only pay out"
+                );
+            }
+        }
+
+        CryptoVenturesDAO.Proposal storage proposal = proposals[proposalId];
+        proposal.id = proposalId;
+        proposal.proposer = msg.sender;
+        proposal.recipient = recipient;
+        proposal.amount = amount;
+        proposal.description = description;
+        proposal.proposalType = proposalType;
+        proposal.category = category;
+        proposal.state = CryptoVenturesDAO.ProposalState.Pending;
+        proposal.bond = msg.value;
+
+        emit ProposalCreated(proposalId, msg.sender, recipient, amount, proposalType, description);
+    }
+
+    /**
+     * @dev Validate and store the calls of a batch proposal, returning their summed ETH value
+     */
+    function addActions(
+        CryptoVenturesDAO.ProposalAction[] storage actions,
+        address vault,
+        address staking,
+        address timelock,
+        uint8 proposalType,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas
+    ) external returns (uint256 totalValue) {
+        require(targets.length > 0, "Empty proposal");
+        require(
+            targets.length == values.length && targets.length == calldatas.length,
+            "Proposal length mismatch"
+        );
+
+        for (uint256 i = 0; i < targets.length; i++) {
+            require(targets[i] != address(0), "Invalid target");
+            _checkTarget(vault, staking, timelock, proposalType, targets[i], calldatas[i]);
+            totalValue += values[i];
+            actions.push(CryptoVenturesDAO.ProposalAction({
+                target: targets[i],
+                value: values[i],
+                data: calldatas[i]
+            }));
+        }
+    }
+
+    /**
+     * @dev Store ETH payments to several recipients as a proposal's actions, returning
+     * their total
+     */
+    function addPayments(
+        CryptoVenturesDAO.ProposalAction[] storage actions,
+        address[] memory recipients,
+        uint256[] memory amounts
+    ) external returns (uint256 totalAmount) {
+        require(recipients.length > 0, "Empty proposal");
+        require(recipients.length == amounts.length, "Payment length mismatch");
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            addPayment(actions, recipients[i], amounts[i]);
+            totalAmount += amounts[i];
+        }
+    }
+
+    /**
+     * @dev Store an ETH payment to a recipient as a proposal action
+     */
+    function addPayment(
+        CryptoVenturesDAO.ProposalAction[] storage actions,
+        address recipient,
+        uint256 amount
+    ) public {
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+
+        actions.push(CryptoVenturesDAO.ProposalAction({target: recipient, value: amount, data: ""}));
+    }
+
+    /**
+     * @dev Store the ERC-20 payout of a token proposal
+     */
+    function setTokenPayout(
+        CryptoVenturesDAO.TokenPayout storage payout,
+        uint256 proposalId,
+        address token,
+        address recipient,
+        uint256 amount
+    ) external {
+        require(token != address(0), "Invalid token");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+
+        payout.token = token;
+        payout.amount = amount;
+
+        emit TokenPayoutProposed(proposalId, token, recipient, amount);
+    }
+
+    /**
+     * @dev Open voting on a Pending proposal, snapshotting voting power one second earlier
+     * so power changes mined in this block or later cannot affect the outcome
+     */
+    function activate(
+        CryptoVenturesDAO.Proposal storage proposal,
+        CryptoVenturesDAO.ProposalConfig storage config,
+        mapping(uint256 => uint256) storage proposalSnapshots,
+        bool isGuardian
+    ) external {
+        require(proposal.id != 0, "Proposal does not exist");
+        require(proposal.state == CryptoVenturesDAO.ProposalState.Pending, "Proposal not in pending state");
+        require(proposal.proposer == msg.sender || isGuardian, "Only proposer or guardian can activate");
+
+        proposal.startTime = block.timestamp;
+        proposal.endTime = block.timestamp + config.votingPeriod;
+        proposalSnapshots[proposal.id] = block.timestamp - 1;
+        proposal.state = CryptoVenturesDAO.ProposalState.Active;
+    }
+
+    /**
+     * @dev Tally a first vote with the voter's snapshot voting power
+     */
+    function recordVote(
+        CryptoVenturesDAO.Proposal storage proposal,
+        address voter,
+        CryptoVenturesDAO.VoteType voteType,
+        uint256 votingPower
+    ) external {
+        require(proposal.id != 0, "Proposal does not exist");
+        require(proposal.state == CryptoVenturesDAO.ProposalState.Active, "Proposal not active");
+        require(block.timestamp >= proposal.startTime, "Voting not started");
+        require(block.timestamp <= proposal.endTime, "Voting period ended");
+        require(!proposal.hasVoted[voter], "Already voted");
+
+        proposal.hasVoted[voter] = true;
+        proposal.votes[voter] = voteType;
+        _tally(proposal, voteType, votingPower, true);
+    }
+
+    /**
+     * @dev Move an existing vote's snapshot voting power to a different choice,
+     * returning the previous choice
+     */
+    function changeVote(
+        CryptoVenturesDAO.Proposal storage proposal,
+        address voter,
+        CryptoVenturesDAO.VoteType voteType,
+        uint256 votingPower
+    ) external returns (CryptoVenturesDAO.VoteType previousVoteType) {
+        require(proposal.state == CryptoVenturesDAO.ProposalState.Active, "Proposal not active");
+        require(block.timestamp <= proposal.endTime, "Voting period ended");
+        require(proposal.hasVoted[voter], "Has not voted");
+
+        previousVoteType = proposal.votes[voter];
+        require(previousVoteType != voteType, "Vote unchanged");
+
+        _tally(proposal, previousVoteType, votingPower, false);
+        _tally(proposal, voteType, votingPower, true);
+        proposal.votes[voter] = voteType;
+    }
+
+    /**
+     * @dev Queue a proposal whose vote meets quorum and approval threshold, defeat it otherwise.
+     * Optimistic proposals skip quorum and approval and are only defeated when Against
+     * votes exceed vetoThreshold of the snapshot total voting power.
+     * The bond is returned if quorum was reached and forfeited otherwise; for Optimistic
+     * proposals passing stands in for quorum. A passed proposal's calls are scheduled in
+     * the timelock with its type's delay.
+     */
+    function queue(
+        CryptoVenturesDAO.Proposal storage proposal,
+        CryptoVenturesDAO.ProposalConfig storage config,
+        CryptoVenturesDAO.ProposalAction[] storage actions,
+        uint256 snapshotTotalVotingPower,
+        uint256 vetoThreshold,
+        mapping(address => uint256) storage claimableBonds,
+        address vault,
+        address timelock
+    ) external {
+        require(proposal.id != 0, "Proposal does not exist");
+        require(proposal.state == CryptoVenturesDAO.ProposalState.Active, "Proposal not active");
+        require(block.timestamp > proposal.endTime, "Voting period not ended");
+
+        bool passed;
+        bool quorumReached;
+        if (proposal.proposalType == GovernanceConstants.PROPOSAL_TYPE_OPTIMISTIC) {
+            passed = proposal.againstVotes * 10000 <= snapshotTotalVotingPower * vetoThreshold;
+            quorumReached = passed;
+        } else {
+            uint256 totalVotes = proposal.forVotes + proposal.againstVotes + proposal.abstainVotes;
+            quorumReached = totalVotes >= (snapshotTotalVotingPower * config.quorumPercentage) / 10000;
+
+            // Approval threshold compares for votes against for + against
+            uint256 votesForDecision = proposal.forVotes + proposal.againstVotes;
+
+            passed = quorumReached &&
+                votesForDecision > 0 &&
+                (proposal.forVotes * 10000) / votesForDecision >= config.approvalThreshold;
+        }
+
+        _settleBond(proposal, quorumReached, claimableBonds, vault);
+
+        if (!passed) {
+            proposal.state = CryptoVenturesDAO.ProposalState.Defeated;
+            emit ProposalDefeated(proposal.id);
+            return;
+        }
+
+        proposal.state = CryptoVenturesDAO.ProposalState.Queued;
+        proposal.queuedTime = block.timestamp;
+
+        address[] memory targets = new address[](actions.length);
+        uint256[] memory values = new uint256[](actions.length);
+        bytes[] memory calldatas = new bytes[](actions.length);
+        for (uint256 i = 0; i < actions.length; i++) {
+            targets[i] = actions[i].target;
+            values[i] = actions[i].value;
+            calldatas[i] = actions[i].data;
+        }
+        ITimelock(timelock).schedule(proposal.id, targets, values, calldatas, config.timelockDelay);
+
+        emit ProposalQueued(proposal.id, block.timestamp, block.timestamp + config.timelockDelay);
+    }
+
+    /**
+     * @dev Check a queued proposal's timelock has elapsed and it has not expired, then have
+     * the vault debit the proposal's treasury category and send the ETH of its calls to the
+     * timelock, pay out any ERC-20 amount from the vault and have the timelock perform the
+     * proposal's calls. Any failing call reverts the whole proposal.
+     */
+    function execute(
+        CryptoVenturesDAO.Proposal storage proposal,
+        uint256 gracePeriod,
+        CryptoVenturesDAO.TokenPayout storage payout,
+        address vault,
+        address timelock
+    ) external {
+        uint256 proposalId = proposal.id;
+        require(proposalId != 0, "Proposal does not exist");
+        require(proposal.state == CryptoVenturesDAO.ProposalState.Queued, "Proposal not queued");
+
+        require(block.timestamp >= ITimelock(timelock).readyTime(proposalId), "Timelock period not elapsed");
+        require(block.timestamp <= expiresAt(proposal, gracePeriod), "Proposal expired");
+
+        proposal.state = CryptoVenturesDAO.ProposalState.Executed;
+        proposal.executedTime = block.timestamp;
+
+        TreasuryVault(payable(vault)).fundProposal(proposalId, proposal.category, proposal.amount);
+
+        if (payout.amount > 0) {
+            TreasuryVault(payable(vault)).transferToken(
+                proposal.category,
+                payout.token,
+                proposal.recipient,
+                payout.amount
+            );
+
+            emit TokenPayoutExecuted(proposalId, payout.token, proposal.recipient, payout.amount);
+        }
+
+        ITimelock(timelock).execute(proposalId);
+
+        emit ProposalExecuted(proposalId, proposal.recipient, proposal.amount);
+    }
+
+    /**
+     * @dev Cancel an open proposal. Proposers can withdraw their own Pending or Active
+     * proposals, guardians can cancel Active or Queued ones and anyone can cancel a
+     * proposal whose proposer is no longer staked enough to propose.
+     * A bond still held is only returned when the proposer withdraws a Pending proposal and
+     * is forfeited by any other cancellation, so a proposer cannot dodge the forfeit by
+     * dropping below the minimum stake and having another address cancel. A queued
+     * proposal's calls are dropped from the timelock.
+     */
+    function cancel(
+        CryptoVenturesDAO.Proposal storage proposal,
+        CryptoVenturesDAO.ProposalState state,
+        bool proposerUnderstaked,
+        bool isGuardian,
+        mapping(address => uint256) storage claimableBonds,
+        address vault,
+        address timelock
+    ) external {
+        require(proposal.id != 0, "Proposal does not exist");
+        require(
+            state == CryptoVenturesDAO.ProposalState.Pending ||
+            state == CryptoVenturesDAO.ProposalState.Active ||
+            state == CryptoVenturesDAO.ProposalState.Queued,
+            "Cannot cancel proposal in current state"
+        );
+
+        bool isProposer = msg.sender == proposal.proposer;
+        require(
+            proposerUnderstaked ||
+            (isProposer && state != CryptoVenturesDAO.ProposalState.Queued) ||
+            (isGuardian && state != CryptoVenturesDAO.ProposalState.Pending),
+            "Not authorized to cancel"
+        );
+
+        proposal.state = CryptoVenturesDAO.ProposalState.Cancelled;
+        if (state == CryptoVenturesDAO.ProposalState.Queued) {
+            ITimelock(timelock).cancel(proposal.id);
+        }
+        bool returned = isProposer && state == CryptoVenturesDAO.ProposalState.Pending;
+        _settleBond(proposal, returned, claimableBonds, vault);
+
+        emit ProposalCancelled(proposal.id, msg.sender);
+    }
+
+    /**
+     * @dev Current state of a proposal, reporting queued proposals past their
+     * expiry as Expired
+     */
+    function state(
+        CryptoVenturesDAO.Proposal storage proposal,
+        uint256 gracePeriod
+    ) external view returns (CryptoVenturesDAO.ProposalState) {
+        if (
+            proposal.state == CryptoVenturesDAO.ProposalState.Queued &&
+            block.timestamp > expiresAt(proposal, gracePeriod)
+        ) {
+            return CryptoVenturesDAO.ProposalState.Expired;
+        }
+        return proposal.state;
+    }
+
+    /**
+     * @dev Last time a queued proposal can execute: the grace period after its timelock,
+     * or a full spending cap window if its treasury category is capped over a longer
+     * period. Every outflow recorded before the timelock ended has left the window by
+     * then, so a proposal over the remaining budget gets to execute once budget frees up.
+     * Runs in the DAO's context, so the DAO is this contract.
+     */
+    function expiresAt(
+        CryptoVenturesDAO.Proposal storage proposal,
+        uint256 gracePeriod
+    ) internal view returns (uint256) {
+        CryptoVenturesDAO dao = CryptoVenturesDAO(address(this));
+        (uint256 budget, uint256 period) = dao.treasuryVault().spendingCaps(proposal.category);
+        uint256 window = budget != type(uint256).max && period > gracePeriod ? period : gracePeriod;
+        return dao.timelock().readyTime(proposal.id) + window;
+    }
+
+    /**
+     * @dev Pay out the caller's returned proposal bonds
+     */
+    function claimBonds(mapping(address => uint256) storage claimableBonds) external {
+        uint256 amount = claimableBonds[msg.sender];
+        require(amount > 0, "No bond to claim");
+        claimableBonds[msg.sender] = 0;
+
+        Address.sendValue(payable(msg.sender), amount);
+
+        emit ProposalBondClaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Forget a proposer's proposals that are no longer Pending, Active or Queued
+     * and record a new one, allowing at most maxOpen open proposals at a time
+     */
+    function _trackOpen(
+        uint256[] storage openProposals,
+        mapping(uint256 => CryptoVenturesDAO.Proposal) storage proposals,
+        uint256 gracePeriod,
+        uint256 maxOpen,
+        uint256 proposalId
+    ) private {
+        uint256 i = 0;
+        while (i < openProposals.length) {
+            CryptoVenturesDAO.Proposal storage proposal = proposals[openProposals[i]];
+            CryptoVenturesDAO.ProposalState state = proposal.state;
+            if (
+                state == CryptoVenturesDAO.ProposalState.Pending ||
+                state == CryptoVenturesDAO.ProposalState.Active ||
+                (state == CryptoVenturesDAO.ProposalState.Queued &&
+                    block.timestamp <= expiresAt(proposal, gracePeriod))
+            ) {
+                i++;
+            } else {
+                openProposals[i] = openProposals[openProposals.length - 1];
+                openProposals.pop();
+            }
+        }
+
+        require(openProposals.length < maxOpen, "Too many open proposals");
+        openProposals.push(proposalId);
+    }
+
+    /**
+     * @dev Keep a proposal's calls from moving treasury funds around its own accounting:
+     * no transfers or approvals of tokens the vault holds, and calls to the DAO, the
+     * staking module, the vault or the timelock only to their governance functions and
+     * upgrades. The staking module takes no ETH, so no proposal can touch member stake.
+     * Plain ETH sent to the vault is credited to a category. Role changes, upgrades of
+     * any of the four contracts, registering or deprecating proposal types, the Optimistic
+     * veto threshold and changes to the HighConviction configuration take a HighConviction
+     * proposal, so a lower-quorum type cannot take over the DAO or open a cheaper way
+     * into its funds.
+     * Checked once, when the proposal is created, so later token deposits cannot block
+     * a queued proposal.
+     */
+    function _checkTarget(
+        address vault,
+        address staking,
+        address timelock,
+        uint8 proposalType,
+        address target,
+        bytes memory data
+    ) private view {
+        if (TreasuryVault(payable(vault)).getTotalTokenTreasuryBalance(target) > 0) {
+            bytes4 selector = bytes4(data);
+            require(
+                selector != IERC20.transfer.selector &&
+                selector != IERC20.transferFrom.selector &&
+                selector != IERC20.approve.selector,
+                "Cannot move a treasury token"
+            );
+        }
+
+        if (target == address(this)) {
+            bytes4 selector = bytes4(data);
+            require(
+                selector == CryptoVenturesDAO.updateProposalConfig.selector ||
+                selector == CryptoVenturesDAO.setProposalBond.selector ||
+                selector == CryptoVenturesDAO.registerProposalType.selector ||
+                selector == CryptoVenturesDAO.deprecateProposalType.selector ||
+                selector == CryptoVenturesDAO.setMaxOpenProposals.selector ||
+                selector == CryptoVenturesDAO.setGracePeriod.selector ||
+                selector == CryptoVenturesDAO.setMaxPauseDuration.selector ||
+                selector == CryptoVenturesDAO.setVetoThreshold.selector ||
+                selector == IAccessControl.grantRole.selector ||
+                selector == IAccessControl.revokeRole.selector ||
+                selector == UUPSUpgradeable.upgradeToAndCall.selector,
+                "Not a DAO governance call"
+            );
+
+            // An ABI-encoded uint8 argument sits in the last byte of the first word
+            bool privileged =
+                selector == IAccessControl.grantRole.selector ||
+                selector == IAccessControl.revokeRole.selector ||
+                selector == UUPSUpgradeable.upgradeToAndCall.selector ||
+                selector == CryptoVenturesDAO.registerProposalType.selector ||
+                selector == CryptoVenturesDAO.deprecateProposalType.selector ||
+                selector == CryptoVenturesDAO.setVetoThreshold.selector ||
+                (selector == CryptoVenturesDAO.updateProposalConfig.selector &&
+                    data.length >= 36 &&
+                    uint8(data[35]) == GovernanceConstants.PROPOSAL_TYPE_HIGH_CONVICTION);
+            _requireHighConviction(privileged, proposalType);
+        } else if (target == vault && data.length > 0) {
+            bytes4 selector = bytes4(data);
+            require(
+                selector == TreasuryVault.depositToTreasury.selector ||
+                selector == TreasuryVault.confirmMilestone.selector ||
+                selector == TreasuryVault.haltTranches.selector ||
+                selector == TreasuryVault.setTreasuryLimit.selector ||
+                selector == TreasuryVault.setSpendingCap.selector ||
+                selector == UUPSUpgradeable.upgradeToAndCall.selector,
+                "Not a vault governance call"
+            );
+            _requireHighConviction(selector == UUPSUpgradeable.upgradeToAndCall.selector, proposalType);
+        } else if (target == staking) {
+            bytes4 selector = bytes4(data);
+            require(
+                selector == StakingModule.setVotingPowerBoost.selector ||
+                selector == StakingModule.setUnbondingPeriod.selector ||
+                selector == StakingModule.setEmergencyWithdrawalWindow.selector ||
+                selector == UUPSUpgradeable.upgradeToAndCall.selector,
+                "Not a staking governance call"
+            );
+            _requireHighConviction(selector == UUPSUpgradeable.upgradeToAndCall.selector, proposalType);
+        } else if (target == timelock) {
+            require(bytes4(data) == UUPSUpgradeable.upgradeToAndCall.selector, "Not a timelock governance call");
+            _requireHighConviction(true, proposalType);
+        }
+    }
+
+    /**
+     * @dev Revert if a privileged call is proposed by a type other than HighConviction
+     */
+    function _requireHighConviction(bool privileged, uint8 proposalType) private pure {
+        require(
+            !privileged || proposalType == GovernanceConstants.PROPOSAL_TYPE_HIGH_CONVICTION,
+            "Requires a HighConviction proposal"
+        );
+    }
+
+    /**
+     * @dev Release a proposal's bond, crediting it to the proposer's claimable bonds
+     * or forfeiting it to the vault's Operational fund. Does nothing once the bond is settled.
+     */
+    function _settleBond(
+        CryptoVenturesDAO.Proposal storage proposal,
+        bool returned,
+        mapping(address => uint256) storage claimableBonds,
+        address vault
+    ) private {
+        uint256 bond = proposal.bond;
+        if (bond == 0) {
+            return;
+        }
+        proposal.bond = 0;
+
+        if (returned) {
+            claimableBonds[proposal.proposer] += bond;
+            emit ProposalBondReturned(proposal.id, proposal.proposer, bond);
+        } else {
+            Address.sendValue(payable(vault), bond);
+            emit ProposalBondForfeited(proposal.id, bond);
+        }
+    }
+
+    /**
+     * @dev Add voting power to, or remove it from, the tally for a vote type
+     */
+    function _tally(
+        CryptoVenturesDAO.Proposal storage proposal,
+        CryptoVenturesDAO.VoteType voteType,
+        uint256 votingPower,
+        bool add
+    ) private {
+        if (voteType == CryptoVenturesDAO.VoteType.For) {
+            proposal.forVotes = add ? proposal.forVotes + votingPower : proposal.forVotes - votingPower;
+        } else if (voteType == CryptoVenturesDAO.VoteType.Against) {
+            proposal.againstVotes = add ? proposal.againstVotes + votingPower : proposal.againstVotes - votingPower;
+        } else {
+            proposal.abstainVotes = add ? proposal.abstainVotes + votingPower : proposal.abstainVotes - votingPower;
+        }
+    }
+}
@@ -0,0 +1,327 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../core/CryptoVenturesDAO.sol";
+import "../core/StakingModule.sol";
+import "./Checkpoints.sol";
+import "./GrowthCheckpoints.sol";
+import "./Math.sol";
+
+/**
+ * @title StakeLogic
+ * @dev Linked library holding StakingModule's time-weighted voting power.
+ * Power is sqrt(stake * VOTING_POWER_COEFFICIENT) boosted by the stake's age and by
+ * a voluntary lock. The stored stake power holds the base and the lock boost, which is
+ * set by the lock's notice period and drops to zero as soon as the member starts
+ * unlocking, so it never carries a bonus for a lock that is running out. The age boost
+ * grows with time, so it is kept as a growth from the stake's start time that is read
+ * at whatever time power is looked up.
+ */
+library StakeLogic {
+    using Checkpoints for Checkpoints.History;
+
+    uint256 public constant VOTING_POWER_COEFFICIENT = 100;
+
+    // Upper bound on each boost, in basis points added to the base power (10000 = 2x)
+    uint256 public constant MAX_BONUS = 10000;
+
+    // Upper bound on the age bonus period, which bounds the weeks a power lookup walks
+    uint256 public constant MAX_AGE_BONUS_PERIOD = 4 * 365 days;
+
+    // Upper bound on a member's unclaimed withdrawal requests, which bounds claims and emergency exits
+    uint256 public constant MAX_PENDING_WITHDRAWALS = 10;
+
+    // Same signatures as the events declared on StakingModule
+    event StakeLocked(address indexed member, uint256 lockDuration);
+    event StakeUnlocking(address indexed member, uint256 lockedUntil);
+    event WithdrawalRequested(address indexed member, uint256 amount, uint256 releaseTime);
+    event WithdrawalClaimed(address indexed member, uint256 amount);
+    event VotingPowerBoostUpdated(
+        uint256 maxAgeBonus,
+        uint256 ageBonusPeriod,
+        uint256 maxLockBonus,
+        uint256 maxLockDuration
+    );
+
+    /**
+     * @dev Store the voting power boosts after checking their bounds
+     */
+    function configure(
+        StakingModule.VotingPowerBoost storage boost,
+        StakingModule.VotingPowerBoost memory newBoost
+    ) external {
+        require(newBoost.maxAgeBonus <= MAX_BONUS && newBoost.maxLockBonus <= MAX_BONUS, "Bonus too high");
+        require(newBoost.ageBonusPeriod > 0 && newBoost.maxLockDuration > 0, "Period must be greater than 0");
+        require(newBoost.ageBonusPeriod <= MAX_AGE_BONUS_PERIOD, "Age bonus period too long");
+
+        boost.maxAgeBonus = newBoost.maxAgeBonus;
+        boost.ageBonusPeriod = newBoost.ageBonusPeriod;
+        boost.maxLockBonus = newBoost.maxLockBonus;
+        boost.maxLockDuration = newBoost.maxLockDuration;
+
+        emit VotingPowerBoostUpdated(
+            newBoost.maxAgeBonus,
+            newBoost.ageBonusPeriod,
+            newBoost.maxLockBonus,
+            newBoost.maxLockDuration
+        );
+    }
+
+    /**
+     * @dev Add stake, moving the stake's start time to the stake-weighted average so
+     * topping up does not reset the age of existing stake
+     */
+    function addStake(StakingModule.Member storage member, uint256 amount) external {
+        if (member.stake == 0) {
+            member.stakeSince = block.timestamp;
+        } else {
+            member.stakeSince = (member.stakeSince * member.stake + block.timestamp * amount) /
+                (member.stake + amount);
+        }
+        member.stake += amount;
+    }
+
+    /**
+     * @dev Append an account to the member list unless it is already listed
+     */
+    function addToMemberList(
+        address[] storage memberList,
+        mapping(address => uint256) storage positions,
+        address account
+    ) external {
+        if (positions[account] == 0) {
+            memberList.push(account);
+            positions[account] = memberList.length;
+        }
+    }
+
+    /**
+     * @dev Move the last listed member into an account's slot and shorten the list,
+     * returning whether the account was listed
+     */
+    function removeFromMemberList(
+        address[] storage memberList,
+        mapping(address => uint256) storage positions,
+        address account
+    ) external returns (bool) {
+        uint256 position = positions[account];
+        if (position == 0) {
+            return false;
+        }
+
+        address last = memberList[memberList.length - 1];
+        memberList[position - 1] = last;
+        positions[last] = position;
+        memberList.pop();
+        delete positions[account];
+        return true;
+    }
+
+    /**
+     * @dev Lock stake with a notice period of `duration`: it stays locked until `duration`
+     * after the member calls unlock. The notice period can be lengthened but not shortened,
+     * including the part of a running one that is left.
+     */
+    function lock(
+        StakingModule.Member storage member,
+        StakingModule.VotingPowerBoost storage boost,
+        uint256 duration
+    ) external {
+        require(member.stake > 0, "No stake");
+        require(duration > 0, "Duration must be greater than 0");
+        require(duration <= boost.maxLockDuration, "Lock too long");
+        require(
+            member.lockDuration > 0 ? duration > member.lockDuration : block.timestamp + duration >= member.lockedUntil,
+            "Cannot shorten lock"
+        );
+
+        member.lockDuration = duration;
+        member.lockedUntil = type(uint256).max;
+
+        emit StakeLocked(msg.sender, duration);
+    }
+
+    /**
+     * @dev Start a lock's notice period, giving up its bonus
+     */
+    function unlock(StakingModule.Member storage member) external {
+        require(member.lockDuration > 0, "No active lock");
+
+        member.lockedUntil = block.timestamp + member.lockDuration;
+        member.lockDuration = 0;
+
+        emit StakeUnlocking(msg.sender, member.lockedUntil);
+    }
+
+    /**
+     * @dev Move an amount of the caller's stake into a new pending withdrawal with its own
+     * release time, keeping stake that is locked or backs an open vote. Earlier requests
+     * keep their release times.
+     */
+    function withdraw(
+        StakingModule.Member storage member,
+        StakingModule.PendingWithdrawal[] storage pending,
+        uint256 amount,
+        uint256 voteLockedStake,
+        uint256 unbondingPeriod
+    ) external {
+        require(amount > 0, "Amount must be greater than 0");
+        require(member.stake >= amount, "Insufficient stake");
+        require(member.delegateTo == address(0), "Must revoke delegation first");
+        require(block.timestamp >= member.lockedUntil, "Stake locked");
+        require(member.stake - amount >= voteLockedStake, "Stake locked by open vote");
+
+        member.stake -= amount;
+        uint256 releaseTime = block.timestamp + unbondingPeriod;
+        uint256 count = pending.length;
+        if (count > 0 && pending[count - 1].releaseTime == releaseTime) {
+            pending[count - 1].amount += amount;
+        } else {
+            require(count < MAX_PENDING_WITHDRAWALS, "Too many pending withdrawals");
+            pending.push(StakingModule.PendingWithdrawal({amount: amount, releaseTime: releaseTime}));
+        }
+
+        emit WithdrawalRequested(msg.sender, amount, releaseTime);
+    }
+
+    /**
+     * @dev Pay out the caller's pending withdrawals whose unbonding period has elapsed,
+     * leaving the others pending
+     */
+    function claimWithdrawal(StakingModule.PendingWithdrawal[] storage pending) external {
+        require(pending.length > 0, "No pending withdrawal");
+
+        uint256 amount = 0;
+        // Walk backwards so removing a claimed request does not skip the one moved into its place
+        for (uint256 i = pending.length; i > 0; i--) {
+            if (block.timestamp >= pending[i - 1].releaseTime) {
+                amount += pending[i - 1].amount;
+                pending[i - 1] = pending[pending.length - 1];
+                pending.pop();
+            }
+        }
+        require(amount > 0, "Unbonding period not elapsed");
+
+        payable(msg.sender).transfer(amount);
+
+        emit WithdrawalClaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Clear a member's stake, unbonding stake and lock for an emergency withdrawal,
+     * returning the stake that counted towards the total and the amount to pay out
+     */
+    function clearForEmergency(
+        StakingModule.Member storage member,
+        StakingModule.PendingWithdrawal[] storage pending,
+        bool windowOpen
+    ) external returns (uint256 stake, uint256 amount) {
+        require(windowOpen, "Emergency withdrawals not open");
+
+        stake = member.stake;
+        amount = stake;
+        while (pending.length > 0) {
+            amount += pending[pending.length - 1].amount;
+            pending.pop();
+        }
+        require(amount > 0, "Nothing to withdraw");
+
+        member.stake = 0;
+        member.lockedUntil = 0;
+        member.lockDuration = 0;
+    }
+
+    /**
+     * @dev Check a ragequit against a proposal queued in the DAO's timelock and clear the
+     * member's stake, returning the proposal's treasury category, the stake and the member's
+     * and the total stake at the proposal's snapshot, which size their pro-rata share of
+     * the category so stake added since earns none
+     */
+    function ragequit(
+        CryptoVenturesDAO dao,
+        uint256 proposalId,
+        StakingModule.Member storage member,
+        Checkpoints.History storage stakeHistory,
+        Checkpoints.History storage totalStakeHistory,
+        uint256 snapshot
+    ) external returns (
+        CryptoVenturesDAO.TreasuryCategory category,
+        uint256 stake,
+        uint256 snapshotStake,
+        uint256 snapshotTotalStake
+    ) {
+        uint256 id;
+        CryptoVenturesDAO.ProposalState state;
+        (id, , , , , , category, , , , , , state, , , ) = dao.proposals(proposalId);
+        require(id != 0, "Proposal does not exist");
+        require(state == CryptoVenturesDAO.ProposalState.Queued, "Proposal not queued");
+        require(block.timestamp < dao.timelock().readyTime(proposalId), "Timelock period elapsed");
+        require(
+            !dao.hasVotedOnProposal(proposalId, msg.sender) ||
+                dao.getVote(proposalId, msg.sender) == CryptoVenturesDAO.VoteType.Against,
+            "Only dissenting members can ragequit"
+        );
+
+        require(member.stake > 0, "No stake");
+        require(member.delegateTo == address(0), "Must revoke delegation first");
+        require(block.timestamp >= member.lockedUntil, "Stake locked");
+
+        stake = member.stake;
+        snapshotStake = _min(stake, stakeHistory.upperLookup(snapshot));
+        require(snapshotStake > 0, "No stake at proposal snapshot");
+        snapshotTotalStake = totalStakeHistory.upperLookup(snapshot);
+
+        member.stake = 0;
+    }
+
+    /**
+     * @dev Set a member's stake power to what their stake and lock are worth and record
+     * their stake and the total staked, returning the previous stake power and the
+     * stake's age bonus
+     */
+    function update(
+        StakingModule.Member storage member,
+        StakingModule.VotingPowerBoost storage boost,
+        Checkpoints.History storage stakeHistory,
+        Checkpoints.History storage totalStakeHistory,
+        uint256 totalStaked
+    ) external returns (uint256 oldStakePower, GrowthCheckpoints.Growth memory ageBonus) {
+        oldStakePower = member.stakePower;
+        member.stakePower = calculate(member.stake, member.lockDuration, boost);
+        ageBonus = GrowthCheckpoints.linear(
+            (Math.sqrt(member.stake * VOTING_POWER_COEFFICIENT) * boost.maxAgeBonus) / 10000,
+            member.stakeSince,
+            boost.ageBonusPeriod
+        );
+
+        stakeHistory.push(block.timestamp, member.stake);
+        totalStakeHistory.push(block.timestamp, totalStaked);
+    }
+
+    /**
+     * @dev Base power times (1 + lock bonus), the bonus growing linearly with the notice
+     * period to its maximum. The age bonus grows on top of this, linearly from the stake's
+     * start time to base power times the maximum age bonus once ageBonusPeriod has passed,
+     * with the time it is reached rounded up to a week boundary.
+     */
+    function calculate(
+        uint256 stake,
+        uint256 lockDuration,
+        StakingModule.VotingPowerBoost storage boost
+    ) public view returns (uint256) {
+        if (stake == 0) {
+            return 0;
+        }
+
+        uint256 bonus = (boost.maxLockBonus * _min(lockDuration, boost.maxLockDuration)) / boost.maxLockDuration;
+
+        return (Math.sqrt(stake * VOTING_POWER_COEFFICIENT) * (10000 + bonus)) / 10000;
+    }
+
+    /**
+     * @dev Smaller of two values
+     */
+    function _min(uint256 a, uint256 b) private pure returns (uint256) {
+        return a < b ? a : b;
+    }
+}
@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "../core/CryptoVenturesDAO.sol";
+import "../core/StakingModule.sol";
+
+/**
+ * @title VotingLogic
+ * @dev Linked library holding StakingModule's vote locks and signed ballot verification
+ */
+library VotingLogic {
+    bytes32 public constant BALLOT_TYPEHASH = keccak256(
+        "Ballot(uint256 proposalId,uint8 voteType,address voter,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // Same signature as the event declared on StakingModule
+    event VoteCast(
+        address indexed voter,
+        uint256 indexed proposalId,
+        CryptoVenturesDAO.VoteType voteType,
+        uint256 votingPower
+    );
+
+    /**
+     * @dev Lock the voter's current stake behind a vote the DAO has just tallied
+     */
+    function castVote(
+        StakingModule.VoteLock[] storage voteLocks,
+        uint256 proposalId,
+        address voter,
+        CryptoVenturesDAO.VoteType voteType,
+        uint256 votingPower,
+        uint256 stake,
+        bool fullyDelegated
+    ) external {
+        require(!fullyDelegated, "Cannot vote when delegated");
+        require(votingPower > 0, "No voting power");
+
+        voteLocks.push(StakingModule.VoteLock({proposalId: proposalId, stake: stake}));
+
+        emit VoteCast(voter, proposalId, voteType, votingPower);
+    }
+
+    /**
+     * @dev Drop vote locks on resolved proposals and return the stake still locked
+     * by any open proposal other than `ignoredProposalId`
+     */
+    function releaseVoteLocks(
+        StakingModule.VoteLock[] storage voteLocks,
+        CryptoVenturesDAO dao,
+        uint256 ignoredProposalId
+    ) external returns (uint256 locked) {
+        uint256 i = 0;
+        while (i < voteLocks.length) {
+            uint256 proposalId = voteLocks[i].proposalId;
+            if (proposalId == ignoredProposalId) {
+                i++;
+            } else if (_isOpen(dao, proposalId)) {
+                if (voteLocks[i].stake > locked) {
+                    locked = voteLocks[i].stake;
+                }
+                i++;
+            } else {
+                voteLocks[i] = voteLocks[voteLocks.length - 1];
+                voteLocks.pop();
+            }
+        }
+    }
+
+    /**
+     * @dev Largest stake locked by a vote on a proposal that is still open
+     */
+    function lockedStake(
+        StakingModule.VoteLock[] storage voteLocks,
+        CryptoVenturesDAO dao
+    ) external view returns (uint256 locked) {
+        for (uint256 i = 0; i < voteLocks.length; i++) {
+            if (
+                voteLocks[i].stake > locked &&
+                _isOpen(dao, voteLocks[i].proposalId)
+            ) {
+                locked = voteLocks[i].stake;
+            }
+        }
+    }
+
+    /**
+     * @dev Check an EIP-712 ballot signature against the DAO's domain and consume the voter's nonce
+     */
+    function useBallot(
+        mapping(address => uint256) storage nonces,
+        CryptoVenturesDAO dao,
+        uint256 proposalId,
+        CryptoVenturesDAO.VoteType voteType,
+        address voter,
+        uint256 nonce,
+        uint256 deadline,
+        bytes memory signature
+    ) external {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(BALLOT_TYPEHASH, proposalId, voteType, voter, nonce, deadline)
+        );
+        bytes32 digest = MessageHashUtils.toTypedDataHash(_domainSeparator(dao), structHash);
+        require(ECDSA.recover(digest, signature) == voter, "Invalid signature");
+        require(nonce == nonces[voter], "Invalid nonce");
+        nonces[voter]++;
+    }
+
+    /**
+     * @dev EIP-712 domain of the DAO. The staking module counts the ballot, but the
+     * verifying contract is the DAO's proxy, the address members know the DAO by.
+     */
+    function _domainSeparator(CryptoVenturesDAO dao) private view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("CryptoVenturesDAO"),
+            keccak256("1"),
+            block.chainid,
+            address(dao)
+        ));
+    }
+
+    /**
+     * @dev Whether a proposal is Active, or Queued and not yet expired
+     */
+    function _isOpen(CryptoVenturesDAO dao, uint256 proposalId) private view returns (bool) {
+        CryptoVenturesDAO.ProposalState state = CryptoVenturesDAO.ProposalState(dao.getProposalState(proposalId));
+        return state == CryptoVenturesDAO.ProposalState.Active || state == CryptoVenturesDAO.ProposalState.Queued;
+    }
+}
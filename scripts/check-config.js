@@ -0,0 +1,78 @@
+const { ethers } = require("hardhat");
+const params = require("../config/governance-params");
+const { getProposalTypes } = require("./utils/helpers");
+
+// Deployed DAO address, e.g.
+// DAO_ADDRESS=0x... npx hardhat run scripts/check-config.js --network localhost
+const DAO_ADDRESS = process.env.DAO_ADDRESS || "YOUR_DAO_ADDRESS_HERE";
+
+const FIELDS = ["votingPeriod", "quorumPercentage", "approvalThreshold", "timelockDelay"];
+
+/**
+ * Replays ProposalConfigUpdated events for every registered proposal type and diffs
+ * the resulting on-chain configuration against config/governance-params.js
+ */
+async function main() {
+  const dao = await ethers.getContractAt("CryptoVenturesDAO", DAO_ADDRESS);
+  
+  console.log("Checking proposal configuration of CryptoVenturesDAO at:", DAO_ADDRESS);
+  
+  // Initialization and registration emit the initial configs, so the latest event per
+  // type is the live value
+  const events = await dao.queryFilter(dao.filters.ProposalConfigUpdated());
+  const onChain = {};
+  for (const event of events) {
+    onChain[Number(event.args.proposalType)] = event;
+  }
+  
+  const types = await getProposalTypes(dao);
+  let differences = 0;
+  for (const type of types) {
+    const expected = params.proposalTypes[type.name];
+    const event = onChain[type.id];
+    
+    console.log(`\n${type.name} (type ${type.id}${type.deprecated ? ", deprecated" : ""}):`);
+    if (!expected) {
+      console.log("- Not in config/governance-params.js");
+      differences++;
+      continue;
+    }
+    if (!event) {
+      console.log("- No ProposalConfigUpdated event found");
+      differences++;
+      continue;
+    }
+    console.log("- Last updated in block:", event.blockNumber);
+    
+    for (const field of FIELDS) {
+      const actual = event.args[field];
+      if (actual === BigInt(expected[field])) {
+        console.log(`  ✓ ${field}: ${actual}`);
+      } else {
+        console.log(`  ✗ ${field}: on-chain ${actual}, config ${expected[field]}`);
+        differences++;
+      }
+    }
+  }
+  
+  const registered = new Set(types.map((type) => type.name));
+  for (const name of Object.keys(params.proposalTypes)) {
+    if (!registered.has(name)) {
+      console.log(`\n${name}:\n- Not registered on-chain`);
+      differences++;
+    }
+  }
+  
+  console.log(differences === 0
+    ? "\n✓ On-chain configuration matches config/governance-params.js"
+    : `\n✗ ${differences} difference(s) from config/governance-params.js`);
+  
+  process.exitCode = differences === 0 ? 0 : 1;
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
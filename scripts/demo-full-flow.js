@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployDAO } = require("./utils/deployment");
 
 async function main() {
   console.log("Running Complete Governance Flow Demo...\n");
@@ -8,29 +9,32 @@ async function main() {
   
   // Deploy DAO
   console.log("=== Deploying DAO ===");
-  const CryptoVenturesDAO = await ethers.getContractFactory("CryptoVenturesDAO");
-  const dao = await CryptoVenturesDAO.deploy();
-  await dao.waitForDeployment();
+  const dao = await deployDAO();
   const daoAddress = await dao.getAddress();
+  const vault = await ethers.getContractAt("TreasuryVault", await dao.treasuryVault());
+  const staking = await ethers.getContractAt("StakingModule", await dao.stakingModule());
   console.log("DAO deployed to:", daoAddress);
+  console.log("Treasury vault deployed to:", await vault.getAddress());
+  console.log("Staking module deployed to:", await staking.getAddress());
+  console.log("Timelock deployed to:", await dao.timelock());
   
   // Members join
   console.log("\n=== Members Join DAO ===");
-  await dao.connect(member1).joinDAO({ value: ethers.parseEther("5") });
+  await staking.connect(member1).joinDAO({ value: ethers.parseEther("5") });
   console.log("✓ Member1 joined with 5 ETH");
   
-  await dao.connect(member2).joinDAO({ value: ethers.parseEther("5") });
+  await staking.connect(member2).joinDAO({ value: ethers.parseEther("5") });
   console.log("✓ Member2 joined with 5 ETH");
   
-  await dao.connect(member3).joinDAO({ value: ethers.parseEther("5") });
+  await staking.connect(member3).joinDAO({ value: ethers.parseEther("5") });
   console.log("✓ Member3 joined with 5 ETH");
   
-  console.log("\nTotal Staked:", ethers.formatEther(await dao.totalStaked()), "ETH");
-  console.log("Total Voting Power:", (await dao.totalVotingPower()).toString());
+  console.log("\nTotal Staked:", ethers.formatEther(await staking.totalStaked()), "ETH");
+  console.log("Total Voting Power:", (await staking.totalVotingPower()).toString());
   
   // Fund treasury
   console.log("\n=== Fund Treasury ===");
-  await dao.depositToTreasury(2, { value: ethers.parseEther("20") }); // Operational
+  await vault.depositToTreasury(2, { value: ethers.parseEther("20") }); // Operational
   console.log("✓ Deposited 20 ETH to Operational Fund");
   
   // Create proposal
@@ -40,7 +44,8 @@ async function main() {
     ethers.parseEther("2"),
     "Fund Q1 2026 Development Budget",
     2, // Operational
-    2  // OperationalFund
+    2, // OperationalFund
+    { value: await dao.proposalBonds(2) }
   );
   const receipt = await tx.wait();
   const proposalId = 1n;
@@ -59,13 +64,13 @@ async function main() {
   
   // Cast votes
   console.log("\n=== Cast Votes ===");
-  await dao.connect(member1).castVote(proposalId, 1); // For
+  await staking.connect(member1).castVote(proposalId, 1); // For
   console.log("✓ Member1 voted FOR");
   
-  await dao.connect(member2).castVote(proposalId, 1); // For
+  await staking.connect(member2).castVote(proposalId, 1); // For
   console.log("✓ Member2 voted FOR");
   
-  await dao.connect(member3).castVote(proposalId, 0); // Against
+  await staking.connect(member3).castVote(proposalId, 0); // Against
   console.log("✓ Member3 voted AGAINST");
   
   const voteDetails = await dao.getProposalDetails(proposalId);
@@ -107,7 +112,7 @@ async function main() {
   const state2 = await dao.getProposalState(proposalId);
   console.log("Proposal state:", state2.toString(), "(4 = Executed)");
   
-  const newTreasuryBalance = await dao.treasuryBalances(2);
+  const newTreasuryBalance = await vault.treasuryBalances(2);
   console.log("Remaining treasury balance:", ethers.formatEther(newTreasuryBalance), "ETH");
   
   console.log("\n=== Demo Complete ===");
@@ -1,6 +1,28 @@
 const { ethers } = require("hardhat");
+const params = require("../config/governance-params");
+const {
+  deployLibraries,
+  deployImplementation,
+  deployProxy,
+  deployVault,
+  deployStakingModule,
+  deployTimelock
+} = require("./utils/deployment");
+const { getProposalTypes, getTreasuryCategoryName } = require("./utils/helpers");
+const { ProposalType } = require("./utils/constants");
+
+// Comma-separated guardian council members, e.g.
+// GUARDIANS=0x...,0x...,0x... npx hardhat run scripts/deploy.js --network localhost
+const GUARDIANS = process.env.GUARDIANS;
 
 async function main() {
+  // The deployer renounces its roles below, so refuse to leave guarding to fewer keys than the threshold
+  const guardians = GUARDIANS ? GUARDIANS.split(",").map((address) => address.trim()).filter(Boolean) : [];
+  const threshold = params.guardianCouncil.threshold;
+  if (guardians.length < threshold) {
+    throw new Error(`GUARDIANS must list at least ${threshold} guardian council members, got ${guardians.length}`);
+  }
+  
   console.log("Deploying CryptoVenturesDAO...");
   
   const [deployer] = await ethers.getSigners();
@@ -9,51 +31,116 @@ async function main() {
   const balance = await ethers.provider.getBalance(deployer.address);
   console.log("Account balance:", ethers.formatEther(balance), "ETH");
   
-  // Deploy the DAO
-  const CryptoVenturesDAO = await ethers.getContractFactory("CryptoVenturesDAO");
-  const dao = await CryptoVenturesDAO.deploy();
+  // Deploy the linked libraries
+  const libraries = await deployLibraries();
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`${name} library deployed to:`, address);
+  }
+  
+  // Deploy the governor implementation and the proxy that holds its state
+  const implementation = await deployImplementation(libraries);
+  console.log("CryptoVenturesDAO implementation deployed to:", await implementation.getAddress());
   
-  await dao.waitForDeployment();
+  const dao = await deployProxy(implementation);
   
   const daoAddress = await dao.getAddress();
-  console.log("CryptoVenturesDAO deployed to:", daoAddress);
+  console.log("CryptoVenturesDAO (proxy) deployed to:", daoAddress);
+  
+  // The treasury is held apart from stake, in a vault only the DAO can pay out of
+  const vault = await deployVault(dao);
+  console.log("TreasuryVault deployed to:", await vault.getAddress());
+  
+  // Member stake and voting live in the staking module, which proposals cannot spend from
+  const staking = await deployStakingModule(dao, libraries);
+  console.log("StakingModule deployed to:", await staking.getAddress());
+  
+  // Passed proposals are queued in and performed by the timelock, which takes over the DAO's admin roles
+  const timelock = await deployTimelock(dao);
+  const timelockAddress = await timelock.getAddress();
+  console.log("DAOTimelock deployed to:", timelockAddress);
+  
+  // Hand GUARDIAN_ROLE to an M-of-N council
+  const council = await ethers.deployContract("GuardianCouncil", [
+    daoAddress,
+    guardians,
+    threshold,
+    params.guardianCouncil.termLength
+  ]);
+  await council.waitForDeployment();
+  
+  const councilAddress = await council.getAddress();
+  console.log("GuardianCouncil deployed to:", councilAddress);
+  console.log(`- ${threshold}-of-${guardians.length} guardians, terms of`, params.guardianCouncil.termLength / 86400, "days");
+  
+  const GUARDIAN_ROLE = await dao.GUARDIAN_ROLE();
+  await (await dao.grantRole(GUARDIAN_ROLE, councilAddress)).wait();
+  
+  // Conviction voting pays out of the vault's Experimental fund under the DAO's funding module role
+  const conviction = await ethers.deployContract("ConvictionVoting", [
+    daoAddress,
+    params.convictionVoting.halfLife,
+    params.convictionVoting.thresholdMultiplier
+  ]);
+  await conviction.waitForDeployment();
+  
+  const convictionAddress = await conviction.getAddress();
+  console.log("ConvictionVoting deployed to:", convictionAddress);
+  
+  await (await dao.grantRole(await dao.FUNDING_MODULE_ROLE(), convictionAddress)).wait();
+  
+  // Read-only views for dashboards
+  const lens = await ethers.deployContract("DAOLens", [daoAddress]);
+  await lens.waitForDeployment();
+  console.log("DAOLens deployed to:", await lens.getAddress());
+  
+  // Everything is wired up, so leave role grants and upgrades to passed proposals alone
+  await (await dao.renounceDeployerAdmin()).wait();
+  if (
+    await dao.hasRole(await dao.DEFAULT_ADMIN_ROLE(), deployer.address) ||
+    await dao.hasRole(await dao.GOVERNANCE_ROLE(), deployer.address)
+  ) {
+    throw new Error("Deployer still holds an admin role after renounceDeployerAdmin");
+  }
+  console.log("✓ Deployer admin renounced");
   
   // Display initial configuration
   console.log("\n=== Initial Configuration ===");
   
-  const highConvictionConfig = await dao.proposalConfigs(0);
-  console.log("\nHigh Conviction Proposals:");
-  console.log("- Voting Period:", highConvictionConfig.votingPeriod.toString(), "seconds (", Number(highConvictionConfig.votingPeriod) / 86400, "days)");
-  console.log("- Quorum:", (Number(highConvictionConfig.quorumPercentage) / 100).toFixed(1), "%");
-  console.log("- Approval Threshold:", (Number(highConvictionConfig.approvalThreshold) / 100).toFixed(1), "%");
-  console.log("- Timelock Delay:", highConvictionConfig.timelockDelay.toString(), "seconds (", Number(highConvictionConfig.timelockDelay) / 86400, "days)");
-  
-  const experimentalConfig = await dao.proposalConfigs(1);
-  console.log("\nExperimental Proposals:");
-  console.log("- Voting Period:", experimentalConfig.votingPeriod.toString(), "seconds (", Number(experimentalConfig.votingPeriod) / 86400, "days)");
-  console.log("- Quorum:", (Number(experimentalConfig.quorumPercentage) / 100).toFixed(1), "%");
-  console.log("- Approval Threshold:", (Number(experimentalConfig.approvalThreshold) / 100).toFixed(1), "%");
-  console.log("- Timelock Delay:", experimentalConfig.timelockDelay.toString(), "seconds (", Number(experimentalConfig.timelockDelay) / 86400, "days)");
-  
-  const operationalConfig = await dao.proposalConfigs(2);
-  console.log("\nOperational Proposals:");
-  console.log("- Voting Period:", operationalConfig.votingPeriod.toString(), "seconds (", Number(operationalConfig.votingPeriod) / 86400, "days)");
-  console.log("- Quorum:", (Number(operationalConfig.quorumPercentage) / 100).toFixed(1), "%");
-  console.log("- Approval Threshold:", (Number(operationalConfig.approvalThreshold) / 100).toFixed(1), "%");
-  console.log("- Timelock Delay:", operationalConfig.timelockDelay.toString(), "seconds (", Number(operationalConfig.timelockDelay) / 3600, "hours)");
+  for (const type of await getProposalTypes(dao)) {
+    const { config } = type;
+    console.log(`\n${type.name} Proposals (type ${type.id}, ${getTreasuryCategoryName(type.category)}):`);
+    console.log("- Voting Period:", config.votingPeriod.toString(), "seconds (", Number(config.votingPeriod) / 86400, "days)");
+    if (type.id === ProposalType.Optimistic) {
+      console.log("- Veto Threshold:", (Number(await dao.vetoThreshold()) / 100).toFixed(1), "% of voting power Against");
+    } else {
+      console.log("- Quorum:", (Number(config.quorumPercentage) / 100).toFixed(1), "%");
+      console.log("- Approval Threshold:", (Number(config.approvalThreshold) / 100).toFixed(1), "%");
+    }
+    console.log("- Timelock Delay:", config.timelockDelay.toString(), "seconds (", Number(config.timelockDelay) / 3600, "hours)");
+    console.log("- Min Proposer Stake:", ethers.formatEther(type.minProposerStake), "ETH");
+    console.log("- Proposal Bond:", ethers.formatEther(await dao.proposalBonds(type.id)), "ETH");
+  }
+  
+  console.log("\nProposal Limits:");
+  console.log("- Max Open Proposals per Member:", (await dao.maxOpenProposals()).toString());
   
   console.log("\n=== Roles ===");
   const DEFAULT_ADMIN_ROLE = await dao.DEFAULT_ADMIN_ROLE();
   const PROPOSER_ROLE = await dao.PROPOSER_ROLE();
   const EXECUTOR_ROLE = await dao.EXECUTOR_ROLE();
-  const GUARDIAN_ROLE = await dao.GUARDIAN_ROLE();
   
+  console.log("Timelock has DEFAULT_ADMIN_ROLE:", await dao.hasRole(DEFAULT_ADMIN_ROLE, timelockAddress));
+  console.log("Timelock has GOVERNANCE_ROLE:", await dao.hasRole(await dao.GOVERNANCE_ROLE(), timelockAddress));
   console.log("Deployer has DEFAULT_ADMIN_ROLE:", await dao.hasRole(DEFAULT_ADMIN_ROLE, deployer.address));
+  console.log("Deployer has GOVERNANCE_ROLE:", await dao.hasRole(await dao.GOVERNANCE_ROLE(), deployer.address));
   console.log("Deployer has GUARDIAN_ROLE:", await dao.hasRole(GUARDIAN_ROLE, deployer.address));
+  console.log("Council has GUARDIAN_ROLE:", await dao.hasRole(GUARDIAN_ROLE, councilAddress));
+  console.log("ConvictionVoting has FUNDING_MODULE_ROLE:", await dao.hasRole(await dao.FUNDING_MODULE_ROLE(), convictionAddress));
   console.log("Deployer has EXECUTOR_ROLE:", await dao.hasRole(EXECUTOR_ROLE, deployer.address));
   
   console.log("\n=== Deployment Complete ===");
   console.log("Save this address for interaction:", daoAddress);
+  console.log("Members join and vote through the staking module:", await staking.getAddress());
   
   return daoAddress;
 }
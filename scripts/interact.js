@@ -14,33 +14,35 @@ async function main() {
   console.log("- Recipient:", recipient.address);
   
   const dao = await ethers.getContractAt("CryptoVenturesDAO", DAO_ADDRESS);
+  const vault = await ethers.getContractAt("TreasuryVault", await dao.treasuryVault());
+  const staking = await ethers.getContractAt("StakingModule", await dao.stakingModule());
   
   // Step 1: Members join DAO
   console.log("\n=== Step 1: Members Join DAO ===");
   
   console.log("Member1 joining with 1 ETH...");
-  let tx = await dao.connect(member1).joinDAO({ value: ethers.parseEther("1") });
+  let tx = await staking.connect(member1).joinDAO({ value: ethers.parseEther("1") });
   await tx.wait();
   console.log("✓ Member1 joined");
   
   console.log("Member2 joining with 2 ETH...");
-  tx = await dao.connect(member2).joinDAO({ value: ethers.parseEther("2") });
+  tx = await staking.connect(member2).joinDAO({ value: ethers.parseEther("2") });
   await tx.wait();
   console.log("✓ Member2 joined");
   
-  const member1Data = await dao.members(member1.address);
-  const member2Data = await dao.members(member2.address);
+  const member1Data = await staking.members(member1.address);
+  const member2Data = await staking.members(member2.address);
   
   console.log("\nMember1 stats:");
   console.log("- Stake:", ethers.formatEther(member1Data.stake), "ETH");
-  console.log("- Voting Power:", member1Data.votingPower.toString());
+  console.log("- Voting Power:", (await staking.getVotingPower(member1.address)).toString());
   
   console.log("\nMember2 stats:");
   console.log("- Stake:", ethers.formatEther(member2Data.stake), "ETH");
-  console.log("- Voting Power:", member2Data.votingPower.toString());
+  console.log("- Voting Power:", (await staking.getVotingPower(member2.address)).toString());
   
-  const totalStaked = await dao.totalStaked();
-  const totalVotingPower = await dao.totalVotingPower();
+  const totalStaked = await staking.totalStaked();
+  const totalVotingPower = await staking.totalVotingPower();
   console.log("\nDAO Totals:");
   console.log("- Total Staked:", ethers.formatEther(totalStaked), "ETH");
   console.log("- Total Voting Power:", totalVotingPower.toString());
@@ -49,11 +51,11 @@ async function main() {
   console.log("\n=== Step 2: Deposit to Treasury ===");
   
   console.log("Depositing 10 ETH to Operational Fund...");
-  tx = await dao.depositToTreasury(2, { value: ethers.parseEther("10") }); // 2 = OperationalFund
+  tx = await vault.depositToTreasury(2, { value: ethers.parseEther("10") }); // 2 = OperationalFund
   await tx.wait();
   console.log("✓ Treasury funded");
   
-  const operationalBalance = await dao.treasuryBalances(2);
+  const operationalBalance = await vault.treasuryBalances(2);
   console.log("Operational Fund Balance:", ethers.formatEther(operationalBalance), "ETH");
   
   // Step 3: Create a proposal
@@ -65,7 +67,8 @@ async function main() {
     ethers.parseEther("1"),
     "Fund development team for Q1 2026",
     2, // Operational
-    2  // OperationalFund
+    2, // OperationalFund
+    { value: await dao.proposalBonds(2) }
   );
   let receipt = await tx.wait();
   
@@ -97,12 +100,12 @@ async function main() {
   console.log("\n=== Step 5: Cast Votes ===");
   
   console.log("Member1 voting FOR...");
-  tx = await dao.connect(member1).castVote(proposalId, 1); // 1 = For
+  tx = await staking.connect(member1).castVote(proposalId, 1); // 1 = For
   await tx.wait();
   console.log("✓ Member1 voted FOR");
   
   console.log("Member2 voting FOR...");
-  tx = await dao.connect(member2).castVote(proposalId, 1); // 1 = For
+  tx = await staking.connect(member2).castVote(proposalId, 1); // 1 = For
   await tx.wait();
   console.log("✓ Member2 voted FOR");
   
@@ -124,15 +127,19 @@ async function main() {
   console.log("\n=== Bonus: Delegation Example ===");
   
   console.log("Owner joining with 0.5 ETH...");
-  tx = await dao.connect(owner).joinDAO({ value: ethers.parseEther("0.5") });
+  tx = await staking.connect(owner).joinDAO({ value: ethers.parseEther("0.5") });
+  await tx.wait();
+  
+  console.log("Member1 registering as a delegate...");
+  tx = await staking.connect(member1).registerDelegate("ipfs://member1-delegate-profile", "Focused on long-term fund growth");
   await tx.wait();
   
   console.log("Owner delegating voting power to Member1...");
-  tx = await dao.connect(owner).delegateVotingPower(member1.address);
+  tx = await staking.connect(owner).delegateVotingPower(member1.address);
   await tx.wait();
   console.log("✓ Delegation complete");
   
-  const member1EffectivePower = await dao.getEffectiveVotingPower(member1.address);
+  const member1EffectivePower = await staking.getEffectiveVotingPower(member1.address);
   console.log("Member1 effective voting power (own + delegated):", member1EffectivePower.toString());
   
   console.log("\n=== Interaction Complete ===");
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const Helpers = require("./utils/helpers");
+
+// Deployed DAO address and signed ballots file, e.g.
+// DAO_ADDRESS=0x... BALLOTS_FILE=ballots.json npx hardhat run scripts/relayer.js --network localhost
+const DAO_ADDRESS = process.env.DAO_ADDRESS || "YOUR_DAO_ADDRESS_HERE";
+const BALLOTS_FILE = process.env.BALLOTS_FILE || "ballots.json";
+const BATCH_SIZE = Number(process.env.BATCH_SIZE || 20);
+
+/**
+ * Ballots file format: an array of objects as produced by Helpers.signBallot
+ * [{ "proposalId": "1", "voteType": 1, "voter": "0x...", "nonce": "0", "deadline": "1700000000", "signature": "0x..." }]
+ */
+async function main() {
+  const [relayer] = await ethers.getSigners();
+  const dao = await ethers.getContractAt("CryptoVenturesDAO", DAO_ADDRESS);
+  const staking = await ethers.getContractAt("StakingModule", await dao.stakingModule());
+  
+  const ballots = JSON.parse(fs.readFileSync(path.resolve(BALLOTS_FILE), "utf8"));
+  
+  console.log("Relaying signed ballots to CryptoVenturesDAO at:", DAO_ADDRESS);
+  console.log("- Staking module:", await staking.getAddress());
+  console.log("- Relayer:", relayer.address);
+  console.log("- Ballots loaded:", ballots.length);
+  
+  // A voter's ballots must use their nonces in sequence, so each voter's ballots are
+  // relayed in nonce order
+  const byVoter = new Map();
+  for (const ballot of ballots) {
+    const voter = ballot.voter.toLowerCase();
+    if (!byVoter.has(voter)) {
+      byVoter.set(voter, []);
+    }
+    byVoter.get(voter).push(ballot);
+  }
+  const ordered = [...byVoter.values()].flatMap((voterBallots) =>
+    voterBallots.sort((a, b) => (BigInt(a.nonce) < BigInt(b.nonce) ? -1 : BigInt(a.nonce) > BigInt(b.nonce) ? 1 : 0))
+  );
+  
+  let batch = [];
+  let batchCount = 0;
+  let relayed = 0;
+  
+  const submitBatch = async () => {
+    const tx = await staking.connect(relayer).castVotesBySig(batch);
+    const receipt = await Helpers.waitForTx(tx);
+    batchCount++;
+    relayed += batch.length;
+    console.log(`✓ Batch ${batchCount}: ${batch.length} votes, gas used ${receipt.gasUsed}`);
+    
+    for (const ballot of batch) {
+      console.log(`  - ${ballot.voter} voted ${Helpers.getVoteTypeName(ballot.voteType)} on proposal ${ballot.proposalId}`);
+    }
+    batch = [];
+  };
+  
+  // Simulate each ballot after the ballots already in the batch, whose nonces are not
+  // used on chain yet, so one stale or invalid signature cannot sink a whole batch
+  console.log("\n=== Relaying Ballots ===");
+  for (const ballot of ordered) {
+    try {
+      await staking.castVotesBySig.staticCall([...batch, ballot]);
+      batch.push(ballot);
+    } catch (error) {
+      const reason = error.reason || error.shortMessage || error.message;
+      console.log(`✗ Skipping ${ballot.voter} on proposal ${ballot.proposalId} (nonce ${ballot.nonce}): ${reason}`);
+    }
+    
+    if (batch.length === BATCH_SIZE) {
+      await submitBatch();
+    }
+  }
+  if (batch.length > 0) {
+    await submitBatch();
+  }
+  console.log(`\n${relayed} of ${ballots.length} ballots relayed`);
+  
+  console.log("\n=== Relaying Complete ===");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,68 @@
+const { ethers } = require("hardhat");
+const { deployImplementation, getImplementation, proposeUpgrade } = require("./utils/deployment");
+
+// Deployed DAO (proxy) address, the contract to upgrade and an optional migration call on
+// the new implementation, e.g.
+// DAO_ADDRESS=0x... CONTRACT=StakingModule npx hardhat run scripts/upgrade.js --network localhost
+// CONTRACT is CryptoVenturesDAO (default), StakingModule, TreasuryVault or DAOTimelock.
+// The first signer must be a member able to propose; the upgrade takes effect once the
+// High Conviction proposal passes and is executed like any other proposal.
+const DAO_ADDRESS = process.env.DAO_ADDRESS || "YOUR_DAO_ADDRESS_HERE";
+const CONTRACT = process.env.CONTRACT || "CryptoVenturesDAO";
+const MIGRATION_CALLDATA = process.env.MIGRATION_CALLDATA || "0x";
+
+// Where each contract keeps the state that carries over its upgrade
+const STATE_KEPT = {
+  CryptoVenturesDAO: "Proposals, proposal types and settings",
+  StakingModule: "Members, stake, delegations and voting power history",
+  TreasuryVault: "Treasury balances, limits, spending caps and tranche schedules",
+  DAOTimelock: "Scheduled operations"
+};
+
+async function main() {
+  const [proposer] = await ethers.getSigners();
+  const dao = await ethers.getContractAt("CryptoVenturesDAO", DAO_ADDRESS);
+  
+  const proxyAddresses = {
+    CryptoVenturesDAO: DAO_ADDRESS,
+    StakingModule: await dao.stakingModule(),
+    TreasuryVault: await dao.treasuryVault(),
+    DAOTimelock: await dao.timelock()
+  };
+  const proxyAddress = proxyAddresses[CONTRACT];
+  if (!proxyAddress) {
+    throw new Error(`Unknown CONTRACT ${CONTRACT}`);
+  }
+  
+  console.log(`Upgrading ${CONTRACT} at:`, proxyAddress);
+  console.log("- DAO:", DAO_ADDRESS);
+  console.log("- Current implementation:", await getImplementation(proxyAddress));
+  console.log("- Proposer:", proposer.address);
+  
+  // Fresh libraries, so library changes ship with the new implementation
+  console.log("\n=== Deploying Implementation ===");
+  const implementation = await deployImplementation(undefined, CONTRACT);
+  const implementationAddress = await implementation.getAddress();
+  console.log("✓ New implementation deployed to:", implementationAddress);
+  
+  console.log("\n=== Proposing Upgrade ===");
+  const proposalId = await proposeUpgrade(dao, proposer, implementationAddress, MIGRATION_CALLDATA, proxyAddress);
+  console.log("✓ Upgrade proposal created with ID:", proposalId.toString());
+  if (MIGRATION_CALLDATA !== "0x") {
+    console.log("- Migration call:", MIGRATION_CALLDATA);
+  }
+  
+  const config = await dao.proposalConfigs(0);
+  console.log("\nNext steps:");
+  console.log("1. activateProposal, then members vote for", Number(config.votingPeriod) / 86400, "days");
+  console.log("2. queueProposal, then wait out the", Number(config.timelockDelay) / 86400, "day timelock");
+  console.log("3. executeProposal switches the proxy to", implementationAddress);
+  console.log(`${STATE_KEPT[CONTRACT]} stay in the ${CONTRACT} proxy and carry over unchanged.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -2,11 +2,13 @@
 const ethers = require("ethers");
 
 const Constants = {
-  // Proposal Types
+  // Built-in Proposal Types, registered on initialization. Governance can register
+  // more; use getProposalTypes in helpers.js to list what a deployed DAO supports.
   ProposalType: {
     HighConviction: 0,
     Experimental: 1,
-    Operational: 2
+    Operational: 2,
+    Optimistic: 3
   },
   
   // Treasury Categories
@@ -23,7 +25,8 @@ const Constants = {
     Defeated: 2,
     Queued: 3,
     Executed: 4,
-    Cancelled: 5
+    Cancelled: 5,
+    Expired: 6
   },
   
   // Vote Types
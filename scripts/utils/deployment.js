@@ -0,0 +1,163 @@
+// Deployment helpers shared by scripts and tests
+const { ethers } = require("hardhat");
+const { ProposalType, TreasuryCategory } = require("./constants");
+
+// Linked libraries each upgradeable contract delegates logic to
+const CONTRACT_LIBRARIES = {
+  CryptoVenturesDAO: ["ProposalLogic"],
+  StakingModule: ["DelegationLogic", "StakeLogic", "VotingLogic"],
+  TreasuryVault: [],
+  DAOTimelock: []
+};
+
+// Pick the libraries a contract links against out of all deployed ones
+const pickLibraries = (libraries, names) =>
+  Object.fromEntries(names.map((name) => [name, libraries[name]]));
+
+// ERC-1967 slot in which each proxy stores its implementation
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const Deployment = {
+  IMPLEMENTATION_SLOT,
+  
+  /**
+   * Deploy the libraries CryptoVenturesDAO and its staking module link against
+   */
+  deployLibraries: async () => {
+    const libraries = {};
+    for (const name of new Set(Object.values(CONTRACT_LIBRARIES).flat())) {
+      const library = await ethers.deployContract(name);
+      await library.waitForDeployment();
+      libraries[name] = await library.getAddress();
+    }
+    return libraries;
+  },
+  
+  /**
+   * Get a factory for CryptoVenturesDAO or one of its upgradeable modules, linked against
+   * deployed libraries, deploying them unless given
+   */
+  getFactory: async (name, libraries) => {
+    const names = CONTRACT_LIBRARIES[name];
+    if (names.length === 0) {
+      return ethers.getContractFactory(name);
+    }
+    return ethers.getContractFactory(name, {
+      libraries: pickLibraries(libraries || await Deployment.deployLibraries(), names)
+    });
+  },
+  
+  /**
+   * Get a CryptoVenturesDAO factory linked against deployed libraries
+   */
+  getDAOFactory: async (libraries) => Deployment.getFactory("CryptoVenturesDAO", libraries),
+  
+  /**
+   * Deploy an implementation of CryptoVenturesDAO or one of its modules, deploying its
+   * libraries unless given
+   */
+  deployImplementation: async (libraries, name = "CryptoVenturesDAO") => {
+    const factory = await Deployment.getFactory(name, libraries);
+    const implementation = await factory.deploy();
+    await implementation.waitForDeployment();
+    return implementation;
+  },
+  
+  /**
+   * Deploy an ERC1967Proxy that initializes the implementation in its own storage with
+   * the given arguments, and return the contract at the proxy's address
+   */
+  deployProxy: async (implementation, args = []) => {
+    const proxy = await ethers.deployContract("ERC1967Proxy", [
+      await implementation.getAddress(),
+      implementation.interface.encodeFunctionData("initialize", args)
+    ]);
+    await proxy.waitForDeployment();
+    return implementation.attach(await proxy.getAddress());
+  },
+  
+  /**
+   * Deploy a module implementation behind a proxy bound to a DAO
+   */
+  deployModule: async (dao, name, libraries) => {
+    const implementation = await Deployment.deployImplementation(libraries, name);
+    return Deployment.deployProxy(implementation, [await dao.getAddress()]);
+  },
+  
+  /**
+   * Deploy the TreasuryVault holding a DAO's treasury and point the DAO at it.
+   * Must be sent by an account holding the DAO's DEFAULT_ADMIN_ROLE.
+   */
+  deployVault: async (dao) => {
+    const vault = await Deployment.deployModule(dao, "TreasuryVault");
+    await (await dao.setTreasuryVault(await vault.getAddress())).wait();
+    return vault;
+  },
+  
+  /**
+   * Deploy the StakingModule holding a DAO's member stake and point the DAO at it,
+   * deploying its libraries unless given.
+   * Must be sent by an account holding the DAO's DEFAULT_ADMIN_ROLE.
+   */
+  deployStakingModule: async (dao, libraries) => {
+    const staking = await Deployment.deployModule(dao, "StakingModule", libraries);
+    await (await dao.setStakingModule(await staking.getAddress())).wait();
+    return staking;
+  },
+  
+  /**
+   * Deploy the DAOTimelock performing a DAO's passed proposals and point the DAO at it,
+   * which hands the timelock the DAO's admin roles.
+   * Must be sent by an account holding the DAO's DEFAULT_ADMIN_ROLE.
+   */
+  deployTimelock: async (dao) => {
+    const timelock = await Deployment.deployModule(dao, "DAOTimelock");
+    await (await dao.setTimelock(await timelock.getAddress())).wait();
+    return timelock;
+  },
+  
+  /**
+   * Deploy libraries, a CryptoVenturesDAO implementation, the proxy in front of it and
+   * the DAO's treasury vault, staking module and timelock
+   */
+  deployDAO: async () => {
+    const libraries = await Deployment.deployLibraries();
+    const dao = await Deployment.deployProxy(await Deployment.deployImplementation(libraries));
+    await Deployment.deployVault(dao);
+    await Deployment.deployStakingModule(dao, libraries);
+    await Deployment.deployTimelock(dao);
+    return dao;
+  },
+  
+  /**
+   * Get the implementation a proxy currently delegates to
+   */
+  getImplementation: async (proxyAddress) => {
+    const slot = await ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+    return ethers.getAddress("0x" + slot.slice(26));
+  },
+  
+  /**
+   * Create a High Conviction proposal upgrading the DAO, or one of its modules at
+   * `proxyAddress`, to a new implementation and optionally calling it, e.g. to migrate
+   * state. Returns the proposal id.
+   */
+  proposeUpgrade: async (dao, proposer, newImplementation, data = "0x", proxyAddress) => {
+    const target = proxyAddress || await dao.getAddress();
+    const upgradeCall = dao.interface.encodeFunctionData("upgradeToAndCall", [newImplementation, data]);
+    
+    const tx = await dao.connect(proposer).propose(
+      [target],
+      [0],
+      [upgradeCall],
+      `Upgrade implementation of ${target} to ${newImplementation}`,
+      ProposalType.HighConviction,
+      TreasuryCategory.HighConvictionFund,
+      { value: await dao.proposalBonds(ProposalType.HighConviction) }
+    );
+    await tx.wait();
+    return dao.proposalCount();
+  }
+};
+
+module.exports = Deployment;
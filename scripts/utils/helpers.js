@@ -1,13 +1,39 @@
 // Helper functions for governance interactions
 const ethers = require("ethers");
+const params = require("../../config/governance-params");
 
 const Helpers = {
   /**
-   * Calculate voting power from stake
+   * Calculate voting power the way StakeLogic does: sqrt(stake * 100) boosted by the
+   * notice period of a voluntary lock, plus an age bonus growing linearly from
+   * stakeSince until ageBonusPeriod later, rounded up to a week boundary (times in seconds)
    */
-  calculateVotingPower: (stake) => {
-    const COEFFICIENT = 100n;
-    return sqrt(stake * COEFFICIENT);
+  calculateVotingPower: (
+    stake,
+    stakeSince = 0,
+    timepoint = stakeSince,
+    lockDuration = 0,
+    boost = params.votingPowerBoost
+  ) => {
+    const COEFFICIENT = BigInt(params.votingPowerCoefficient);
+    const WEEK = 7n * 24n * 60n * 60n;
+    const PRECISION = 10n ** 18n;
+    if (stake === 0n) return 0n;
+    
+    const min = (a, b) => (a < b ? a : b);
+    const base = Helpers.sqrt(stake * COEFFICIENT);
+    const maxLockDuration = BigInt(boost.maxLockDuration);
+    const lockBonus = (BigInt(boost.maxLockBonus) * min(BigInt(lockDuration), maxLockDuration)) / maxLockDuration;
+    const stakePower = (base * (10000n + lockBonus)) / 10000n;
+    
+    const maxAgeBonus = (base * BigInt(boost.maxAgeBonus)) / 10000n;
+    const since = BigInt(stakeSince);
+    const at = BigInt(timepoint);
+    if (maxAgeBonus === 0n || at <= since) return stakePower;
+    
+    const end = ((since + BigInt(boost.ageBonusPeriod) + WEEK - 1n) / WEEK) * WEEK;
+    const rate = (maxAgeBonus * PRECISION + end - since - 1n) / (end - since);
+    return stakePower + (rate * (min(at, end) - since)) / PRECISION;
   },
   
   /**
@@ -33,7 +59,7 @@ const Helpers = {
       recipient: details.recipient,
       amount: ethers.formatEther(details.amount),
       description: details.description,
-      state: ["Pending", "Active", "Defeated", "Queued", "Executed", "Cancelled"][details.state],
+      state: ["Pending", "Active", "Defeated", "Queued", "Executed", "Cancelled", "Expired"][details.state],
       forVotes: details.forVotes.toString(),
       againstVotes: details.againstVotes.toString(),
       abstainVotes: details.abstainVotes.toString()
@@ -41,13 +67,48 @@ const Helpers = {
   },
   
   /**
-   * Parse proposal type name
+   * Parse built-in proposal type name. Types registered through governance are
+   * listed by getProposalTypes.
    */
   getProposalTypeName: (type) => {
-    const names = ["High Conviction", "Experimental", "Operational"];
+    const names = ["High Conviction", "Experimental", "Operational", "Optimistic"];
     return names[type] || "Unknown";
   },
   
+  /**
+   * Parse treasury category name
+   */
+  getTreasuryCategoryName: (category) => {
+    const names = ["High Conviction Fund", "Experimental Fund", "Operational Fund"];
+    return names[category] || "Unknown";
+  },
+  
+  /**
+   * Enumerate the proposal types registered on a DAO, with their configuration
+   */
+  getProposalTypes: async (dao) => {
+    const count = Number(await dao.getProposalTypeCount());
+    const types = [];
+    for (let id = 0; id < count; id++) {
+      const info = await dao.proposalTypes(id);
+      const config = await dao.proposalConfigs(id);
+      types.push({
+        id,
+        name: info.name,
+        category: Number(info.category),
+        minProposerStake: info.minProposerStake,
+        deprecated: info.deprecated,
+        config: {
+          votingPeriod: config.votingPeriod,
+          quorumPercentage: config.quorumPercentage,
+          approvalThreshold: config.approvalThreshold,
+          timelockDelay: config.timelockDelay
+        }
+      });
+    }
+    return types;
+  },
+  
   /**
    * Parse vote type name
    */
@@ -56,6 +117,37 @@ const Helpers = {
     return names[type] || "Unknown";
   },
   
+  /**
+   * Sign an EIP-712 ballot that a relayer can submit with the staking module's castVoteBySig.
+   * The ballot's domain is the DAO's (proxy) address, not the staking module's.
+   */
+  signBallot: async (signer, dao, { proposalId, voteType, nonce, deadline }) => {
+    const domain = {
+      name: "CryptoVenturesDAO",
+      version: "1",
+      chainId: (await signer.provider.getNetwork()).chainId,
+      verifyingContract: await dao.getAddress()
+    };
+    const types = {
+      Ballot: [
+        { name: "proposalId", type: "uint256" },
+        { name: "voteType", type: "uint8" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const ballot = {
+      proposalId: proposalId.toString(),
+      voteType: Number(voteType),
+      voter: await signer.getAddress(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString()
+    };
+    
+    return { ...ballot, signature: await signer.signTypedData(domain, types, ballot) };
+  },
+  
   /**
    * Wait for transaction
    */
@@ -1,9 +1,27 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployLibraries,
+  getDAOFactory,
+  deployProxy,
+  deployImplementation,
+  deployVault,
+  deployStakingModule,
+  deployTimelock,
+  getImplementation,
+  proposeUpgrade
+} = require("../scripts/utils/deployment");
+const Helpers = require("../scripts/utils/helpers");
 
 describe("CryptoVenturesDAO", function () {
+  let libraries;
+  let CryptoVenturesDAO;
+  let implementation;
   let dao;
+  let vault;
+  let staking;
+  let timelock;
   let owner, member1, member2, member3, recipient, guardian;
   
   const MINIMUM_STAKE = ethers.parseEther("0.1");
@@ -14,7 +32,8 @@ describe("CryptoVenturesDAO", function () {
   const ProposalType = {
     HighConviction: 0,
     Experimental: 1,
-    Operational: 2
+    Operational: 2,
+    Optimistic: 3
   };
   
   // Treasury Categories
@@ -31,7 +50,8 @@ describe("CryptoVenturesDAO", function () {
     Defeated: 2,
     Queued: 3,
     Executed: 4,
-    Cancelled: 5
+    Cancelled: 5,
+    Expired: 6
   };
   
   // Vote Types
@@ -41,11 +61,20 @@ describe("CryptoVenturesDAO", function () {
     Abstain: 2
   };
   
+  before(async function () {
+    // Linked libraries and the implementation are stateless, so they are deployed once for all tests
+    libraries = await deployLibraries();
+    CryptoVenturesDAO = await getDAOFactory(libraries);
+    implementation = await CryptoVenturesDAO.deploy();
+  });
+  
   beforeEach(async function () {
     [owner, member1, member2, member3, recipient, guardian] = await ethers.getSigners();
     
-    const CryptoVenturesDAO = await ethers.getContractFactory("CryptoVenturesDAO");
-    dao = await CryptoVenturesDAO.deploy();
+    dao = await deployProxy(implementation);
+    vault = await deployVault(dao);
+    staking = await deployStakingModule(dao, libraries);
+    timelock = await deployTimelock(dao);
     
     // Grant guardian role to guardian account
     const GUARDIAN_ROLE = await dao.GUARDIAN_ROLE();
@@ -58,21 +87,21 @@ describe("CryptoVenturesDAO", function () {
   
   describe("Member Management", function () {
     it("Should allow members to join DAO with ETH stake", async function () {
-      await expect(dao.connect(member1).joinDAO({ value: ONE_ETH }))
-        .to.emit(dao, "MemberJoined")
+      await expect(staking.connect(member1).joinDAO({ value: ONE_ETH }))
+        .to.emit(staking, "MemberJoined")
         .withArgs(member1.address, ONE_ETH, await calculateVotingPower(ONE_ETH));
       
-      const member = await dao.members(member1.address);
+      const member = await staking.members(member1.address);
       expect(member.stake).to.equal(ONE_ETH);
-      expect(member.votingPower).to.equal(await calculateVotingPower(ONE_ETH));
+      expect(member.stakePower).to.equal(await calculateVotingPower(ONE_ETH));
     });
     
     it("Should calculate voting power using square root to reduce whale dominance", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
-      await dao.connect(member2).joinDAO({ value: ethers.parseEther("100") }); // 100x more stake
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ethers.parseEther("100") }); // 100x more stake
       
-      const votingPower1 = await dao.getVotingPower(member1.address);
-      const votingPower2 = await dao.getVotingPower(member2.address);
+      const votingPower1 = await staking.getVotingPower(member1.address);
+      const votingPower2 = await staking.getVotingPower(member2.address);
       
       // With 100x more stake, voting power should be ~10x (square root), not 100x
       expect(votingPower2 / votingPower1).to.be.lessThan(15n); // Approximately 10x
@@ -80,265 +109,458 @@ describe("CryptoVenturesDAO", function () {
     });
     
     it("Should allow increasing stake", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
       
-      await expect(dao.connect(member1).joinDAO({ value: ONE_ETH }))
-        .to.emit(dao, "StakeIncreased");
+      await expect(staking.connect(member1).joinDAO({ value: ONE_ETH }))
+        .to.emit(staking, "StakeIncreased");
       
-      const member = await dao.members(member1.address);
+      const member = await staking.members(member1.address);
       expect(member.stake).to.equal(ONE_ETH * 2n);
     });
     
     it("Should allow withdrawing stake", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH * 2n });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 2n });
       
       const initialBalance = await ethers.provider.getBalance(member1.address);
       
-      await expect(dao.connect(member1).withdrawStake(ONE_ETH))
-        .to.emit(dao, "StakeWithdrawn");
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH))
+        .to.emit(staking, "StakeWithdrawn");
       
-      const member = await dao.members(member1.address);
+      const member = await staking.members(member1.address);
       expect(member.stake).to.equal(ONE_ETH);
     });
     
     it("Should not allow withdrawing more than staked", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
       
       await expect(
-        dao.connect(member1).withdrawStake(ONE_ETH * 2n)
+        staking.connect(member1).withdrawStake(ONE_ETH * 2n)
       ).to.be.revertedWith("Insufficient stake");
     });
     
     it("Should track total staked and voting power", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
-      await dao.connect(member2).joinDAO({ value: ONE_ETH * 2n });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 2n });
       
-      expect(await dao.totalStaked()).to.equal(ONE_ETH * 3n);
-      expect(await dao.totalVotingPower()).to.be.greaterThan(0n);
+      expect(await staking.totalStaked()).to.equal(ONE_ETH * 3n);
+      expect(await staking.totalVotingPower()).to.be.greaterThan(0n);
     });
   });
   
-  describe("Delegation", function () {
+  describe("Unbonding and Vote Locking", function () {
+    const UNBONDING_PERIOD = 7 * 24 * 60 * 60;
+    
     beforeEach(async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
-      await dao.connect(member2).joinDAO({ value: ONE_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
     });
     
-    it("Should allow delegating voting power", async function () {
-      const votingPower1 = await dao.getVotingPower(member1.address);
+    it("Should hold withdrawn stake until the unbonding period elapses", async function () {
+      const tx = await staking.connect(member1).withdrawStake(ONE_ETH * 2n);
+      const releaseTime = BigInt(await time.latest()) + BigInt(UNBONDING_PERIOD);
       
-      await expect(dao.connect(member1).delegateVotingPower(member2.address))
-        .to.emit(dao, "VotingPowerDelegated")
-        .withArgs(member1.address, member2.address, votingPower1);
+      await expect(tx)
+        .to.emit(staking, "WithdrawalRequested")
+        .withArgs(member1.address, ONE_ETH * 2n, releaseTime);
       
-      const member1Data = await dao.members(member1.address);
-      expect(member1Data.delegateTo).to.equal(member2.address);
+      const [pending] = await staking.getPendingWithdrawals(member1.address);
+      expect(pending.amount).to.equal(ONE_ETH * 2n);
+      expect(pending.releaseTime).to.equal(releaseTime);
+      expect(await staking.getVotingPower(member1.address))
+        .to.equal(await votingPowerAt(member1.address, await time.latest(), ONE_ETH * 3n));
+      
+      await expect(
+        staking.connect(member1).claimWithdrawal()
+      ).to.be.revertedWith("Unbonding period not elapsed");
       
-      const effectivePower = await dao.getEffectiveVotingPower(member2.address);
-      const ownPower = await dao.getVotingPower(member2.address);
-      expect(effectivePower).to.equal(ownPower + votingPower1);
+      await time.increase(UNBONDING_PERIOD);
+      
+      const claimTx = staking.connect(member1).claimWithdrawal();
+      await expect(claimTx)
+        .to.emit(staking, "WithdrawalClaimed")
+        .withArgs(member1.address, ONE_ETH * 2n);
+      await expect(claimTx).to.changeEtherBalance(member1, ONE_ETH * 2n);
+      
+      expect(await staking.getPendingWithdrawals(member1.address)).to.deep.equal([]);
     });
     
-    it("Should allow revoking delegation", async function () {
-      await dao.connect(member1).delegateVotingPower(member2.address);
+    it("Should give each withdrawal request its own release time", async function () {
+      await staking.connect(member1).withdrawStake(ONE_ETH);
+      const firstRelease = BigInt(await time.latest()) + BigInt(UNBONDING_PERIOD);
       
-      await expect(dao.connect(member1).revokeDelegation())
-        .to.emit(dao, "DelegationRevoked");
+      await time.increase(UNBONDING_PERIOD - 60);
+      await staking.connect(member1).withdrawStake(ONE_ETH * 2n);
+      const secondRelease = BigInt(await time.latest()) + BigInt(UNBONDING_PERIOD);
       
-      const member1Data = await dao.members(member1.address);
-      expect(member1Data.delegateTo).to.equal(ethers.ZeroAddress);
+      const pending = await staking.getPendingWithdrawals(member1.address);
+      expect(pending.map((request) => [request.amount, request.releaseTime])).to.deep.equal([
+        [ONE_ETH, firstRelease],
+        [ONE_ETH * 2n, secondRelease]
+      ]);
+      
+      // A later request does not push back the release of an earlier one
+      await time.increase(60);
+      await expect(staking.connect(member1).claimWithdrawal())
+        .to.emit(staking, "WithdrawalClaimed")
+        .withArgs(member1.address, ONE_ETH);
+      expect((await staking.getPendingWithdrawals(member1.address)).length).to.equal(1);
+      await expect(
+        staking.connect(member1).claimWithdrawal()
+      ).to.be.revertedWith("Unbonding period not elapsed");
+      
+      await time.increase(UNBONDING_PERIOD);
+      await expect(staking.connect(member1).claimWithdrawal()).to.changeEtherBalance(member1, ONE_ETH * 2n);
+      expect(await staking.getPendingWithdrawals(member1.address)).to.deep.equal([]);
     });
     
-    it("Should not allow delegating to self", async function () {
+    it("Should bound the number of unclaimed withdrawal requests", async function () {
+      for (let i = 0; i < 10; i++) {
+        await staking.connect(member1).withdrawStake(ONE_ETH / 10n);
+      }
       await expect(
-        dao.connect(member1).delegateVotingPower(member1.address)
-      ).to.be.revertedWith("Cannot delegate to self");
+        staking.connect(member1).withdrawStake(ONE_ETH / 10n)
+      ).to.be.revertedWith("Too many pending withdrawals");
+      
+      // Claiming matured requests frees up room
+      await time.increase(UNBONDING_PERIOD);
+      await staking.connect(member1).claimWithdrawal();
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH / 10n)).to.emit(staking, "WithdrawalRequested");
     });
     
-    it("Should not allow double delegation", async function () {
-      await dao.connect(member1).delegateVotingPower(member2.address);
-      
+    it("Should not allow claiming without a pending withdrawal", async function () {
       await expect(
-        dao.connect(member1).delegateVotingPower(member3.address)
-      ).to.be.revertedWith("Already delegated, revoke first");
+        staking.connect(member1).claimWithdrawal()
+      ).to.be.revertedWith("No pending withdrawal");
     });
     
-    it("Should not allow withdrawing stake while delegated", async function () {
-      await dao.connect(member1).delegateVotingPower(member2.address);
+    it("Should change the unbonding period through governance", async function () {
+      const data = staking.interface.encodeFunctionData("setUnbondingPeriod", [60]);
+      await expect(executeThroughProposal(data, await staking.getAddress()))
+        .to.emit(staking, "UnbondingPeriodUpdated")
+        .withArgs(60);
       
+      await staking.connect(member1).withdrawStake(ONE_ETH);
+      await time.increase(60);
+      
+      await expect(staking.connect(member1).claimWithdrawal()).to.not.be.reverted;
       await expect(
-        dao.connect(member1).withdrawStake(ONE_ETH)
-      ).to.be.revertedWith("Must revoke delegation first");
-    });
-  });
-  
-  describe("Proposal Creation", function () {
-    beforeEach(async function () {
-      await dao.connect(member1).joinDAO({ value: MINIMUM_STAKE });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+        staking.setUnbondingPeriod(0)
+      ).to.be.revertedWith("Only callable through a proposal");
     });
     
-    it("Should allow creating proposals with minimum stake", async function () {
+    it("Should lock stake that voted on an active proposal", async function () {
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      
+      expect(await staking.getLockedStake(member1.address)).to.equal(ONE_ETH * 5n);
+      
       await expect(
-        dao.connect(member1).createProposal(
-          recipient.address,
-          ONE_ETH,
-          "Test proposal",
-          ProposalType.Operational,
-          TreasuryCategory.OperationalFund
-        )
-      ).to.emit(dao, "ProposalCreated");
+        staking.connect(member1).withdrawStake(ONE_ETH * 2n)
+      ).to.be.revertedWith("Stake locked by open vote");
       
-      const proposalCount = await dao.proposalCount();
-      expect(proposalCount).to.equal(1n);
+      // Stake added after voting stays free
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH)).to.not.be.reverted;
+      
+      // Members who did not vote are unaffected
+      await expect(staking.connect(member2).withdrawStake(ONE_ETH * 5n)).to.not.be.reverted;
     });
     
-    it("Should not allow creating proposals without minimum stake", async function () {
+    it("Should keep stake locked while the proposal is queued and release it after execution", async function () {
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      
       await expect(
-        dao.connect(member2).createProposal(
-          recipient.address,
-          ONE_ETH,
-          "Test proposal",
-          ProposalType.Operational,
-          TreasuryCategory.OperationalFund
-        )
-      ).to.be.reverted;
+        staking.connect(member1).withdrawStake(ONE_ETH)
+      ).to.be.revertedWith("Stake locked by open vote");
+      
+      await time.increase(12 * 60 * 60 + 1);
+      await dao.executeProposal(proposalId);
+      
+      expect(await staking.getLockedStake(member1.address)).to.equal(0n);
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH * 5n)).to.not.be.reverted;
     });
     
-    it("Should require matching proposal type and treasury category", async function () {
-      await expect(
-        dao.connect(member1).createProposal(
-          recipient.address,
-          ONE_ETH,
-          "Test proposal",
-          ProposalType.Operational,
-          TreasuryCategory.HighConvictionFund // Mismatch
-        )
-      ).to.be.revertedWith("Category must match proposal type");
+    it("Should release stake once the proposal is defeated", async function () {
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.Against);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH * 5n)).to.not.be.reverted;
     });
     
-    it("Should store proposal details correctly", async function () {
-      await dao.connect(member1).createProposal(
+    it("Should lock delegated stake after the delegate votes", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      
+      await dao.connect(member2).createProposal(
         recipient.address,
         ONE_ETH,
         "Test proposal",
         ProposalType.Operational,
         TreasuryCategory.OperationalFund
       );
+      const proposalId = await dao.proposalCount();
+      await dao.connect(member2).activateProposal(proposalId);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
       
-      const details = await dao.getProposalDetails(1);
-      expect(details.proposer).to.equal(member1.address);
-      expect(details.recipient).to.equal(recipient.address);
-      expect(details.amount).to.equal(ONE_ETH);
-      expect(details.description).to.equal("Test proposal");
-      expect(details.proposalType).to.equal(ProposalType.Operational);
+      await staking.connect(member1).revokeDelegation();
+      expect(await staking.getLockedStake(member1.address)).to.equal(ONE_ETH * 5n);
+      await expect(
+        staking.connect(member1).withdrawStake(ONE_ETH)
+      ).to.be.revertedWith("Stake locked by open vote");
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      await time.increase(12 * 60 * 60 + 1);
+      await dao.executeProposal(proposalId);
+      
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH * 5n)).to.not.be.reverted;
     });
-  });
-  
-  describe("Voting", function () {
-    let proposalId;
     
-    beforeEach(async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
-      await dao.connect(member2).joinDAO({ value: ONE_ETH * 2n });
-      await dao.connect(member3).joinDAO({ value: ONE_ETH });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+    it("Should only lock the delegated share behind votes cast with it", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
       
-      await dao.connect(member1).createProposal(
+      // Activated before member1 delegates, so member2 votes on it without member1's power
+      await dao.connect(member2).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Before delegation",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const earlierId = await dao.proposalCount();
+      await dao.connect(member2).activateProposal(earlierId);
+      
+      await staking.connect(member1).setDelegations([member2.address], [4000]);
+      
+      await dao.connect(member2).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "After delegation",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const laterId = await dao.proposalCount();
+      await dao.connect(member2).activateProposal(laterId);
+      await staking.connect(member2).castVote(earlierId, VoteType.For);
+      await staking.connect(member2).castVote(laterId, VoteType.For);
+      
+      await staking.connect(member1).revokeDelegation();
+      expect(await staking.getLockedStake(member1.address)).to.equal(ONE_ETH * 2n);
+      await expect(
+        staking.connect(member1).withdrawStake(ONE_ETH * 4n)
+      ).to.be.revertedWith("Stake locked by open vote");
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH * 3n)).to.not.be.reverted;
+    });
+    
+    it("Should add the shares of several delegates who voted on one proposal into one lock", async function () {
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member3).registerDelegate("ipfs://member3", "");
+      await staking.connect(member1).setDelegations([member2.address, member3.address], [3000, 3000]);
+      
+      await dao.connect(member2).createProposal(
         recipient.address,
         ONE_ETH,
         "Test proposal",
         ProposalType.Operational,
         TreasuryCategory.OperationalFund
       );
-      proposalId = await dao.proposalCount();
+      const proposalId = await dao.proposalCount();
+      await dao.connect(member2).activateProposal(proposalId);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member3).castVote(proposalId, VoteType.For);
       
-      await dao.connect(member1).activateProposal(proposalId);
+      await staking.connect(member1).revokeDelegation();
+      expect(await staking.getLockedStake(member1.address)).to.equal(ONE_ETH * 3n);
+      await expect(
+        staking.connect(member1).withdrawStake(ONE_ETH * 3n)
+      ).to.be.revertedWith("Stake locked by open vote");
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH * 2n)).to.not.be.reverted;
+    });
+  });
+  
+  describe("Delegation", function () {
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
     });
     
-    it("Should allow casting votes on active proposals", async function () {
-      const votingPower = await dao.getVotingPower(member1.address);
+    it("Should allow delegating voting power", async function () {
+      const stakePower1 = (await staking.members(member1.address)).stakePower;
       
-      await expect(dao.connect(member1).castVote(proposalId, VoteType.For))
-        .to.emit(dao, "VoteCast")
-        .withArgs(member1.address, proposalId, VoteType.For, votingPower);
+      await expect(staking.connect(member1).delegateVotingPower(member2.address))
+        .to.emit(staking, "VotingPowerDelegated")
+        .withArgs(member1.address, member2.address, stakePower1);
       
-      expect(await dao.hasVotedOnProposal(proposalId, member1.address)).to.be.true;
+      const member1Data = await staking.members(member1.address);
+      expect(member1Data.delegateTo).to.equal(member2.address);
+      
+      const effectivePower = await staking.getEffectiveVotingPower(member2.address);
+      const ownPower = await staking.getVotingPower(member2.address);
+      expect(effectivePower).to.equal(ownPower + await staking.getVotingPower(member1.address));
+      expect(await staking.getEffectiveVotingPower(member1.address)).to.equal(0n);
     });
     
-    it("Should count votes correctly", async function () {
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.Against);
-      await dao.connect(member3).castVote(proposalId, VoteType.Abstain);
+    it("Should allow revoking delegation", async function () {
+      await staking.connect(member1).delegateVotingPower(member2.address);
       
-      const details = await dao.getProposalDetails(proposalId);
-      expect(details.forVotes).to.be.greaterThan(0n);
-      expect(details.againstVotes).to.be.greaterThan(0n);
-      expect(details.abstainVotes).to.be.greaterThan(0n);
+      await expect(staking.connect(member1).revokeDelegation())
+        .to.emit(staking, "DelegationRevoked");
+      
+      const member1Data = await staking.members(member1.address);
+      expect(member1Data.delegateTo).to.equal(ethers.ZeroAddress);
     });
     
-    it("Should not allow voting twice", async function () {
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
+    it("Should not allow delegating to self", async function () {
+      await expect(
+        staking.connect(member1).delegateVotingPower(member1.address)
+      ).to.be.revertedWith("Cannot delegate to self");
+    });
+    
+    it("Should not allow double delegation", async function () {
+      await staking.connect(member1).delegateVotingPower(member2.address);
       
       await expect(
-        dao.connect(member1).castVote(proposalId, VoteType.Against)
-      ).to.be.revertedWith("Already voted");
+        staking.connect(member1).delegateVotingPower(member3.address)
+      ).to.be.revertedWith("Already delegated, revoke first");
     });
     
-    it("Should not allow voting when delegated", async function () {
-      await dao.connect(member1).delegateVotingPower(member2.address);
+    it("Should not allow withdrawing stake while delegated", async function () {
+      await staking.connect(member1).delegateVotingPower(member2.address);
       
       await expect(
-        dao.connect(member1).castVote(proposalId, VoteType.For)
-      ).to.be.revertedWith("Cannot vote when delegated");
+        staking.connect(member1).withdrawStake(ONE_ETH)
+      ).to.be.revertedWith("Must revoke delegation first");
     });
     
-    it("Should count delegated voting power for delegate", async function () {
-      await dao.connect(member1).delegateVotingPower(member2.address);
+    it("Should split voting power across several delegates", async function () {
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await staking.connect(member3).registerDelegate("ipfs://member3", "");
+      const stakePower1 = (await staking.members(member1.address)).stakePower;
+      const toMember2 = (stakePower1 * 5000n) / 10000n;
+      const toMember3 = (stakePower1 * 3000n) / 10000n;
       
-      const effectivePower = await dao.getEffectiveVotingPower(member2.address);
+      await expect(staking.connect(member1).setDelegations([member2.address, member3.address], [5000, 3000]))
+        .to.emit(staking, "VotingPowerDelegated")
+        .withArgs(member1.address, member2.address, toMember2)
+        .and.to.emit(staking, "VotingPowerDelegated")
+        .withArgs(member1.address, member3.address, toMember3);
       
-      await dao.connect(member2).castVote(proposalId, VoteType.For);
+      const [delegatees, weights] = await staking.getDelegations(member1.address);
+      expect(delegatees).to.deep.equal([member2.address, member3.address]);
+      expect(weights).to.deep.equal([5000n, 3000n]);
       
-      const details = await dao.getProposalDetails(proposalId);
-      expect(details.forVotes).to.equal(effectivePower);
+      // member1 keeps the undelegated 20% to vote directly. Each share of the age bonus
+      // is rounded down on its own, so shares of current power can be a unit or two apart.
+      const votingPower1 = await staking.getVotingPower(member1.address);
+      expect(await staking.getEffectiveVotingPower(member1.address)).to.be.closeTo((votingPower1 * 2000n) / 10000n, 2n);
+      expect(await staking.getEffectiveVotingPower(member2.address))
+        .to.be.closeTo(await staking.getVotingPower(member2.address) + (votingPower1 * 5000n) / 10000n, 2n);
+      expect(await staking.getEffectiveVotingPower(member3.address))
+        .to.be.closeTo(await staking.getVotingPower(member3.address) + (votingPower1 * 3000n) / 10000n, 2n);
     });
     
-    it("Should not allow voting before voting period starts", async function () {
-      await dao.connect(member1).createProposal(
-        recipient.address,
-        ONE_ETH,
-        "Test proposal 2",
-        ProposalType.Operational,
-        TreasuryCategory.OperationalFund
-      );
-      const newProposalId = await dao.proposalCount();
+    it("Should re-delegate in one call", async function () {
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await staking.connect(member3).registerDelegate("ipfs://member3", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
       
-      // Don't activate - stays in pending
-      await expect(
-        dao.connect(member1).castVote(newProposalId, VoteType.For)
-      ).to.be.revertedWith("Proposal not active");
+      await expect(staking.connect(member1).setDelegations([member3.address], [10000]))
+        .to.emit(staking, "DelegationRevoked")
+        .and.to.emit(staking, "VotingPowerDelegated");
+      
+      expect(await staking.getEffectiveVotingPower(member2.address)).to.equal(await staking.getVotingPower(member2.address));
+      expect(await staking.getEffectiveVotingPower(member3.address))
+        .to.equal(await staking.getVotingPower(member3.address) + await staking.getVotingPower(member1.address));
+      expect((await staking.members(member1.address)).delegateTo).to.equal(member3.address);
     });
     
-    it("Should not allow voting after voting period ends", async function () {
-      // Fast forward past voting period (3 days for operational)
-      await time.increase(3 * 24 * 60 * 60 + 1);
+    it("Should clear a split with revokeDelegation", async function () {
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await staking.connect(member3).registerDelegate("ipfs://member3", "");
+      await staking.connect(member1).setDelegations([member2.address, member3.address], [4000, 4000]);
+      
+      await staking.connect(member1).revokeDelegation();
+      
+      const [delegatees] = await staking.getDelegations(member1.address);
+      expect(delegatees).to.be.empty;
+      expect(await staking.getEffectiveVotingPower(member1.address)).to.equal(await staking.getVotingPower(member1.address));
+      expect(await staking.getEffectiveVotingPower(member2.address)).to.equal(await staking.getVotingPower(member2.address));
+      expect(await staking.getEffectiveVotingPower(member3.address)).to.equal(await staking.getVotingPower(member3.address));
+    });
+    
+    it("Should re-credit split delegates when stake increases", async function () {
+      await staking.connect(member1).setDelegations([member2.address], [2500]);
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 3n });
+      
+      const stakePower1 = (await staking.members(member1.address)).stakePower;
+      expect((await staking.members(member2.address)).delegatedPower).to.equal((stakePower1 * 2500n) / 10000n);
+      
+      const votingPower1 = await staking.getVotingPower(member1.address);
+      const delegated = (votingPower1 * 2500n) / 10000n;
+      expect(await staking.getEffectiveVotingPower(member2.address))
+        .to.be.closeTo(await staking.getVotingPower(member2.address) + delegated, 2n);
+      expect(await staking.getEffectiveVotingPower(member1.address)).to.be.closeTo(votingPower1 - delegated, 2n);
+    });
+    
+    it("Should reject invalid splits", async function () {
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await staking.connect(member3).registerDelegate("ipfs://member3", "");
       
       await expect(
-        dao.connect(member1).castVote(proposalId, VoteType.For)
-      ).to.be.revertedWith("Voting period ended");
+        staking.connect(member1).setDelegations([member2.address, member3.address], [6000, 5000])
+      ).to.be.revertedWith("Weights exceed 100%");
+      await expect(
+        staking.connect(member1).setDelegations([member2.address, member2.address], [3000, 3000])
+      ).to.be.revertedWith("Duplicate delegate");
+      await expect(
+        staking.connect(member1).setDelegations([member2.address], [0])
+      ).to.be.revertedWith("Weight must be greater than 0");
+      await expect(
+        staking.connect(member1).setDelegations([member2.address], [3000, 3000])
+      ).to.be.revertedWith("Delegation length mismatch");
+      await expect(
+        staking.connect(member1).setDelegations([member1.address], [3000])
+      ).to.be.revertedWith("Cannot delegate to self");
     });
-  });
-  
-  describe("Proposal Lifecycle", function () {
-    let proposalId;
     
-    beforeEach(async function () {
-      // Setup members with enough voting power
-      await dao.connect(member1).joinDAO({ value: ONE_ETH * 5n });
-      await dao.connect(member2).joinDAO({ value: ONE_ETH * 5n });
-      await dao.connect(member3).joinDAO({ value: ONE_ETH * 5n });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+    it("Should let partial delegators vote with the power they keep", async function () {
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      await staking.connect(member1).setDelegations([member2.address], [6000]);
       
       await dao.connect(member1).createProposal(
         recipient.address,
@@ -347,236 +569,3669 @@ describe("CryptoVenturesDAO", function () {
         ProposalType.Operational,
         TreasuryCategory.OperationalFund
       );
-      proposalId = await dao.proposalCount();
-      
+      const proposalId = await dao.proposalCount();
       await dao.connect(member1).activateProposal(proposalId);
+      const snapshot = await dao.proposalSnapshots(proposalId);
+      
+      const retained = await staking.getPastVotes(member1.address, snapshot);
+      const delegateTotal = await staking.getPastVotes(member2.address, snapshot);
+      
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.Against);
+      
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.equal(retained);
+      expect(details.againstVotes).to.equal(delegateTotal);
+      
+      // Shares of the age bonus are rounded down on their own
+      expect(retained + delegateTotal).to.be.closeTo(
+        await votingPowerAt(member1.address, snapshot) + await votingPowerAt(member2.address, snapshot),
+        2n
+      );
+    });
+  });
+  
+  describe("Delegate Registry", function () {
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+    });
+    
+    it("Should register delegates with a profile", async function () {
+      await expect(staking.connect(member2).registerDelegate("ipfs://profile", "Backing infrastructure grants"))
+        .to.emit(staking, "DelegateRegistered")
+        .withArgs(member2.address, "ipfs://profile", "Backing infrastructure grants");
+      
+      let profile = await staking.delegateProfiles(member2.address);
+      expect(profile.registered).to.be.true;
+      expect(profile.metadataURI).to.equal("ipfs://profile");
+      expect(profile.statement).to.equal("Backing infrastructure grants");
+      
+      // Registering again updates the profile; the statement is optional
+      await staking.connect(member2).registerDelegate("ipfs://profile-v2", "");
+      profile = await staking.delegateProfiles(member2.address);
+      expect(profile.metadataURI).to.equal("ipfs://profile-v2");
+      expect(profile.statement).to.equal("");
+    });
+    
+    it("Should require stake and a metadata URI to register", async function () {
+      await expect(
+        staking.connect(recipient).registerDelegate("ipfs://profile", "")
+      ).to.be.revertedWith("Must have stake to register");
+      await expect(
+        staking.connect(member2).registerDelegate("", "")
+      ).to.be.revertedWith("Metadata URI required");
+    });
+    
+    it("Should only delegate to registered delegates", async function () {
+      await expect(
+        staking.connect(member1).delegateVotingPower(member2.address)
+      ).to.be.revertedWith("Delegate not registered");
+      await expect(
+        staking.connect(member1).delegateVotingPower(recipient.address)
+      ).to.be.revertedWith("Delegate not registered");
+      
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await expect(
+        staking.connect(member1).setDelegations([member2.address, member3.address], [5000, 5000])
+      ).to.be.revertedWith("Delegate not registered");
+      
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      expect((await staking.members(member1.address)).delegateTo).to.equal(member2.address);
+    });
+    
+    it("Should list the delegators of each delegate", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member3).registerDelegate("ipfs://member3", "");
+      
+      await staking.connect(member1).setDelegations([member2.address, member3.address], [5000, 5000]);
+      await staking.connect(member3).delegateVotingPower(member2.address);
+      
+      expect(await staking.getDelegators(member2.address)).to.deep.equal([member1.address, member3.address]);
+      expect(await staking.getDelegators(member3.address)).to.deep.equal([member1.address]);
+      
+      await staking.connect(member1).revokeDelegation();
+      expect(await staking.getDelegators(member2.address)).to.deep.equal([member3.address]);
+      expect(await staking.getDelegators(member3.address)).to.be.empty;
+    });
+    
+    it("Should return delegated power to delegators when a delegate deregisters", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member3).registerDelegate("ipfs://member3", "");
+      await staking.connect(member1).setDelegations([member2.address, member3.address], [6000, 4000]);
+      
+      const stakePower1 = (await staking.members(member1.address)).stakePower;
+      const toMember2 = (stakePower1 * 6000n) / 10000n;
+      
+      await expect(staking.connect(member2).deregisterDelegate())
+        .to.emit(staking, "DelegationRevoked")
+        .withArgs(member1.address, member2.address, toMember2)
+        .and.to.emit(staking, "DelegateDeregistered")
+        .withArgs(member2.address);
+      
+      // The share delegated to member3 stays in place
+      const [delegatees, weights] = await staking.getDelegations(member1.address);
+      expect(delegatees).to.deep.equal([member3.address]);
+      expect(weights).to.deep.equal([4000n]);
+      expect((await staking.members(member1.address)).delegateTo).to.equal(member3.address);
+      
+      // Each share of the age bonus is rounded down on its own
+      const power1 = await staking.getVotingPower(member1.address);
+      expect(await staking.getEffectiveVotingPower(member1.address)).to.be.closeTo((power1 * 6000n) / 10000n, 2n);
+      expect(await staking.getEffectiveVotingPower(member2.address)).to.equal(await staking.getVotingPower(member2.address));
+      expect(await staking.getDelegators(member2.address)).to.be.empty;
+      expect((await staking.delegateProfiles(member2.address)).registered).to.be.false;
+      
+      await expect(staking.connect(member2).deregisterDelegate()).to.be.revertedWith("Not a registered delegate");
+      await expect(
+        staking.connect(member1).setDelegations([member2.address], [1000])
+      ).to.be.revertedWith("Delegate not registered");
+    });
+    
+    it("Should release delegators of a deregistered delegate in batches", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      
+      // One more delegator than deregistering releases at once (RELEASE_BATCH = 50)
+      const delegators = [];
+      for (let i = 0; i < 51; i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ONE_ETH });
+        await staking.connect(wallet).joinDAO({ value: ONE_ETH / 10n });
+        await staking.connect(wallet).delegateVotingPower(member2.address);
+        delegators.push(wallet);
+      }
+      
+      await staking.connect(member2).deregisterDelegate();
+      
+      // The delegator left over no longer counts towards member2 and waits to be released
+      const [remaining] = delegators;
+      expect(await staking.getDelegators(member2.address)).to.deep.equal([remaining.address]);
+      expect(await staking.getEffectiveVotingPower(member2.address)).to.equal(await staking.getVotingPower(member2.address));
+      expect(await staking.getEffectiveVotingPower(remaining.address)).to.equal(0n);
+      await expect(
+        staking.connect(member2).registerDelegate("ipfs://member2", "")
+      ).to.be.revertedWith("Delegators still being released");
+      
+      await expect(staking.connect(member1).releaseDelegators(member2.address, 10))
+        .to.emit(staking, "DelegationRevoked")
+        .withArgs(remaining.address, member2.address, (await staking.members(remaining.address)).stakePower);
+      
+      expect((await staking.members(remaining.address)).delegateTo).to.equal(ethers.ZeroAddress);
+      expect(await staking.getEffectiveVotingPower(remaining.address)).to.equal(await staking.getVotingPower(remaining.address));
+      await expect(
+        staking.releaseDelegators(member2.address, 10)
+      ).to.be.revertedWith("No delegators to release");
+      await expect(staking.connect(member2).registerDelegate("ipfs://member2", "")).to.not.be.reverted;
+    });
+    
+    it("Should deregister a delegate who withdraws all stake", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      
+      await expect(staking.connect(member2).withdrawStake(ONE_ETH))
+        .to.emit(staking, "DelegateDeregistered")
+        .withArgs(member2.address);
+      
+      expect((await staking.members(member1.address)).delegateTo).to.equal(ethers.ZeroAddress);
+      expect(await staking.getEffectiveVotingPower(member1.address)).to.equal(await staking.getVotingPower(member1.address));
+      expect((await staking.members(member2.address)).delegatedPower).to.equal(0);
+      
+      // member1 can withdraw again now that nothing is delegated
+      await staking.connect(member1).withdrawStake(ONE_ETH);
+    });
+  });
+  
+  describe("Voting Power Checkpoints", function () {
+    it("Should return historic voting power", async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      const before = await time.latest();
+      const powerBefore = await staking.getVotingPower(member1.address);
+      
+      await time.increase(60);
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 3n });
+      await time.increase(60);
+      
+      expect(await staking.getPastVotes(member1.address, before)).to.equal(powerBefore);
+      const checkedAt = await time.latest() - 1;
+      expect(await staking.getPastVotes(member1.address, checkedAt))
+        .to.equal(await votingPowerAt(member1.address, checkedAt));
+      expect(await staking.getPastVotes(member1.address, before - 1)).to.equal(0n);
+    });
+    
+    it("Should move checkpointed power on delegation and revocation", async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH });
+      
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      const delegatedAt = await time.latest();
+      await staking.connect(member1).revokeDelegation();
+      const revokedAt = await time.latest();
+      await time.increase(1);
+      
+      expect(await staking.getPastVotes(member1.address, delegatedAt)).to.equal(0n);
+      expect(await staking.getPastVotes(member2.address, delegatedAt)).to.equal(
+        await votingPowerAt(member1.address, delegatedAt) + await votingPowerAt(member2.address, delegatedAt)
+      );
+      expect(await staking.getPastVotes(member1.address, revokedAt))
+        .to.equal(await votingPowerAt(member1.address, revokedAt));
+      expect(await staking.getPastVotes(member2.address, revokedAt))
+        .to.equal(await votingPowerAt(member2.address, revokedAt));
+    });
+    
+    it("Should return historic total voting power", async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 4n });
+      const joinedAt = await time.latest();
+      const totalAtJoin = await staking.totalVotingPower();
+      
+      await staking.connect(member1).withdrawStake(ONE_ETH * 3n);
+      await time.increase(1);
+      
+      expect(await staking.getPastTotalVotingPower(joinedAt)).to.equal(totalAtJoin);
+      const checkedAt = await time.latest() - 1;
+      expect(await staking.getPastTotalVotingPower(checkedAt)).to.equal(await votingPowerAt(member1.address, checkedAt));
+    });
+    
+    it("Should reject lookups that are not in the past", async function () {
+      await expect(
+        staking.getPastVotes(member1.address, await time.latest() + 10)
+      ).to.be.revertedWith("Timepoint not yet finalized");
+      await expect(
+        staking.getPastTotalVotingPower(await time.latest() + 10)
+      ).to.be.revertedWith("Timepoint not yet finalized");
+    });
+  });
+  
+  describe("Time-Weighted Voting Power", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+    const WEEK = 7 * 24 * 60 * 60;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+    });
+    
+    it("Should grow voting power with stake age up to 2x", async function () {
+      const { stakeSince } = await staking.members(member1.address);
+      const basePower = await calculateVotingPower(ONE_ETH);
+      
+      await time.increase(YEAR / 2);
+      const halfway = await staking.getVotingPower(member1.address);
+      expect(halfway).to.equal(Helpers.calculateVotingPower(ONE_ETH, stakeSince, await time.latest()));
+      expect(halfway).to.be.closeTo((basePower * 3n) / 2n, basePower / 100n);
+      
+      // The bonus stops growing once the period, rounded up to a week boundary, has passed
+      await time.increase(YEAR / 2 + WEEK);
+      expect(await staking.getVotingPower(member1.address)).to.equal(basePower * 2n);
+      await time.increase(YEAR);
+      expect(await staking.getVotingPower(member1.address)).to.equal(basePower * 2n);
+    });
+    
+    it("Should keep the age of existing stake when topping up", async function () {
+      const { stakeSince } = await staking.members(member1.address);
+      await time.increase(YEAR - 1);
+      
+      // Doubling the stake halves its weighted age
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      const toppedUp = await staking.members(member1.address);
+      expect(toppedUp.stakeSince).to.equal(stakeSince + BigInt(YEAR / 2));
+      expect(await staking.getVotingPower(member1.address)).to.equal(
+        Helpers.calculateVotingPower(ONE_ETH * 2n, toppedUp.stakeSince, await time.latest())
+      );
+    });
+    
+    it("Should boost voting power while stake is locked", async function () {
+      await expect(staking.connect(member1).lockStake(YEAR))
+        .to.emit(staking, "StakeLocked")
+        .withArgs(member1.address, YEAR);
+      
+      const { stakeSince } = await staking.members(member1.address);
+      expect(await staking.getVotingPower(member1.address)).to.equal(
+        Helpers.calculateVotingPower(ONE_ETH, stakeSince, await time.latest(), YEAR)
+      );
+      
+      // The lock bonus holds until the member starts unlocking while the age bonus grows
+      await time.increase(YEAR);
+      expect(await staking.getVotingPower(member1.address)).to.equal(
+        Helpers.calculateVotingPower(ONE_ETH, stakeSince, await time.latest(), YEAR)
+      );
+    });
+    
+    it("Should drop the lock bonus as soon as the member starts unlocking", async function () {
+      await staking.connect(member1).lockStake(YEAR);
+      const lockedPower = await staking.getVotingPower(member1.address);
+      
+      await expect(staking.connect(member1).unlockStake())
+        .to.emit(staking, "StakeUnlocking")
+        .withArgs(member1.address, await time.latest() + 1 + YEAR);
+      
+      const { stakeSince } = await staking.members(member1.address);
+      const unlockedPower = await staking.getVotingPower(member1.address);
+      expect(unlockedPower).to.equal(Helpers.calculateVotingPower(ONE_ETH, stakeSince, await time.latest(), 0));
+      expect(unlockedPower).to.be.lessThan(lockedPower);
+      
+      // Checkpointed power stops carrying the bonus too
+      await time.increase(1);
+      expect(await staking.getPastVotes(member1.address, await time.latest() - 1)).to.equal(unlockedPower);
+      
+      await expect(staking.connect(member1).unlockStake()).to.be.revertedWith("No active lock");
+    });
+    
+    it("Should block withdrawals until the notice period after unlocking ends", async function () {
+      await staking.connect(member1).lockStake(30 * 24 * 60 * 60);
+      await time.increase(60 * 24 * 60 * 60);
+      
+      // The notice period only starts running once the member unlocks
+      await expect(
+        staking.connect(member1).withdrawStake(ONE_ETH)
+      ).to.be.revertedWith("Stake locked");
+      
+      await staking.connect(member1).unlockStake();
+      await expect(
+        staking.connect(member1).withdrawStake(ONE_ETH)
+      ).to.be.revertedWith("Stake locked");
+      
+      await time.increase(30 * 24 * 60 * 60);
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH))
+        .to.emit(staking, "WithdrawalRequested");
+    });
+    
+    it("Should only lengthen notice periods within the maximum duration", async function () {
+      await staking.connect(member1).lockStake(YEAR / 2);
+      
+      await expect(
+        staking.connect(member1).lockStake(YEAR / 4)
+      ).to.be.revertedWith("Cannot shorten lock");
+      await expect(
+        staking.connect(member1).lockStake(YEAR + 1)
+      ).to.be.revertedWith("Lock too long");
+      await expect(
+        staking.connect(member1).lockStake(0)
+      ).to.be.revertedWith("Duration must be greater than 0");
+      await expect(
+        staking.connect(member2).lockStake(YEAR)
+      ).to.be.revertedWith("No stake");
+      
+      // Relocking while unlocking cannot end sooner than the running notice period
+      await staking.connect(member1).unlockStake();
+      await time.increase(YEAR / 8);
+      await expect(
+        staking.connect(member1).lockStake(YEAR / 4)
+      ).to.be.revertedWith("Cannot shorten lock");
+      await expect(staking.connect(member1).lockStake(YEAR / 2)).to.emit(staking, "StakeLocked");
+    });
+    
+    it("Should keep total voting power and delegates consistent", async function () {
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 4n });
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      
+      await time.increase(YEAR + WEEK);
+      
+      const power1 = await staking.getVotingPower(member1.address);
+      const power2 = await staking.getVotingPower(member2.address);
+      expect(power1).to.equal((await calculateVotingPower(ONE_ETH)) * 2n);
+      expect(await staking.totalVotingPower()).to.equal(power1 + power2);
+      expect(await staking.getDelegatedPower(member2.address)).to.equal(power1);
+      expect(await staking.getEffectiveVotingPower(member2.address)).to.equal(power1 + power2);
+      
+      await time.increase(1);
+      expect(await staking.getPastTotalVotingPower(await time.latest() - 1)).to.equal(power1 + power2);
+    });
+    
+    it("Should apply the age bonus at snapshots whether or not power was updated", async function () {
+      // member1 never touches their stake again; member2 updates theirs right before activation
+      await staking.connect(member2).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      await time.increase(YEAR + WEEK);
+      await staking.connect(member2).lockStake(YEAR);
+      
+      await dao.connect(member2).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await dao.connect(member2).activateProposal(proposalId);
+      const snapshot = await dao.proposalSnapshots(proposalId);
+      
+      const votes1 = await staking.getPastVotes(member1.address, snapshot);
+      const votes2 = await staking.getPastVotes(member2.address, snapshot);
+      expect(votes1).to.equal((await calculateVotingPower(ONE_ETH)) * 2n);
+      expect(votes2).to.equal(await votingPowerAt(member2.address, snapshot));
+      expect(await staking.getPastTotalVotingPower(snapshot)).to.equal(votes1 + votes2);
+      
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.Against);
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.equal(votes1);
+      expect(details.againstVotes).to.equal(votes2);
+    });
+    
+    it("Should update the boosts through governance within bounds", async function () {
+      await staking.connect(member2).joinDAO({ value: ONE_ETH });
+      
+      const data = staking.interface.encodeFunctionData("setVotingPowerBoost", [5000, YEAR, 0, YEAR]);
+      await expect(executeThroughProposal(data, await staking.getAddress()))
+        .to.emit(staking, "VotingPowerBoostUpdated")
+        .withArgs(5000, YEAR, 0, YEAR);
+      
+      const invalid = staking.interface.encodeFunctionData("setVotingPowerBoost", [10001, YEAR, 0, YEAR]);
+      await expect(executeThroughProposal(invalid, await staking.getAddress())).to.be.revertedWith("Bonus too high");
+      
+      const tooLong = staking.interface.encodeFunctionData("setVotingPowerBoost", [5000, 4 * YEAR + 1, 0, YEAR]);
+      await expect(
+        executeThroughProposal(tooLong, await staking.getAddress())
+      ).to.be.revertedWith("Age bonus period too long");
+    });
+  });
+  
+  describe("Proposal Creation", function () {
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: MINIMUM_STAKE });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+    });
+    
+    it("Should allow creating proposals with minimum stake", async function () {
+      await expect(
+        dao.connect(member1).createProposal(
+          recipient.address,
+          ONE_ETH,
+          "Test proposal",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.emit(dao, "ProposalCreated");
+      
+      const proposalCount = await dao.proposalCount();
+      expect(proposalCount).to.equal(1n);
+    });
+    
+    it("Should not allow creating proposals without minimum stake", async function () {
+      await expect(
+        dao.connect(member2).createProposal(
+          recipient.address,
+          ONE_ETH,
+          "Test proposal",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.reverted;
+    });
+    
+    it("Should require matching proposal type and treasury category", async function () {
+      await expect(
+        dao.connect(member1).createProposal(
+          recipient.address,
+          ONE_ETH,
+          "Test proposal",
+          ProposalType.Operational,
+          TreasuryCategory.HighConvictionFund // Mismatch
+        )
+      ).to.be.revertedWith("Category must match proposal type");
+    });
+    
+    it("Should store proposal details correctly", async function () {
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      
+      const details = await dao.getProposalDetails(1);
+      expect(details.proposer).to.equal(member1.address);
+      expect(details.recipient).to.equal(recipient.address);
+      expect(details.amount).to.equal(ONE_ETH);
+      expect(details.description).to.equal("Test proposal");
+      expect(details.proposalType).to.equal(ProposalType.Operational);
+    });
+  });
+  
+  describe("Voting", function () {
+    let proposalId;
+    let snapshot;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 2n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+      
+      await dao.connect(member1).activateProposal(proposalId);
+      snapshot = await dao.proposalSnapshots(proposalId);
+    });
+    
+    it("Should allow casting votes on active proposals", async function () {
+      const votingPower = await votingPowerAt(member1.address, snapshot);
+      
+      await expect(staking.connect(member1).castVote(proposalId, VoteType.For))
+        .to.emit(staking, "VoteCast")
+        .withArgs(member1.address, proposalId, VoteType.For, votingPower);
+      
+      expect(await dao.hasVotedOnProposal(proposalId, member1.address)).to.be.true;
+    });
+    
+    it("Should count votes correctly", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.Against);
+      await staking.connect(member3).castVote(proposalId, VoteType.Abstain);
+      
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.be.greaterThan(0n);
+      expect(details.againstVotes).to.be.greaterThan(0n);
+      expect(details.abstainVotes).to.be.greaterThan(0n);
+    });
+    
+    it("Should not allow voting twice", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      
+      await expect(
+        staking.connect(member1).castVote(proposalId, VoteType.Against)
+      ).to.be.revertedWith("Already voted");
+    });
+    
+    it("Should reject vote types out of range", async function () {
+      await expect(
+        staking.connect(member1).castVote(proposalId, 3)
+      ).to.be.revertedWith("Invalid vote type");
+    });
+    
+    it("Should not allow voting when delegated", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      
+      await expect(
+        staking.connect(member1).castVote(proposalId, VoteType.For)
+      ).to.be.revertedWith("Cannot vote when delegated");
+    });
+    
+    it("Should count delegated voting power for delegate", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal 2",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const newProposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(newProposalId);
+      const newSnapshot = await dao.proposalSnapshots(newProposalId);
+      
+      await staking.connect(member2).castVote(newProposalId, VoteType.For);
+      
+      const details = await dao.getProposalDetails(newProposalId);
+      expect(details.forVotes).to.equal(
+        await votingPowerAt(member1.address, newSnapshot) + await votingPowerAt(member2.address, newSnapshot)
+      );
+    });
+    
+    it("Should not count power delegated after activation", async function () {
+      const snapshotPower = await votingPowerAt(member2.address, snapshot);
+      
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.equal(snapshotPower);
+    });
+    
+    it("Should not allow reusing voting power through delegation", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      
+      // member1's power is already spent on this proposal
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.equal(
+        await votingPowerAt(member1.address, snapshot) + await votingPowerAt(member2.address, snapshot)
+      );
+    });
+    
+    it("Should not count stake added after activation", async function () {
+      const snapshotPower = await votingPowerAt(member1.address, snapshot);
+      
+      await staking.connect(member1).joinDAO({ value: TEN_ETH });
+      
+      await expect(staking.connect(member1).castVote(proposalId, VoteType.For))
+        .to.emit(staking, "VoteCast")
+        .withArgs(member1.address, proposalId, VoteType.For, snapshotPower);
+    });
+    
+    it("Should not allow members who joined after activation to vote", async function () {
+      await staking.connect(recipient).joinDAO({ value: ONE_ETH });
+      
+      await expect(
+        staking.connect(recipient).castVote(proposalId, VoteType.For)
+      ).to.be.revertedWith("No voting power");
+    });
+    
+    it("Should not allow voting before voting period starts", async function () {
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal 2",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const newProposalId = await dao.proposalCount();
+      
+      // Don't activate - stays in pending
+      await expect(
+        staking.connect(member1).castVote(newProposalId, VoteType.For)
+      ).to.be.revertedWith("Proposal not active");
+    });
+    
+    it("Should not allow voting after voting period ends", async function () {
+      // Fast forward past voting period (3 days for operational)
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(
+        staking.connect(member1).castVote(proposalId, VoteType.For)
+      ).to.be.revertedWith("Voting period ended");
+    });
+    
+    it("Should cast a vote with a reason", async function () {
+      const votingPower = await votingPowerAt(member1.address, snapshot);
+      
+      await expect(staking.connect(member1).castVoteWithReason(proposalId, VoteType.For, "Strong team"))
+        .to.emit(staking, "VoteCastWithReason")
+        .withArgs(member1.address, proposalId, VoteType.For, votingPower, "Strong team")
+        .and.to.emit(staking, "VoteCast")
+        .withArgs(member1.address, proposalId, VoteType.For, votingPower);
+      
+      expect((await dao.getProposalDetails(proposalId)).forVotes).to.equal(votingPower);
+      await expect(
+        staking.connect(member1).castVoteWithReason(proposalId, VoteType.Against, "Changed my mind")
+      ).to.be.revertedWith("Already voted");
+    });
+    
+    it("Should move voting power when a vote is changed", async function () {
+      const votingPower = await votingPowerAt(member2.address, snapshot);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      await expect(staking.connect(member2).changeVote(proposalId, VoteType.Against))
+        .to.emit(staking, "VoteChanged")
+        .withArgs(member2.address, proposalId, VoteType.For, VoteType.Against, votingPower);
+      
+      let details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.equal(0);
+      expect(details.againstVotes).to.equal(votingPower);
+      expect(await dao.getVote(proposalId, member2.address)).to.equal(VoteType.Against);
+      
+      await staking.connect(member2).changeVote(proposalId, VoteType.Abstain);
+      
+      details = await dao.getProposalDetails(proposalId);
+      expect(details.againstVotes).to.equal(0);
+      expect(details.abstainVotes).to.equal(votingPower);
+      expect(await dao.getVote(proposalId, member2.address)).to.equal(VoteType.Abstain);
+    });
+    
+    it("Should change a vote using snapshot voting power", async function () {
+      const snapshotPower = await votingPowerAt(member2.address, snapshot);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      // Stake added after activation does not count towards the proposal
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).changeVote(proposalId, VoteType.Against);
+      
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.equal(0);
+      expect(details.againstVotes).to.equal(snapshotPower);
+    });
+    
+    it("Should decide the outcome on changed votes", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).changeVote(proposalId, VoteType.Against);
+      await staking.connect(member3).castVote(proposalId, VoteType.Against);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(dao.queueProposal(proposalId))
+        .to.emit(dao, "ProposalDefeated");
+    });
+    
+    it("Should not change a vote that was not cast", async function () {
+      await expect(
+        staking.connect(member1).changeVote(proposalId, VoteType.For)
+      ).to.be.revertedWith("Has not voted");
+    });
+    
+    it("Should not change a vote to the same choice", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      
+      await expect(
+        staking.connect(member1).changeVote(proposalId, VoteType.For)
+      ).to.be.revertedWith("Vote unchanged");
+    });
+    
+    it("Should not change a vote after voting ends", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(
+        staking.connect(member1).changeVote(proposalId, VoteType.Against)
+      ).to.be.revertedWith("Voting period ended");
+      
+      await dao.queueProposal(proposalId);
+      await expect(
+        staking.connect(member1).changeVote(proposalId, VoteType.Against)
+      ).to.be.revertedWith("Proposal not active");
+    });
+  });
+  
+  describe("Signed Voting", function () {
+    let proposalId;
+    let deadline;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 2n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+      
+      deadline = BigInt(await time.latest()) + 3600n;
+    });
+    
+    it("Should count a relayed signed vote for the signer", async function () {
+      const signature = await signBallot(member1, proposalId, VoteType.For, 0n, deadline);
+      const votingPower = await votingPowerAt(member1.address, await dao.proposalSnapshots(proposalId));
+      
+      await expect(
+        staking.connect(recipient).castVoteBySig(proposalId, VoteType.For, member1.address, 0n, deadline, signature)
+      ).to.emit(staking, "VoteCast")
+        .withArgs(member1.address, proposalId, VoteType.For, votingPower);
+      
+      expect(await dao.hasVotedOnProposal(proposalId, member1.address)).to.be.true;
+      expect(await dao.hasVotedOnProposal(proposalId, recipient.address)).to.be.false;
+      expect(await staking.nonces(member1.address)).to.equal(1n);
+    });
+    
+    it("Should not allow replaying a signed vote", async function () {
+      const signature = await signBallot(member1, proposalId, VoteType.For, 0n, deadline);
+      await staking.castVoteBySig(proposalId, VoteType.For, member1.address, 0n, deadline, signature);
+      
+      await expect(
+        staking.castVoteBySig(proposalId, VoteType.For, member1.address, 0n, deadline, signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+    
+    it("Should reject signatures from someone other than the voter", async function () {
+      const signature = await signBallot(member2, proposalId, VoteType.For, 0n, deadline);
+      
+      await expect(
+        staking.castVoteBySig(proposalId, VoteType.For, member1.address, 0n, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+    
+    it("Should reject ballots signed for the staking module's address", async function () {
+      const domain = {
+        name: "CryptoVenturesDAO",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await staking.getAddress()
+      };
+      const types = {
+        Ballot: [
+          { name: "proposalId", type: "uint256" },
+          { name: "voteType", type: "uint8" },
+          { name: "voter", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const signature = await member1.signTypedData(domain, types, {
+        proposalId,
+        voteType: VoteType.For,
+        voter: member1.address,
+        nonce: 0n,
+        deadline
+      });
+      
+      await expect(
+        staking.castVoteBySig(proposalId, VoteType.For, member1.address, 0n, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+    
+    it("Should reject expired signatures", async function () {
+      const signature = await signBallot(member1, proposalId, VoteType.For, 0n, deadline);
+      await time.increase(3601);
+      
+      await expect(
+        staking.castVoteBySig(proposalId, VoteType.For, member1.address, 0n, deadline, signature)
+      ).to.be.revertedWith("Signature expired");
+    });
+    
+    it("Should enforce the same checks as direct voting", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.Against);
+      const signature = await signBallot(member1, proposalId, VoteType.For, 0n, deadline);
+      
+      await expect(
+        staking.castVoteBySig(proposalId, VoteType.For, member1.address, 0n, deadline, signature)
+      ).to.be.revertedWith("Already voted");
+      
+      await staking.connect(member1).registerDelegate("ipfs://member1", "");
+      await staking.connect(member2).delegateVotingPower(member1.address);
+      const delegatedSignature = await signBallot(member2, proposalId, VoteType.For, 0n, deadline);
+      
+      await expect(
+        staking.castVoteBySig(proposalId, VoteType.For, member2.address, 0n, deadline, delegatedSignature)
+      ).to.be.revertedWith("Cannot vote when delegated");
+    });
+    
+    it("Should submit batched signed votes", async function () {
+      const ballots = [
+        {
+          proposalId,
+          voteType: VoteType.For,
+          voter: member1.address,
+          nonce: 0n,
+          deadline,
+          signature: await signBallot(member1, proposalId, VoteType.For, 0n, deadline)
+        },
+        {
+          proposalId,
+          voteType: VoteType.Against,
+          voter: member2.address,
+          nonce: 0n,
+          deadline,
+          signature: await signBallot(member2, proposalId, VoteType.Against, 0n, deadline)
+        }
+      ];
+      
+      await staking.connect(recipient).castVotesBySig(ballots);
+      
+      const snapshot = await dao.proposalSnapshots(proposalId);
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.forVotes).to.equal(await votingPowerAt(member1.address, snapshot));
+      expect(details.againstVotes).to.equal(await votingPowerAt(member2.address, snapshot));
+    });
+  });
+  
+  describe("Proposal Lifecycle", function () {
+    let proposalId;
+    
+    beforeEach(async function () {
+      // Setup members with enough voting power
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+      
+      await dao.connect(member1).activateProposal(proposalId);
+    });
+    
+    it("Should queue proposal if it passes", async function () {
+      // Cast votes to pass (need 50% approval, 15% quorum for operational)
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member3).castVote(proposalId, VoteType.Against);
+      
+      // Fast forward past voting period
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(dao.queueProposal(proposalId))
+        .to.emit(dao, "ProposalQueued");
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Queued);
+    });
+    
+    it("Should defeat proposal if quorum not met", async function () {
+      // Proposal allows voting with even 1 member vote - quorum is checked
+      // But in this case it queues with 1 vote (member1), so we check it's queued
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await dao.queueProposal(proposalId);
+      const state = await dao.getProposalState(proposalId);
+      // Proposal meets quorum with sufficient votes, so it's queued
+      expect(state).to.equal(ProposalState.Queued);
+    });
+    
+    it("Should defeat proposal if approval threshold not met", async function () {
+      // More against than for
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.Against);
+      await staking.connect(member3).castVote(proposalId, VoteType.Against);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(dao.queueProposal(proposalId))
+        .to.emit(dao, "ProposalDefeated");
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Defeated);
+    });
+    
+    it("Should execute proposal after timelock", async function () {
+      // Pass the proposal
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member3).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      
+      // Fast forward past timelock (12 hours for operational)
+      await time.increase(12 * 60 * 60 + 1);
+      
+      const recipientBalanceBefore = await ethers.provider.getBalance(recipient.address);
+      
+      await expect(dao.executeProposal(proposalId))
+        .to.emit(dao, "ProposalExecuted");
+      
+      const recipientBalanceAfter = await ethers.provider.getBalance(recipient.address);
+      expect(recipientBalanceAfter - recipientBalanceBefore).to.equal(ONE_ETH);
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Executed);
+    });
+    
+    it("Should not execute proposal before timelock expires", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member3).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      
+      // Don't wait for timelock
+      await expect(
+        dao.executeProposal(proposalId)
+      ).to.be.revertedWith("Timelock period not elapsed");
+    });
+    
+    it("Should not execute proposal twice", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member3).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      await time.increase(12 * 60 * 60 + 1);
+      
+      await dao.executeProposal(proposalId);
+      
+      await expect(
+        dao.executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal not queued");
+    });
+    
+    it("Should fail execution if insufficient treasury funds", async function () {
+      // Create proposal for more than treasury has
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ethers.parseEther("20"), // More than 10 ETH in treasury
+        "Large proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const largeProposalId = await dao.proposalCount();
+      
+      await dao.connect(member1).activateProposal(largeProposalId);
+      await staking.connect(member1).castVote(largeProposalId, VoteType.For);
+      await staking.connect(member2).castVote(largeProposalId, VoteType.For);
+      await staking.connect(member3).castVote(largeProposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(largeProposalId);
+      await time.increase(12 * 60 * 60 + 1);
+      
+      await expect(
+        dao.executeProposal(largeProposalId)
+      ).to.be.revertedWith("Insufficient treasury funds");
+    });
+    
+    it("Should expire a queued proposal after the grace period", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      
+      // Past the 12 hour timelock plus the 14 day grace period
+      await time.increase(12 * 60 * 60 + 14 * 24 * 60 * 60 + 1);
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Expired);
+      expect((await dao.getProposalDetails(proposalId)).state).to.equal(ProposalState.Expired);
+      await expect(
+        dao.executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal expired");
+    });
+    
+    it("Should execute a queued proposal at the end of the grace period", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      await time.increase(12 * 60 * 60 + 14 * 24 * 60 * 60 - 10);
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Queued);
+      await expect(dao.executeProposal(proposalId))
+        .to.emit(dao, "ProposalExecuted");
+    });
+    
+    it("Should release vote locks once a proposal expires", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      expect(await staking.getLockedStake(member1.address)).to.equal(ONE_ETH * 5n);
+      
+      await time.increase(12 * 60 * 60 + 14 * 24 * 60 * 60 + 1);
+      
+      expect(await staking.getLockedStake(member1.address)).to.equal(0);
+      await expect(staking.connect(member1).withdrawStake(ONE_ETH * 5n))
+        .to.emit(staking, "WithdrawalRequested");
+    });
+    
+    it("Should update the grace period through governance", async function () {
+      const data = dao.interface.encodeFunctionData("setGracePeriod", [2 * 24 * 60 * 60]);
+      await expect(executeThroughProposal(data))
+        .to.emit(dao, "GracePeriodUpdated")
+        .withArgs(2 * 24 * 60 * 60);
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Short grace proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const shortGraceId = await dao.proposalCount();
+      await passProposal(shortGraceId);
+      await time.increase(2 * 24 * 60 * 60);
+      
+      expect(await dao.getProposalState(shortGraceId)).to.equal(ProposalState.Expired);
+      await expect(
+        dao.setGracePeriod(0)
+      ).to.be.revertedWith("Only callable through a proposal");
+    });
+  });
+  
+  describe("Optimistic Proposals", function () {
+    let proposalId;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: MINIMUM_STAKE });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Routine payout",
+        ProposalType.Optimistic,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+    });
+    
+    it("Should only draw from the Operational fund", async function () {
+      await expect(
+        dao.connect(member1).createProposal(
+          recipient.address,
+          ONE_ETH,
+          "Routine payout",
+          ProposalType.Optimistic,
+          TreasuryCategory.ExperimentalFund
+        )
+      ).to.be.revertedWith("Category must match proposal type");
+    });
+    
+    it("Should pass without any votes at the end of the window", async function () {
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(dao.queueProposal(proposalId))
+        .to.emit(dao, "ProposalQueued");
+      
+      await time.increase(12 * 60 * 60 + 1);
+      await expect(dao.executeProposal(proposalId))
+        .to.changeEtherBalance(recipient, ONE_ETH);
+    });
+    
+    it("Should pass when Against votes stay within the veto threshold", async function () {
+      // member3 holds well under 10% of the voting power
+      await staking.connect(member3).castVote(proposalId, VoteType.Against);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Queued);
+    });
+    
+    it("Should be defeated when Against votes exceed the veto threshold", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.Against);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(dao.queueProposal(proposalId))
+        .to.emit(dao, "ProposalDefeated")
+        .withArgs(proposalId);
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Defeated);
+    });
+    
+    it("Should only make plain payouts", async function () {
+      const graceChange = dao.interface.encodeFunctionData("setGracePeriod", [0]);
+      
+      await expect(
+        dao.connect(member1).propose(
+          [await dao.getAddress()],
+          [0],
+          [graceChange],
+          "Routine parameter change",
+          ProposalType.Optimistic,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Optimistic proposals can only pay out");
+      
+      await expect(
+        dao.connect(member1).propose(
+          [await dao.getAddress()],
+          [ONE_ETH],
+          ["0x"],
+          "Routine transfer",
+          ProposalType.Optimistic,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Not a DAO governance call");
+      
+      await expect(
+        dao.connect(member1).propose(
+          [recipient.address, member2.address],
+          [ONE_ETH, ONE_ETH],
+          ["0x", "0x"],
+          "Routine payouts",
+          ProposalType.Optimistic,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.emit(dao, "ProposalCreated");
+    });
+  });
+  
+  describe("Conviction Voting", function () {
+    const HALF_LIFE = 24 * 60 * 60;
+    let conviction, proposalId, power1;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.ExperimentalFund, { value: TEN_ETH });
+      
+      const ConvictionVoting = await ethers.getContractFactory("ConvictionVoting");
+      conviction = await ConvictionVoting.deploy(await dao.getAddress(), HALF_LIFE, 20000);
+      await dao.grantRole(await dao.FUNDING_MODULE_ROLE(), await conviction.getAddress());
+      
+      await conviction.connect(member1).createProposal(recipient.address, ONE_ETH, "Seed round");
+      proposalId = await conviction.proposalCount();
+      power1 = await staking.getVotingPower(member1.address);
+    });
+    
+    it("Should only accept proposals from members with the minimum stake", async function () {
+      await expect(
+        conviction.connect(member3).createProposal(recipient.address, ONE_ETH, "Seed round")
+      ).to.be.revertedWith("Insufficient stake to propose");
+    });
+    
+    it("Should accumulate conviction towards support with the half-life", async function () {
+      await conviction.connect(member1).setSupport(proposalId, power1);
+      expect(await conviction.getConviction(proposalId)).to.equal(0);
+      
+      await time.increase(HALF_LIFE);
+      expect(await conviction.getConviction(proposalId)).to.be.closeTo(power1 / 2n, power1 / 1000n);
+      
+      await time.increase(HALF_LIFE);
+      expect(await conviction.getConviction(proposalId)).to.be.closeTo((power1 * 3n) / 4n, power1 / 1000n);
+    });
+    
+    it("Should scale the threshold with the requested share of the Experimental fund", async function () {
+      const totalVotingPower = await staking.getPastTotalVotingPower(await time.latest() - 1);
+      
+      // 1 ETH of a 10 ETH fund with a 2x multiplier needs 20% of the voting power
+      expect(await conviction.getThreshold(proposalId)).to.equal((totalVotingPower * 2000n) / 10000n);
+      
+      await conviction.connect(member1).createProposal(recipient.address, TEN_ETH * 2n, "Too large");
+      expect(await conviction.getThreshold(await conviction.proposalCount())).to.equal(ethers.MaxUint256);
+    });
+    
+    it("Should pay out once conviction reaches the threshold", async function () {
+      await conviction.connect(member1).setSupport(proposalId, power1);
+      
+      await expect(
+        conviction.executeProposal(proposalId)
+      ).to.be.revertedWith("Conviction below threshold");
+      
+      // Half the voting power is staked, so conviction passes 20% well within two half-lives
+      await time.increase(HALF_LIFE);
+      expect(await conviction.canExecute(proposalId)).to.be.true;
+      
+      const tx = conviction.executeProposal(proposalId);
+      await expect(tx)
+        .to.emit(vault, "FundingModulePayout")
+        .withArgs(await conviction.getAddress(), TreasuryCategory.ExperimentalFund, recipient.address, ONE_ETH);
+      await expect(tx).to.changeEtherBalance(recipient, ONE_ETH);
+      
+      expect(await vault.treasuryBalances(TreasuryCategory.ExperimentalFund)).to.equal(TEN_ETH - ONE_ETH);
+      await expect(
+        conviction.executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal not open");
+    });
+    
+    it("Should let members move support between proposals at any time", async function () {
+      await conviction.connect(member2).createProposal(recipient.address, ONE_ETH, "Second round");
+      const otherId = await conviction.proposalCount();
+      
+      await conviction.connect(member1).setSupport(proposalId, power1);
+      await time.increase(HALF_LIFE);
+      await conviction.connect(member1).moveSupport(proposalId, otherId, power1);
+      
+      expect(await conviction.supportOf(member1.address, proposalId)).to.equal(0);
+      expect(await conviction.supportOf(member1.address, otherId)).to.equal(power1);
+      expect(await conviction.getSupportedProposals(member1.address)).to.deep.equal([otherId]);
+      
+      // Conviction on the first proposal now decays instead of growing
+      const before = await conviction.getConviction(proposalId);
+      await time.increase(HALF_LIFE);
+      expect(await conviction.getConviction(proposalId)).to.be.closeTo(before / 2n, power1 / 1000n);
+    });
+    
+    it("Should not let support exceed voting power", async function () {
+      await expect(
+        conviction.connect(member1).setSupport(proposalId, power1 + 1n)
+      ).to.be.revertedWith("Insufficient voting power");
+    });
+    
+    it("Should clear support of a member whose voting power dropped", async function () {
+      await conviction.connect(member1).setSupport(proposalId, power1);
+      
+      await expect(conviction.reconcile(member1.address))
+        .to.be.revertedWith("Support within voting power");
+      
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member1).delegateVotingPower(member2.address);
+      await time.increase(1);
+      
+      await expect(conviction.reconcile(member1.address))
+        .to.emit(conviction, "SupportReconciled")
+        .withArgs(member1.address, 0);
+      expect(await conviction.totalSupportOf(member1.address)).to.equal(0);
+      expect((await conviction.proposals(proposalId)).totalSupport).to.equal(0);
+    });
+    
+    it("Should not count conviction built by support that is no longer backed", async function () {
+      await conviction.connect(member1).setSupport(proposalId, power1);
+      await conviction.connect(member2).setSupport(proposalId, 1n);
+      expect(await conviction.getSupporters(proposalId)).to.deep.equal([member1.address, member2.address]);
+      
+      await time.increase(HALF_LIFE);
+      expect(await conviction.canExecute(proposalId)).to.be.true;
+      
+      // member1 leaves without touching their support, which keeps counting towards totalSupport
+      await staking.connect(member1).withdrawStake(ONE_ETH * 5n);
+      await time.increase(30 * 24 * 60 * 60);
+      
+      expect(await conviction.getConviction(proposalId)).to.be.lessThanOrEqual(1n);
+      expect(await conviction.canExecute(proposalId)).to.be.false;
+      await expect(
+        conviction.executeProposal(proposalId)
+      ).to.be.revertedWith("Conviction below threshold");
+    });
+    
+    it("Should drop the conviction of unbacked support when it is lowered", async function () {
+      await conviction.connect(member1).setSupport(proposalId, power1);
+      await time.increase(HALF_LIFE);
+      
+      await staking.connect(member1).withdrawStake(ONE_ETH * 5n);
+      await time.increase(1);
+      await conviction.connect(member1).setSupport(proposalId, 0);
+      
+      expect(await conviction.getSupporters(proposalId)).to.be.empty;
+      expect((await conviction.proposals(proposalId)).conviction).to.equal(0);
+      expect(await conviction.getConviction(proposalId)).to.equal(0);
+    });
+    
+    it("Should cap the number of supporters of a proposal", async function () {
+      const supporters = [];
+      for (let i = 0; i < 51; i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ONE_ETH });
+        await staking.connect(wallet).joinDAO({ value: ONE_ETH / 10n });
+        supporters.push(wallet);
+      }
+      
+      for (const wallet of supporters.slice(0, 50)) {
+        await conviction.connect(wallet).setSupport(proposalId, 1n);
+      }
+      expect(await conviction.getSupporters(proposalId)).to.have.lengthOf(50);
+      
+      const [first] = supporters;
+      const last = supporters[50];
+      await expect(
+        conviction.connect(last).setSupport(proposalId, 1n)
+      ).to.be.revertedWith("Too many supporters");
+      
+      // Leaving frees a place
+      await conviction.connect(first).setSupport(proposalId, 0n);
+      await conviction.connect(last).setSupport(proposalId, 1n);
+      expect(await conviction.getSupporters(proposalId)).to.include(last.address);
+    });
+    
+    it("Should let a larger supporter replace the smallest once the cap is reached", async function () {
+      // Dust support from many accounts cannot lock real supporters out
+      for (let i = 0; i < 50; i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ONE_ETH });
+        await staking.connect(wallet).joinDAO({ value: ONE_ETH / 10n });
+        await conviction.connect(wallet).setSupport(proposalId, i === 0 ? 1n : 2n);
+      }
+      const [smallest] = await conviction.getSupporters(proposalId);
+      
+      const power = await staking.getVotingPower(member2.address);
+      await conviction.connect(member2).setSupport(proposalId, power);
+      
+      const supporters = await conviction.getSupporters(proposalId);
+      expect(supporters).to.have.lengthOf(50);
+      expect(supporters).to.include(member2.address);
+      expect(supporters).to.not.include(smallest);
+      expect(await conviction.supportOf(smallest, proposalId)).to.equal(0);
+      expect(await conviction.totalSupportOf(smallest)).to.equal(0);
+      expect(await conviction.getSupportedProposals(smallest)).to.be.empty;
+    });
+    
+    it("Should only pay out to holders of the funding module role", async function () {
+      await expect(
+        vault.connect(member1).fundingModulePayout(TreasuryCategory.ExperimentalFund, member1.address, ONE_ETH)
+      ).to.be.revertedWith("Not a funding module");
+    });
+  });
+  
+  describe("Arbitrary Call Proposals", function () {
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+    });
+    
+    it("Should store proposal actions", async function () {
+      const data = vault.interface.encodeFunctionData("depositToTreasury", [TreasuryCategory.ExperimentalFund]);
+      
+      await dao.connect(member1).propose(
+        [recipient.address, await vault.getAddress()],
+        [ONE_ETH, ONE_ETH * 2n],
+        ["0x", data],
+        "Batch proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      
+      const [targets, values, calldatas] = await dao.getProposalActions(1);
+      expect(targets).to.deep.equal([recipient.address, await vault.getAddress()]);
+      expect(values).to.deep.equal([ONE_ETH, ONE_ETH * 2n]);
+      expect(calldatas).to.deep.equal(["0x", data]);
+      
+      const details = await dao.getProposalDetails(1);
+      expect(details.amount).to.equal(ONE_ETH * 3n);
+    });
+    
+    it("Should reject mismatched action arrays", async function () {
+      await expect(
+        dao.connect(member1).propose(
+          [recipient.address],
+          [ONE_ETH, ONE_ETH],
+          ["0x"],
+          "Broken proposal",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Proposal length mismatch");
+      
+      await expect(
+        dao.connect(member1).propose(
+          [],
+          [],
+          [],
+          "Empty proposal",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Empty proposal");
+    });
+    
+    it("Should execute all actions atomically and debit the summed value", async function () {
+      const graceData = dao.interface.encodeFunctionData("setGracePeriod", [2 * 24 * 60 * 60]);
+      const depositData = vault.interface.encodeFunctionData("depositToTreasury", [TreasuryCategory.ExperimentalFund]);
+      const daoAddress = await dao.getAddress();
+      const vaultAddress = await vault.getAddress();
+      
+      await dao.connect(member1).propose(
+        [recipient.address, daoAddress, vaultAddress],
+        [ONE_ETH, 0n, ONE_ETH * 2n],
+        ["0x", graceData, depositData],
+        "Pay, shorten the grace period and fund experiments",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      const recipientBalanceBefore = await ethers.provider.getBalance(recipient.address);
+      
+      await expect(dao.executeProposal(proposalId))
+        .to.emit(timelock, "ProposalActionExecuted")
+        .withArgs(proposalId, 0, recipient.address, ONE_ETH, "0x")
+        .and.to.emit(timelock, "ProposalActionExecuted")
+        .withArgs(proposalId, 1, daoAddress, 0n, graceData)
+        .and.to.emit(timelock, "ProposalActionExecuted")
+        .withArgs(proposalId, 2, vaultAddress, ONE_ETH * 2n, depositData);
+      
+      const recipientBalanceAfter = await ethers.provider.getBalance(recipient.address);
+      expect(recipientBalanceAfter - recipientBalanceBefore).to.equal(ONE_ETH);
+      expect(await dao.gracePeriod()).to.equal(2 * 24 * 60 * 60);
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH - ONE_ETH * 3n);
+      expect(await vault.treasuryBalances(TreasuryCategory.ExperimentalFund)).to.equal(ONE_ETH * 2n);
+    });
+    
+    it("Should revert the whole proposal if any action fails", async function () {
+      const failingData = dao.interface.encodeFunctionData("setMaxOpenProposals", [0]);
+      
+      await dao.connect(member1).propose(
+        [recipient.address, await dao.getAddress()],
+        [ONE_ETH, 0n],
+        ["0x", failingData],
+        "Proposal with failing call",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      await expect(
+        dao.executeProposal(proposalId)
+      ).to.be.revertedWith("Max open proposals must be greater than 0");
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Queued);
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH);
+    });
+    
+    it("Should only call governance functions of the DAO, the staking module and the vault", async function () {
+      await expect(
+        dao.connect(member1).propose(
+          [await dao.getAddress()],
+          [0n],
+          [dao.interface.encodeFunctionData("pause")],
+          "Pause the DAO",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Not a DAO governance call");
+      
+      // Paying out of the vault directly would skip the proposal's category and amount
+      await expect(
+        dao.connect(member1).propose(
+          [await vault.getAddress()],
+          [0n],
+          [vault.interface.encodeFunctionData("fundProposal", [1, TreasuryCategory.HighConvictionFund, ONE_ETH])],
+          "Drain another category",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Not a vault governance call");
+      
+      await expect(
+        dao.connect(member1).propose(
+          [await vault.getAddress()],
+          [0n],
+          [vault.interface.encodeFunctionData("setTreasuryLimit", [TreasuryCategory.OperationalFund, TEN_ETH])],
+          "Limit the Operational fund",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.emit(dao, "ProposalCreated");
+    });
+    
+    it("Should never let a proposal move member stake", async function () {
+      const stakingAddress = await staking.getAddress();
+      const calls = [
+        // Joining with treasury ETH would turn it into stake
+        [ONE_ETH, staking.interface.encodeFunctionData("joinDAO")],
+        [ONE_ETH, "0x"],
+        [0n, staking.interface.encodeFunctionData("withdrawStake", [ONE_ETH])],
+        [0n, staking.interface.encodeFunctionData("claimWithdrawal")],
+        [0n, staking.interface.encodeFunctionData("ragequit", [1])],
+        [0n, staking.interface.encodeFunctionData("emergencyWithdraw")],
+        [0n, staking.interface.encodeFunctionData("pruneMember", [member1.address])]
+      ];
+      
+      for (const [value, data] of calls) {
+        await expect(
+          dao.connect(member1).propose(
+            [stakingAddress],
+            [value],
+            [data],
+            "Move member stake",
+            ProposalType.HighConviction,
+            TreasuryCategory.HighConvictionFund,
+            { value: await dao.proposalBonds(ProposalType.HighConviction) }
+          )
+        ).to.be.revertedWith("Not a staking governance call");
+      }
+      
+      expect(await ethers.provider.getBalance(stakingAddress)).to.equal(TEN_ETH);
+    });
+    
+    it("Should keep stake, treasury and proposal calls in separate contracts", async function () {
+      const stakingAddress = await staking.getAddress();
+      const vaultAddress = await vault.getAddress();
+      const timelockAddress = await timelock.getAddress();
+      
+      // The staking module holds the 10 ETH of stake and the vault the fund's 10 ETH
+      expect(await ethers.provider.getBalance(stakingAddress)).to.equal(TEN_ETH);
+      expect(await ethers.provider.getBalance(vaultAddress)).to.equal(TEN_ETH);
+      
+      await dao.connect(member1).propose(
+        [recipient.address],
+        [TEN_ETH + ONE_ETH],
+        ["0x"],
+        "Overdraw the Operational fund",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const overdrawId = await dao.proposalCount();
+      await passProposal(overdrawId);
+      await expect(dao.executeProposal(overdrawId)).to.be.revertedWith("Insufficient treasury funds");
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH * 4n,
+        "Payout",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const payoutId = await dao.proposalCount();
+      await passProposal(payoutId);
+      await expect(dao.executeProposal(payoutId))
+        .to.changeEtherBalances([vault, timelock, recipient], [-(ONE_ETH * 4n), 0n, ONE_ETH * 4n]);
+      
+      // A staking parameter change runs from the timelock without touching stake
+      const data = staking.interface.encodeFunctionData("setUnbondingPeriod", [60]);
+      await executeThroughProposal(data, stakingAddress);
+      
+      // Payouts come out of the vault and leave every wei of stake in the staking module
+      expect(await ethers.provider.getBalance(stakingAddress)).to.equal(await staking.totalStaked());
+      expect(await ethers.provider.getBalance(stakingAddress)).to.equal(TEN_ETH);
+      expect(await ethers.provider.getBalance(vaultAddress)).to.equal(ONE_ETH * 6n);
+      expect(await ethers.provider.getBalance(timelockAddress)).to.equal(0n);
+      
+      // Nothing but the vault can send the timelock ETH, and neither the DAO nor staking take it
+      await expect(
+        owner.sendTransaction({ to: timelockAddress, value: ONE_ETH })
+      ).to.be.revertedWith("Send treasury funds to the vault");
+      await expect(owner.sendTransaction({ to: stakingAddress, value: ONE_ETH })).to.be.reverted;
+      await expect(
+        vault.fundProposal(payoutId, TreasuryCategory.OperationalFund, ONE_ETH)
+      ).to.be.revertedWith("Only callable by the DAO");
+    });
+  });
+  
+  describe("Batch Payout Proposals", function () {
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+    });
+    
+    it("Should store one payment per recipient", async function () {
+      await expect(
+        dao.connect(member1).createBatchProposal(
+          [recipient.address, member3.address, guardian.address],
+          [ONE_ETH, ONE_ETH * 2n, ONE_ETH / 2n],
+          "Pay contributors",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.emit(dao, "ProposalCreated")
+        .withArgs(1, member1.address, recipient.address, ONE_ETH * 7n / 2n, ProposalType.Operational, "Pay contributors");
+      
+      const [targets, values, calldatas] = await dao.getProposalActions(1);
+      expect(targets).to.deep.equal([recipient.address, member3.address, guardian.address]);
+      expect(values).to.deep.equal([ONE_ETH, ONE_ETH * 2n, ONE_ETH / 2n]);
+      expect(calldatas).to.deep.equal(["0x", "0x", "0x"]);
+      
+      const details = await dao.getProposalDetails(1);
+      expect(details.amount).to.equal(ONE_ETH * 7n / 2n);
+    });
+    
+    it("Should reject invalid batches", async function () {
+      const createBatch = (recipients, amounts, category = TreasuryCategory.OperationalFund) =>
+        dao.connect(member1).createBatchProposal(recipients, amounts, "Pay contributors", ProposalType.Operational, category);
+      
+      await expect(createBatch([], [])).to.be.revertedWith("Empty proposal");
+      await expect(
+        createBatch([recipient.address, member3.address], [ONE_ETH])
+      ).to.be.revertedWith("Payment length mismatch");
+      await expect(
+        createBatch([recipient.address, ethers.ZeroAddress], [ONE_ETH, ONE_ETH])
+      ).to.be.revertedWith("Invalid recipient");
+      await expect(
+        createBatch([recipient.address, member3.address], [ONE_ETH, 0n])
+      ).to.be.revertedWith("Amount must be greater than 0");
+      await expect(
+        createBatch([recipient.address], [ONE_ETH], TreasuryCategory.ExperimentalFund)
+      ).to.be.revertedWith("Category must match proposal type");
+      await expect(
+        dao.connect(recipient).createBatchProposal(
+          [recipient.address],
+          [ONE_ETH],
+          "Pay myself",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWithCustomError(dao, "AccessControlUnauthorizedAccount");
+    });
+    
+    it("Should pay every recipient after a single vote", async function () {
+      await dao.connect(member1).createBatchProposal(
+        [recipient.address, member3.address, guardian.address],
+        [ONE_ETH, ONE_ETH * 2n, ONE_ETH / 2n],
+        "Pay contributors",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      const recipientBefore = await ethers.provider.getBalance(recipient.address);
+      const member3Before = await ethers.provider.getBalance(member3.address);
+      const guardianBefore = await ethers.provider.getBalance(guardian.address);
+      
+      const tx = dao.executeProposal(proposalId);
+      await expect(tx)
+        .to.emit(timelock, "ProposalActionExecuted")
+        .withArgs(proposalId, 0, recipient.address, ONE_ETH, "0x")
+        .and.to.emit(timelock, "ProposalActionExecuted")
+        .withArgs(proposalId, 1, member3.address, ONE_ETH * 2n, "0x")
+        .and.to.emit(timelock, "ProposalActionExecuted")
+        .withArgs(proposalId, 2, guardian.address, ONE_ETH / 2n, "0x");
+      
+      const receipt = await (await tx).wait();
+      const payouts = receipt.logs
+        .map((log) => timelock.interface.parseLog(log))
+        .filter((event) => event && event.name === "PayoutExecuted")
+        .map((event) => [event.args.proposalId, event.args.recipient, event.args.amount]);
+      expect(payouts).to.deep.equal([
+        [proposalId, recipient.address, ONE_ETH],
+        [proposalId, member3.address, ONE_ETH * 2n],
+        [proposalId, guardian.address, ONE_ETH / 2n]
+      ]);
+      
+      expect(await ethers.provider.getBalance(recipient.address) - recipientBefore).to.equal(ONE_ETH);
+      expect(await ethers.provider.getBalance(member3.address) - member3Before).to.equal(ONE_ETH * 2n);
+      expect(await ethers.provider.getBalance(guardian.address) - guardianBefore).to.equal(ONE_ETH / 2n);
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH - ONE_ETH * 7n / 2n);
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Executed);
+    });
+    
+    it("Should pay nobody unless the category covers the total", async function () {
+      await dao.connect(member1).createBatchProposal(
+        [recipient.address, member3.address],
+        [ONE_ETH * 6n, ONE_ETH * 6n],
+        "Pay more than the fund holds",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      const recipientBefore = await ethers.provider.getBalance(recipient.address);
+      
+      await expect(
+        dao.executeProposal(proposalId)
+      ).to.be.revertedWith("Insufficient treasury funds");
+      
+      expect(await ethers.provider.getBalance(recipient.address)).to.equal(recipientBefore);
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH);
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Queued);
+    });
+  });
+  
+  describe("Ragequit", function () {
+    let proposalId;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH * 2n });
+      await staking.connect(recipient).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member3).castVote(proposalId, VoteType.Against);
+      
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+    });
+    
+    it("Should pay stake plus a pro-rata treasury share to a dissenting member", async function () {
+      const totalStaked = await staking.totalStaked();
+      const treasuryShare = (TEN_ETH * ONE_ETH * 2n) / totalStaked;
+      const memberCount = await staking.getMemberCount();
+      const totalStakePower = await staking.totalStakePower();
+      const ownStakePower = (await staking.members(member3.address)).stakePower;
+      
+      const tx = staking.connect(member3).ragequit(proposalId);
+      await expect(tx)
+        .to.emit(staking, "Ragequit")
+        .withArgs(member3.address, proposalId, ONE_ETH * 2n, treasuryShare);
+      await expect(tx).to.changeEtherBalance(member3, ONE_ETH * 2n + treasuryShare);
+      
+      const member = await staking.members(member3.address);
+      expect(member.stake).to.equal(0n);
+      expect(member.stakePower).to.equal(0n);
+      expect(await staking.getVotingPower(member3.address)).to.equal(0n);
+      expect(await staking.totalStaked()).to.equal(totalStaked - ONE_ETH * 2n);
+      expect(await staking.totalStakePower()).to.equal(totalStakePower - ownStakePower);
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH - treasuryShare);
+      expect(await staking.getMemberCount()).to.equal(memberCount - 1n);
+      
+      const PROPOSER_ROLE = await dao.PROPOSER_ROLE();
+      expect(await dao.hasRole(PROPOSER_ROLE, member3.address)).to.be.false;
+    });
+    
+    it("Should pay a pro-rata share of each token the category holds", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usd = await MockERC20.deploy("Mock USD", "mUSD");
+      const eur = await MockERC20.deploy("Mock EUR", "mEUR");
+      for (const token of [usd, eur]) {
+        await token.mint(owner.address, TEN_ETH);
+        await token.approve(await vault.getAddress(), TEN_ETH);
+      }
+      await vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, await usd.getAddress(), TEN_ETH);
+      await vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, await eur.getAddress(), ONE_ETH * 3n);
+      // Another category's tokens are not shared out
+      await vault.depositTokenToTreasury(TreasuryCategory.HighConvictionFund, await eur.getAddress(), ONE_ETH);
+      
+      // 13 ETH was staked at the snapshot, 2 ETH of it by member3
+      const usdShare = (TEN_ETH * ONE_ETH * 2n) / (ONE_ETH * 13n);
+      const eurShare = (ONE_ETH * 3n * ONE_ETH * 2n) / (ONE_ETH * 13n);
+      
+      const tx = staking.connect(member3).ragequit(proposalId);
+      await expect(tx)
+        .to.emit(vault, "TokenSharePaid")
+        .withArgs(TreasuryCategory.OperationalFund, await usd.getAddress(), member3.address, usdShare);
+      await expect(tx)
+        .to.emit(vault, "TokenSharePaid")
+        .withArgs(TreasuryCategory.OperationalFund, await eur.getAddress(), member3.address, eurShare);
+      await expect(tx).to.changeTokenBalance(usd, member3, usdShare);
+      await expect(tx).to.changeTokenBalance(eur, member3, eurShare);
+      
+      expect(await vault.tokenTreasuryBalances(await usd.getAddress(), TreasuryCategory.OperationalFund))
+        .to.equal(TEN_ETH - usdShare);
+      expect(await vault.tokenTreasuryBalances(await eur.getAddress(), TreasuryCategory.OperationalFund))
+        .to.equal(ONE_ETH * 3n - eurShare);
+      expect(await vault.tokenTreasuryBalances(await eur.getAddress(), TreasuryCategory.HighConvictionFund))
+        .to.equal(ONE_ETH);
+    });
+    
+    it("Should allow members who did not vote to ragequit", async function () {
+      await expect(staking.connect(recipient).ragequit(proposalId))
+        .to.emit(staking, "Ragequit");
+    });
+    
+    it("Should not allow accounts that joined after the snapshot to ragequit", async function () {
+      await staking.connect(owner).joinDAO({ value: TEN_ETH });
+      
+      await expect(
+        staking.connect(owner).ragequit(proposalId)
+      ).to.be.revertedWith("No voting power at proposal snapshot");
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH);
+    });
+    
+    it("Should size the treasury share by stake held at the snapshot", async function () {
+      // 13 ETH was staked at the snapshot, 2 ETH of it by member3
+      const treasuryShare = (TEN_ETH * ONE_ETH * 2n) / (ONE_ETH * 13n);
+      await staking.connect(member3).joinDAO({ value: ONE_ETH * 8n });
+      
+      const tx = staking.connect(member3).ragequit(proposalId);
+      await expect(tx)
+        .to.emit(staking, "Ragequit")
+        .withArgs(member3.address, proposalId, TEN_ETH, treasuryShare);
+      await expect(tx).to.changeEtherBalance(member3, TEN_ETH + treasuryShare);
+    });
+    
+    it("Should not allow supporters to ragequit", async function () {
+      await expect(
+        staking.connect(member1).ragequit(proposalId)
+      ).to.be.revertedWith("Only dissenting members can ragequit");
+    });
+    
+    it("Should only allow ragequit during the timelock window", async function () {
+      await time.increase(12 * 60 * 60 + 1);
+      
+      await expect(
+        staking.connect(member3).ragequit(proposalId)
+      ).to.be.revertedWith("Timelock period elapsed");
+      
+      await dao.executeProposal(proposalId);
+      
+      await expect(
+        staking.connect(member3).ragequit(proposalId)
+      ).to.be.revertedWith("Proposal not queued");
+    });
+    
+    it("Should not allow ragequit while stake backs another open vote", async function () {
+      await dao.connect(member3).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Second proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const secondProposalId = await dao.proposalCount();
+      await dao.connect(member3).activateProposal(secondProposalId);
+      await staking.connect(member3).castVote(secondProposalId, VoteType.For);
+      
+      await expect(
+        staking.connect(member3).ragequit(proposalId)
+      ).to.be.revertedWith("Stake locked by open vote");
+    });
+    
+    it("Should let members rejoin after ragequitting", async function () {
+      await staking.connect(member3).ragequit(proposalId);
+      const memberCount = await staking.getMemberCount();
+      
+      await expect(staking.connect(member3).joinDAO({ value: ONE_ETH }))
+        .to.emit(staking, "MemberJoined");
+      expect(await staking.getMemberCount()).to.equal(memberCount + 1n);
+    });
+  });
+  
+  describe("Multi-Tier Treasury", function () {
+    it("Should allow deposits to different treasury categories", async function () {
+      await expect(vault.depositToTreasury(TreasuryCategory.HighConvictionFund, { value: ONE_ETH }))
+        .to.emit(vault, "TreasuryDeposit");
+      
+      expect(await vault.treasuryBalances(TreasuryCategory.HighConvictionFund)).to.equal(ONE_ETH);
+    });
+    
+    it("Should track different proposal types with different requirements", async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      
+      // Get configs for different types
+      const highConvictionConfig = await dao.proposalConfigs(ProposalType.HighConviction);
+      const experimentalConfig = await dao.proposalConfigs(ProposalType.Experimental);
+      const operationalConfig = await dao.proposalConfigs(ProposalType.Operational);
+      
+      // High conviction should have strictest requirements
+      expect(highConvictionConfig.quorumPercentage).to.be.greaterThan(experimentalConfig.quorumPercentage);
+      expect(experimentalConfig.quorumPercentage).to.be.greaterThan(operationalConfig.quorumPercentage);
+      
+      expect(highConvictionConfig.approvalThreshold).to.be.greaterThan(experimentalConfig.approvalThreshold);
+      expect(experimentalConfig.approvalThreshold).to.be.greaterThan(operationalConfig.approvalThreshold);
+      
+      expect(highConvictionConfig.timelockDelay).to.be.greaterThan(experimentalConfig.timelockDelay);
+      expect(experimentalConfig.timelockDelay).to.be.greaterThan(operationalConfig.timelockDelay);
+    });
+    
+    it("Should calculate total treasury balance correctly", async function () {
+      await vault.depositToTreasury(TreasuryCategory.HighConvictionFund, { value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.ExperimentalFund, { value: ONE_ETH * 2n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: ONE_ETH * 3n });
+      
+      expect(await vault.getTotalTreasuryBalance()).to.equal(ONE_ETH * 6n);
+    });
+    
+    it("Should serve the shared governance interfaces", async function () {
+      const treasury = await ethers.getContractAt("ITreasuryManagement", await vault.getAddress());
+      const governable = await ethers.getContractAt("IGovernable", await dao.getAddress());
+      const votable = await ethers.getContractAt("IVotable", await staking.getAddress());
+      const queue = await ethers.getContractAt("ITimelock", await timelock.getAddress());
+      
+      await treasury.depositToTreasury(TreasuryCategory.OperationalFund, { value: ONE_ETH });
+      expect(await treasury.getTotalTreasuryBalance()).to.equal(ONE_ETH);
+      
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Payout",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      await dao.connect(member1).activateProposal(1);
+      await votable.connect(member1).castVote(1, VoteType.For);
+      
+      expect(await governable.proposalCount()).to.equal(1);
+      expect(await governable.getProposalState(1)).to.equal(ProposalState.Active);
+      expect(await votable.getVotingPower(member1.address)).to.equal(await staking.getVotingPower(member1.address));
+      expect(await staking.getVotingPower(member1.address)).to.be.greaterThan(await calculateVotingPower(ONE_ETH));
+      expect(await dao.getVote(1, member1.address)).to.equal(VoteType.For);
+      expect(await queue.readyTime(1)).to.equal(0);
+    });
+  });
+  
+  describe("Spending Caps", function () {
+    const THIRTY_DAYS = 30 * 24 * 60 * 60;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH * 3n });
+    });
+    
+    async function setCapThroughProposal(category, budget, period) {
+      const data = vault.interface.encodeFunctionData("setSpendingCap", [category, budget, period]);
+      return executeThroughProposal(data, await vault.getAddress());
+    }
+    
+    async function createPayout(amount) {
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        amount,
+        "Payout",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      return dao.proposalCount();
+    }
+    
+    it("Should be uncapped by default", async function () {
+      const [budget, period] = await vault.spendingCaps(TreasuryCategory.OperationalFund);
+      expect(budget).to.equal(ethers.MaxUint256);
+      expect(period).to.equal(THIRTY_DAYS);
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.OperationalFund))
+        .to.equal(ethers.MaxUint256);
+    });
+    
+    it("Should only change the budget through governance", async function () {
+      await expect(
+        vault.setSpendingCap(TreasuryCategory.OperationalFund, TEN_ETH, THIRTY_DAYS)
+      ).to.be.revertedWith("Only callable through a proposal");
+      
+      await expect(setCapThroughProposal(TreasuryCategory.OperationalFund, TEN_ETH, THIRTY_DAYS))
+        .to.emit(vault, "SpendingCapUpdated")
+        .withArgs(TreasuryCategory.OperationalFund, TEN_ETH, THIRTY_DAYS);
+      
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH);
+    });
+    
+    it("Should reduce the remaining budget on execution", async function () {
+      await setCapThroughProposal(TreasuryCategory.OperationalFund, TEN_ETH, THIRTY_DAYS);
+      
+      const proposalId = await createPayout(ONE_ETH * 4n);
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.OperationalFund)).to.equal(ONE_ETH * 6n);
+    });
+    
+    it("Should keep over-cap proposals queued until the window frees up", async function () {
+      const SEVEN_DAYS = 7 * 24 * 60 * 60;
+      await setCapThroughProposal(TreasuryCategory.OperationalFund, TEN_ETH, SEVEN_DAYS);
+      
+      const firstId = await createPayout(ONE_ETH * 7n);
+      const secondId = await createPayout(ONE_ETH * 7n);
+      await passProposal(firstId);
+      await dao.executeProposal(firstId);
+      
+      await dao.connect(member1).activateProposal(secondId);
+      await staking.connect(member1).castVote(secondId, VoteType.For);
+      await staking.connect(member2).castVote(secondId, VoteType.For);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(secondId);
+      await time.increase(12 * 60 * 60 + 1);
+      
+      await expect(
+        dao.executeProposal(secondId)
+      ).to.be.revertedWith("Exceeds spending cap");
+      expect(await dao.getProposalState(secondId)).to.equal(ProposalState.Queued);
+      
+      // The first payout leaves the 7 day window
+      await time.increase(4 * 24 * 60 * 60);
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH);
+      
+      await expect(dao.executeProposal(secondId))
+        .to.emit(dao, "ProposalExecuted");
+    });
+    
+    it("Should keep over-cap proposals executable through a cap window longer than the grace period", async function () {
+      await setCapThroughProposal(TreasuryCategory.OperationalFund, TEN_ETH, THIRTY_DAYS);
+      
+      const firstId = await createPayout(ONE_ETH * 7n);
+      const secondId = await createPayout(ONE_ETH * 7n);
+      await passProposal(firstId);
+      await dao.executeProposal(firstId);
+      const firstExecuted = await time.latest();
+      
+      await dao.connect(member1).activateProposal(secondId);
+      await staking.connect(member1).castVote(secondId, VoteType.For);
+      await staking.connect(member2).castVote(secondId, VoteType.For);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(secondId);
+      await time.increase(12 * 60 * 60 + 1);
+      
+      await expect(
+        dao.executeProposal(secondId)
+      ).to.be.revertedWith("Exceeds spending cap");
+      
+      // Past the 14 day grace period the proposal is still waiting on the cap, not expired
+      await time.increase(15 * 24 * 60 * 60);
+      expect(await dao.getProposalState(secondId)).to.equal(ProposalState.Queued);
+      expect(await staking.getLockedStake(member2.address)).to.equal(ONE_ETH * 5n);
+      await expect(
+        dao.executeProposal(secondId)
+      ).to.be.revertedWith("Exceeds spending cap");
+      
+      // The first payout leaves the 30 day window
+      await time.increaseTo(firstExecuted + THIRTY_DAYS);
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH);
+      
+      await expect(dao.executeProposal(secondId))
+        .to.emit(dao, "ProposalExecuted");
+    });
+    
+    it("Should expire over-cap proposals after a full cap window", async function () {
+      await setCapThroughProposal(TreasuryCategory.OperationalFund, ONE_ETH, THIRTY_DAYS);
+      
+      const proposalId = await createPayout(ONE_ETH * 2n);
+      await passProposal(proposalId);
+      
+      await time.increase(THIRTY_DAYS);
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Expired);
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWith("Proposal expired");
+    });
+    
+    it("Should track caps per category", async function () {
+      await setCapThroughProposal(TreasuryCategory.ExperimentalFund, ONE_ETH, THIRTY_DAYS);
+      
+      const proposalId = await createPayout(ONE_ETH * 5n);
+      await passProposal(proposalId);
+      
+      await expect(dao.executeProposal(proposalId))
+        .to.emit(dao, "ProposalExecuted");
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.ExperimentalFund)).to.equal(ONE_ETH);
+    });
+  });
+  
+  describe("ERC-20 Treasury", function () {
+    let token;
+    
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD");
+      
+      await token.mint(owner.address, TEN_ETH * 10n);
+      await token.approve(await vault.getAddress(), TEN_ETH * 10n);
+      
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+    });
+    
+    it("Should not transfer or approve tokens the treasury holds", async function () {
+      const tokenAddress = await token.getAddress();
+      await vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, tokenAddress, TEN_ETH);
+      
+      for (const data of [
+        token.interface.encodeFunctionData("approve", [member1.address, ONE_ETH]),
+        token.interface.encodeFunctionData("transfer", [member1.address, ONE_ETH]),
+        token.interface.encodeFunctionData("transferFrom", [await vault.getAddress(), member1.address, ONE_ETH])
+      ]) {
+        await expect(
+          dao.connect(member1).propose(
+            [tokenAddress],
+            [0n],
+            [data],
+            "Move treasury tokens",
+            ProposalType.Operational,
+            TreasuryCategory.OperationalFund
+          )
+        ).to.be.revertedWith("Cannot move a treasury token");
+      }
+      
+      // Other calls to the token are allowed
+      const mintData = token.interface.encodeFunctionData("mint", [recipient.address, ONE_ETH]);
+      await dao.connect(member1).propose(
+        [tokenAddress],
+        [0n],
+        [mintData],
+        "Mint tokens",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      expect(await token.balanceOf(recipient.address)).to.equal(ONE_ETH);
+    });
+    
+    it("Should not let a token deposit block a queued proposal", async function () {
+      const tokenAddress = await token.getAddress();
+      const approveData = token.interface.encodeFunctionData("approve", [member1.address, ONE_ETH]);
+      
+      await dao.connect(member1).propose(
+        [tokenAddress],
+        [0n],
+        [approveData],
+        "Approve before the treasury holds the token",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      // Anyone can deposit, so a dust deposit must not make the proposal revert
+      await vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, tokenAddress, 1n);
+      
+      await expect(dao.executeProposal(proposalId)).to.emit(dao, "ProposalExecuted");
+      expect(await token.allowance(await timelock.getAddress(), member1.address)).to.equal(ONE_ETH);
+    });
+    
+    it("Should track token deposits per category", async function () {
+      await expect(vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, await token.getAddress(), TEN_ETH))
+        .to.emit(vault, "TokenTreasuryDeposit")
+        .withArgs(TreasuryCategory.OperationalFund, await token.getAddress(), TEN_ETH);
+      await vault.depositTokenToTreasury(TreasuryCategory.ExperimentalFund, await token.getAddress(), ONE_ETH);
+      
+      expect(await vault.tokenTreasuryBalances(await token.getAddress(), TreasuryCategory.OperationalFund))
+        .to.equal(TEN_ETH);
+      expect(await vault.tokenTreasuryBalances(await token.getAddress(), TreasuryCategory.ExperimentalFund))
+        .to.equal(ONE_ETH);
+      expect(await vault.getTotalTokenTreasuryBalance(await token.getAddress())).to.equal(TEN_ETH + ONE_ETH);
+      
+      // ETH balances are tracked separately
+      expect(await vault.getTotalTreasuryBalance()).to.equal(0n);
+      
+      expect(await vault.getCategoryTokens(TreasuryCategory.OperationalFund)).to.deep.equal([await token.getAddress()]);
+      expect(await vault.getCategoryTokens(TreasuryCategory.HighConvictionFund)).to.deep.equal([]);
+    });
+    
+    it("Should cap the number of tokens a category holds", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const maxTokens = await vault.MAX_CATEGORY_TOKENS();
+      
+      for (let i = 0n; i <= maxTokens; i++) {
+        const dust = await MockERC20.deploy("Dust", "DUST");
+        await dust.mint(owner.address, 1n);
+        await dust.approve(await vault.getAddress(), 1n);
+        
+        const deposit = vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, await dust.getAddress(), 1n);
+        if (i < maxTokens) {
+          await deposit;
+        } else {
+          await expect(deposit).to.be.revertedWith("Too many treasury tokens");
+        }
+      }
+      
+      // Tokens already held can still be topped up
+      const held = (await vault.getCategoryTokens(TreasuryCategory.OperationalFund))[0];
+      const dust = await ethers.getContractAt("MockERC20", held);
+      await dust.mint(owner.address, 1n);
+      await dust.approve(await vault.getAddress(), 1n);
+      await vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, held, 1n);
+      expect(await vault.tokenTreasuryBalances(held, TreasuryCategory.OperationalFund)).to.equal(2n);
+    });
+    
+    it("Should reject empty token deposits", async function () {
+      await expect(
+        vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, await token.getAddress(), 0)
+      ).to.be.revertedWith("Must deposit tokens");
+    });
+    
+    it("Should pay out tokens from the proposal category on execution", async function () {
+      await vault.depositTokenToTreasury(TreasuryCategory.OperationalFund, await token.getAddress(), TEN_ETH);
+      
+      await expect(
+        dao.connect(member1).createTokenProposal(
+          await token.getAddress(),
+          recipient.address,
+          ONE_ETH * 4n,
+          "Pay contributor in stablecoins",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.emit(dao, "TokenPayoutProposed");
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      await expect(dao.executeProposal(proposalId))
+        .to.emit(dao, "TokenPayoutExecuted")
+        .withArgs(proposalId, await token.getAddress(), recipient.address, ONE_ETH * 4n);
+      
+      expect(await token.balanceOf(recipient.address)).to.equal(ONE_ETH * 4n);
+      expect(await vault.tokenTreasuryBalances(await token.getAddress(), TreasuryCategory.OperationalFund))
+        .to.equal(TEN_ETH - ONE_ETH * 4n);
+    });
+    
+    it("Should not pay tokens held by another category", async function () {
+      await vault.depositTokenToTreasury(TreasuryCategory.HighConvictionFund, await token.getAddress(), TEN_ETH);
+      
+      await dao.connect(member1).createTokenProposal(
+        await token.getAddress(),
+        recipient.address,
+        ONE_ETH,
+        "Pay contributor in stablecoins",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      await expect(
+        dao.executeProposal(proposalId)
+      ).to.be.revertedWith("Insufficient token treasury funds");
+    });
+  });
+  
+  describe("Tranche Payouts", function () {
+    let proposalId;
+    let unlockTime;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      unlockTime = (await time.latest()) + 30 * 24 * 60 * 60;
+      await dao.connect(member1).createTrancheProposal(
+        recipient.address,
+        [ONE_ETH, ONE_ETH * 2n, ONE_ETH * 3n],
+        [0, unlockTime, 0],
+        "Seed round in three tranches",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+    });
+    
+    it("Should store the tranche schedule", async function () {
+      const [amounts, unlockTimes, released] = await vault.getTranches(proposalId);
+      expect(amounts).to.deep.equal([ONE_ETH, ONE_ETH * 2n, ONE_ETH * 3n]);
+      expect(unlockTimes).to.deep.equal([0n, BigInt(unlockTime), 0n]);
+      expect(released).to.deep.equal([false, false, false]);
+      
+      const details = await dao.getProposalDetails(proposalId);
+      expect(details.amount).to.equal(ONE_ETH * 6n);
+    });
+    
+    it("Should pay the first tranche on execution and reserve the rest", async function () {
+      await passProposal(proposalId);
+      
+      const tx = dao.executeProposal(proposalId);
+      await expect(tx)
+        .to.emit(vault, "TrancheReleased")
+        .withArgs(proposalId, 0, recipient.address, ONE_ETH);
+      await expect(tx).to.changeEtherBalance(recipient, ONE_ETH);
+      
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(ONE_ETH * 4n);
+      expect(await vault.reservedTreasuryBalances(TreasuryCategory.OperationalFund)).to.equal(ONE_ETH * 5n);
+      expect((await vault.getTranches(proposalId)).released).to.deep.equal([true, false, false]);
+    });
+    
+    it("Should keep reserved tranches from being spent by other proposals", async function () {
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH * 5n,
+        "Spend the reserve",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const otherProposalId = await dao.proposalCount();
+      await passProposal(otherProposalId);
+      
+      await expect(
+        dao.executeProposal(otherProposalId)
+      ).to.be.revertedWith("Insufficient treasury funds");
+    });
+    
+    it("Should let the recipient claim a tranche after its unlock time", async function () {
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      await expect(
+        vault.connect(recipient).claimTranche(proposalId, 1)
+      ).to.be.revertedWith("Tranche locked");
+      
+      await time.increaseTo(unlockTime);
+      
+      await expect(
+        vault.connect(member1).claimTranche(proposalId, 1)
+      ).to.be.revertedWith("Only recipient can claim");
+      
+      const tx = vault.connect(recipient).claimTranche(proposalId, 1);
+      await expect(tx)
+        .to.emit(vault, "TrancheReleased")
+        .withArgs(proposalId, 1, recipient.address, ONE_ETH * 2n);
+      await expect(tx).to.changeEtherBalance(recipient, ONE_ETH * 2n);
+      
+      expect(await vault.reservedTreasuryBalances(TreasuryCategory.OperationalFund)).to.equal(ONE_ETH * 3n);
+      await expect(
+        vault.connect(recipient).claimTranche(proposalId, 1)
+      ).to.be.revertedWith("Tranche already released");
+    });
+    
+    it("Should not allow claims before execution", async function () {
+      await expect(
+        vault.connect(recipient).claimTranche(proposalId, 1)
+      ).to.be.revertedWith("Proposal not executed");
+    });
+    
+    it("Should unlock a milestone tranche through a follow-up proposal", async function () {
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      await expect(
+        vault.connect(recipient).claimTranche(proposalId, 2)
+      ).to.be.revertedWith("Tranche locked");
+      await expect(
+        vault.confirmMilestone(proposalId, 2)
+      ).to.be.revertedWith("Only callable through a proposal");
+      
+      const data = vault.interface.encodeFunctionData("confirmMilestone", [proposalId, 2]);
+      await dao.connect(member1).propose(
+        [await vault.getAddress()],
+        [0],
+        [data],
+        "Milestone two reached",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const followUpId = await dao.proposalCount();
+      await passProposal(followUpId);
+      
+      await expect(dao.executeProposal(followUpId))
+        .to.emit(vault, "MilestoneConfirmed")
+        .withArgs(proposalId, 2);
+      
+      await expect(vault.connect(recipient).claimTranche(proposalId, 2))
+        .to.changeEtherBalance(recipient, ONE_ETH * 3n);
+    });
+    
+    it("Should let a guardian halt the remaining tranches", async function () {
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      await expect(vault.connect(guardian).haltTranches(proposalId))
+        .to.emit(vault, "TranchesHalted")
+        .withArgs(proposalId, guardian.address, ONE_ETH * 5n);
+      
+      expect(await vault.tranchesHalted(proposalId)).to.be.true;
+      expect(await vault.reservedTreasuryBalances(TreasuryCategory.OperationalFund)).to.equal(0);
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(ONE_ETH * 9n);
+      
+      await time.increaseTo(unlockTime);
+      await expect(
+        vault.connect(recipient).claimTranche(proposalId, 1)
+      ).to.be.revertedWith("Tranches halted");
+    });
+    
+    it("Should let a follow-up proposal halt the remaining tranches", async function () {
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      await time.increaseTo(unlockTime);
+      await vault.connect(recipient).claimTranche(proposalId, 1);
+      
+      const data = vault.interface.encodeFunctionData("haltTranches", [proposalId]);
+      await dao.connect(member1).propose(
+        [await vault.getAddress()],
+        [0],
+        [data],
+        "Stop funding",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const followUpId = await dao.proposalCount();
+      await passProposal(followUpId);
+      
+      await expect(dao.executeProposal(followUpId))
+        .to.emit(vault, "TranchesHalted")
+        .withArgs(proposalId, await timelock.getAddress(), ONE_ETH * 3n);
+    });
+    
+    it("Should return halted tranches to the spending budget", async function () {
+      const data = vault.interface.encodeFunctionData("setSpendingCap", [
+        TreasuryCategory.OperationalFund,
+        TEN_ETH,
+        30 * 24 * 60 * 60
+      ]);
+      await executeThroughProposal(data, await vault.getAddress());
+      
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.OperationalFund)).to.equal(ONE_ETH * 4n);
+      
+      await vault.connect(guardian).haltTranches(proposalId);
+      expect(await vault.getRemainingSpendingBudget(TreasuryCategory.OperationalFund)).to.equal(ONE_ETH * 9n);
+    });
+    
+    it("Should only let guardians or governance halt tranches", async function () {
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      await expect(
+        vault.connect(member1).haltTranches(proposalId)
+      ).to.be.revertedWith("Only guardian or governance can halt");
+    });
+    
+    it("Should reject invalid tranche schedules", async function () {
+      await expect(
+        dao.connect(member1).createTrancheProposal(
+          recipient.address,
+          [ONE_ETH],
+          [0],
+          "Single tranche",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("At least two tranches required");
+      
+      await expect(
+        dao.connect(member1).createTrancheProposal(
+          recipient.address,
+          [ONE_ETH, ONE_ETH],
+          [0],
+          "Mismatched schedule",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Tranche length mismatch");
+      
+      await expect(
+        dao.connect(member1).createTrancheProposal(
+          recipient.address,
+          [ONE_ETH, 0],
+          [0, 0],
+          "Empty tranche",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Amount must be greater than 0");
+    });
+  });
+  
+  describe("Emergency Functions", function () {
+    let proposalId;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+    });
+    
+    it("Should allow guardian to cancel queued proposals", async function () {
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      
+      await expect(dao.connect(guardian).cancelProposal(proposalId))
+        .to.emit(dao, "ProposalCancelled");
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Cancelled);
+    });
+    
+    it("Should allow guardian to pause contract", async function () {
+      await expect(dao.connect(guardian).pause())
+        .to.emit(dao, "EmergencyPause");
+      
+      await expect(
+        staking.connect(member2).joinDAO({ value: ONE_ETH })
+      ).to.be.revertedWith("DAO paused");
+    });
+    
+    it("Should allow guardian to unpause contract", async function () {
+      await dao.connect(guardian).pause();
+      
+      await expect(dao.connect(guardian).unpause())
+        .to.emit(dao, "EmergencyUnpause");
+      
+      // Should work again
+      await expect(staking.connect(member2).joinDAO({ value: ONE_ETH }))
+        .to.not.be.reverted;
+    });
+    
+    it("Should not allow non-guardian to cancel proposals", async function () {
+      await expect(
+        dao.connect(member2).cancelProposal(proposalId)
+      ).to.be.revertedWith("Not authorized to cancel");
+    });
+    
+    it("Should lift a pause automatically after the maximum duration", async function () {
+      await dao.connect(guardian).pause();
+      expect(await dao.paused()).to.be.true;
+      expect(await dao.pausedUntil()).to.equal(await time.latest() + 7 * 24 * 60 * 60);
+      
+      await time.increase(7 * 24 * 60 * 60);
+      
+      expect(await dao.paused()).to.be.false;
+      await expect(staking.connect(member2).joinDAO({ value: ONE_ETH }))
+        .to.not.be.reverted;
+      await expect(
+        dao.connect(guardian).unpause()
+      ).to.be.revertedWithCustomError(dao, "ExpectedPause");
+    });
+    
+    it("Should extend a running pause when it is renewed", async function () {
+      await dao.connect(guardian).pause();
+      await time.increase(6 * 24 * 60 * 60);
+      
+      await expect(dao.connect(guardian).pause())
+        .to.emit(dao, "EmergencyPause")
+        .withArgs(guardian.address, await time.latest() + 1 + 7 * 24 * 60 * 60);
+      
+      await time.increase(2 * 24 * 60 * 60);
+      expect(await dao.paused()).to.be.true;
+    });
+  });
+  
+  describe("Emergency Withdrawals", function () {
+    const DAY = 24 * 60 * 60;
+    let proposalId;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH * 2n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      await vault.depositToTreasury(TreasuryCategory.HighConvictionFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address, ONE_ETH, "Queued payout", ProposalType.Operational, TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+    });
+    
+    // Keep the contract paused for `days` by renewing the pause before it lapses
+    async function pauseFor(days) {
+      await dao.connect(guardian).pause();
+      for (let elapsed = 6; elapsed < days; elapsed += 6) {
+        await time.increase(6 * DAY);
+        await dao.connect(guardian).pause();
+      }
+      await time.increase((days % 6 || 6) * DAY);
+    }
+    
+    it("Should stay closed until the contract has been paused for the emergency window", async function () {
+      expect(await staking.emergencyWithdrawalWindow()).to.equal(30 * DAY);
+      await expect(staking.connect(member3).emergencyWithdraw()).to.be.revertedWith("Emergency withdrawals not open");
+      
+      await pauseFor(24);
+      await expect(staking.connect(member3).emergencyWithdraw()).to.be.revertedWith("Emergency withdrawals not open");
+    });
+    
+    it("Should return a member's own stake after a prolonged pause", async function () {
+      const pausedSince = BigInt(await time.latest()) + 1n;
+      await pauseFor(30);
+      expect(await dao.pausedSince()).to.equal(pausedSince);
+      expect(await dao.paused()).to.be.true;
+      
+      const tx = staking.connect(member3).emergencyWithdraw();
+      await expect(tx).to.changeEtherBalances([member3, staking], [ONE_ETH * 2n, -ONE_ETH * 2n]);
+      await expect(tx)
+        .to.emit(staking, "EmergencyWithdrawal")
+        .withArgs(member3.address, ONE_ETH * 2n);
+      
+      const member = await staking.members(member3.address);
+      expect(member.stake).to.equal(0);
+      expect(member.stakePower).to.equal(0);
+      expect(await staking.totalStaked()).to.equal(ONE_ETH * 10n);
+      expect(await staking.getMemberCount()).to.equal(2);
+      
+      await expect(staking.connect(member3).emergencyWithdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+    
+    it("Should leave treasury balances and queued proposals untouched", async function () {
+      const proposalBefore = await dao.proposals(proposalId);
+      
+      await pauseFor(30);
+      await staking.connect(member1).emergencyWithdraw();
+      await staking.connect(member2).emergencyWithdraw();
+      
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(TEN_ETH);
+      expect(await vault.treasuryBalances(TreasuryCategory.HighConvictionFund)).to.equal(TEN_ETH);
+      expect(await vault.getTotalTreasuryBalance()).to.equal(TEN_ETH * 2n);
+      expect(await ethers.provider.getBalance(await vault.getAddress())).to.equal(TEN_ETH * 2n);
+      expect(await ethers.provider.getBalance(await staking.getAddress())).to.equal(ONE_ETH * 2n);
+      
+      const proposalAfter = await dao.proposals(proposalId);
+      expect(proposalAfter.state).to.equal(ProposalState.Queued);
+      expect(proposalAfter.toArray()).to.deep.equal(proposalBefore.toArray());
+    });
+    
+    it("Should include unbonding stake and revoke delegations", async function () {
+      await staking.connect(member3).withdrawStake(ONE_ETH / 2n);
+      await staking.connect(member1).registerDelegate("ipfs://member1", "");
+      await staking.connect(member3).delegateVotingPower(member1.address);
+      expect((await staking.members(member1.address)).delegatedPower).to.be.gt(0);
+      
+      await pauseFor(30);
+      await expect(staking.connect(member3).emergencyWithdraw()).to.changeEtherBalance(member3, ONE_ETH * 2n);
+      
+      expect((await staking.members(member1.address)).delegatedPower).to.equal(0);
+      expect((await staking.members(member3.address)).delegateTo).to.equal(ethers.ZeroAddress);
+      expect(await staking.getPendingWithdrawals(member3.address)).to.deep.equal([]);
+    });
+    
+    it("Should ignore voluntary and vote locks", async function () {
+      await staking.connect(member1).lockStake(365 * DAY);
+      
+      await pauseFor(30);
+      await expect(staking.connect(member1).emergencyWithdraw()).to.changeEtherBalance(member1, ONE_ETH * 5n);
+      expect((await staking.members(member1.address)).lockedUntil).to.equal(0);
+    });
+    
+    it("Should restart the window when a pause lapses", async function () {
+      await dao.connect(guardian).pause();
+      await time.increase(7 * DAY);
+      expect(await dao.paused()).to.be.false;
+      
+      await pauseFor(24);
+      await expect(staking.connect(member3).emergencyWithdraw()).to.be.revertedWith("Emergency withdrawals not open");
+      
+      await dao.connect(guardian).unpause();
+      await expect(staking.connect(member3).emergencyWithdraw()).to.be.revertedWith("Emergency withdrawals not open");
+    });
+    
+    it("Should change the emergency window through governance", async function () {
+      await expect(staking.setEmergencyWithdrawalWindow(DAY)).to.be.revertedWith("Only callable through a proposal");
+      
+      const data = staking.interface.encodeFunctionData("setEmergencyWithdrawalWindow", [10 * DAY]);
+      await expect(executeThroughProposal(data, await staking.getAddress()))
+        .to.emit(staking, "EmergencyWithdrawalWindowUpdated")
+        .withArgs(10 * DAY);
+      
+      const invalid = staking.interface.encodeFunctionData("setEmergencyWithdrawalWindow", [0]);
+      await expect(executeThroughProposal(invalid, await staking.getAddress())).to.be.revertedWith("Window must be greater than 0");
+      
+      await pauseFor(10);
+      await expect(staking.connect(member3).emergencyWithdraw()).to.emit(staking, "EmergencyWithdrawal");
+    });
+  });
+  
+  describe("Proposal Cancellation", function () {
+    let proposalId;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      proposalId = await dao.proposalCount();
+    });
+    
+    it("Should allow proposer to cancel their pending proposal", async function () {
+      await expect(dao.connect(member1).cancelProposal(proposalId))
+        .to.emit(dao, "ProposalCancelled")
+        .withArgs(proposalId, member1.address);
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Cancelled);
+      await expect(
+        dao.connect(member1).activateProposal(proposalId)
+      ).to.be.revertedWith("Proposal not in pending state");
+    });
+    
+    it("Should allow proposer to cancel their active proposal", async function () {
+      await dao.connect(member1).activateProposal(proposalId);
+      
+      await dao.connect(member1).cancelProposal(proposalId);
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Cancelled);
+      await expect(
+        staking.connect(member2).castVote(proposalId, VoteType.For)
+      ).to.be.revertedWith("Proposal not active");
+    });
+    
+    it("Should not allow proposer to cancel a queued proposal", async function () {
+      await passProposal(proposalId);
+      
+      await expect(
+        dao.connect(member1).cancelProposal(proposalId)
+      ).to.be.revertedWith("Not authorized to cancel");
+    });
+    
+    it("Should not allow guardian to cancel a pending proposal", async function () {
+      await expect(
+        dao.connect(guardian).cancelProposal(proposalId)
+      ).to.be.revertedWith("Not authorized to cancel");
+    });
+    
+    it("Should allow anyone to cancel once the proposer's stake drops below the minimum", async function () {
+      await dao.connect(member1).activateProposal(proposalId);
+      await expect(
+        dao.connect(recipient).cancelProposal(proposalId)
+      ).to.be.revertedWith("Not authorized to cancel");
+      
+      await staking.connect(member1).withdrawStake(ONE_ETH - ethers.parseEther("0.05"));
+      
+      await expect(dao.connect(recipient).cancelProposal(proposalId))
+        .to.emit(dao, "ProposalCancelled")
+        .withArgs(proposalId, recipient.address);
+    });
+    
+    it("Should allow anyone to cancel a queued proposal whose proposer left", async function () {
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await dao.connect(member3).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Proposal from member3",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const otherProposalId = await dao.proposalCount();
+      await dao.connect(member3).activateProposal(otherProposalId);
+      await staking.connect(member1).castVote(otherProposalId, VoteType.For);
+      await staking.connect(member2).castVote(otherProposalId, VoteType.For);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(otherProposalId);
+      
+      // The proposer did not vote, so can ragequit during the timelock
+      await staking.connect(member3).ragequit(otherProposalId);
+      
+      await dao.connect(recipient).cancelProposal(otherProposalId);
+      expect(await dao.getProposalState(otherProposalId)).to.equal(ProposalState.Cancelled);
+    });
+    
+    it("Should not cancel finished proposals", async function () {
+      await passProposal(proposalId);
+      await dao.executeProposal(proposalId);
+      
+      await expect(
+        dao.connect(guardian).cancelProposal(proposalId)
+      ).to.be.revertedWith("Cannot cancel proposal in current state");
+    });
+    
+    it("Should not cancel expired proposals", async function () {
+      await passProposal(proposalId);
+      await time.increase(14 * 24 * 60 * 60 + 1);
+      
+      await expect(
+        dao.connect(guardian).cancelProposal(proposalId)
+      ).to.be.revertedWith("Cannot cancel proposal in current state");
+    });
+  });
+  
+  describe("Proposal Bonds", function () {
+    const BOND = MINIMUM_STAKE;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      
+      const data = dao.interface.encodeFunctionData("setProposalBond", [ProposalType.Operational, BOND]);
+      await expect(executeThroughProposal(data))
+        .to.emit(dao, "ProposalBondUpdated")
+        .withArgs(ProposalType.Operational, BOND);
+    });
+    
+    // Helper to create a bonded Operational proposal from member3
+    async function createBondedProposal() {
+      await dao.connect(member3).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Bonded proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund,
+        { value: BOND }
+      );
+      return dao.proposalCount();
+    }
+    
+    it("Should require the exact bond for the proposal type", async function () {
+      await expect(
+        dao.connect(member3).createProposal(
+          recipient.address,
+          ONE_ETH,
+          "Unbonded proposal",
+          ProposalType.Operational,
+          TreasuryCategory.OperationalFund
+        )
+      ).to.be.revertedWith("Incorrect proposal bond");
+      
+      const proposalId = await createBondedProposal();
+      expect((await dao.proposals(proposalId)).bond).to.equal(BOND);
+      
+      // Other types keep their own bond, zero by default
+      await expect(
+        dao.connect(member3).createProposal(
+          recipient.address,
+          ONE_ETH,
+          "Experimental proposal",
+          ProposalType.Experimental,
+          TreasuryCategory.ExperimentalFund,
+          { value: BOND }
+        )
+      ).to.be.revertedWith("Incorrect proposal bond");
+    });
+    
+    it("Should return the bond once the proposal reaches quorum", async function () {
+      const proposalId = await createBondedProposal();
+      await dao.connect(member3).activateProposal(proposalId);
+      
+      // Against votes reach quorum, so the bond comes back even though the proposal fails
+      await staking.connect(member1).castVote(proposalId, VoteType.Against);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      await expect(dao.queueProposal(proposalId))
+        .to.emit(dao, "ProposalBondReturned")
+        .withArgs(proposalId, member3.address, BOND);
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Defeated);
+      expect(await dao.claimableBonds(member3.address)).to.equal(BOND);
+      
+      const tx = await dao.connect(member3).claimBonds();
+      await expect(tx).to.emit(dao, "ProposalBondClaimed").withArgs(member3.address, BOND);
+      await expect(tx).to.changeEtherBalance(member3, BOND);
+      
+      await expect(dao.connect(member3).claimBonds()).to.be.revertedWith("No bond to claim");
+    });
+    
+    it("Should forfeit the bond to the Operational fund when defeated without quorum", async function () {
+      const proposalId = await createBondedProposal();
+      await dao.connect(member3).activateProposal(proposalId);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      
+      const fundBefore = await vault.treasuryBalances(TreasuryCategory.OperationalFund);
+      await expect(dao.queueProposal(proposalId))
+        .to.emit(dao, "ProposalBondForfeited")
+        .withArgs(proposalId, BOND);
+      
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(fundBefore + BOND);
+      expect(await dao.claimableBonds(member3.address)).to.equal(0);
+    });
+    
+    it("Should forfeit the bond when guardians cancel the proposal", async function () {
+      const proposalId = await createBondedProposal();
+      await dao.connect(member3).activateProposal(proposalId);
+      
+      await expect(dao.connect(guardian).cancelProposal(proposalId))
+        .to.emit(dao, "ProposalBondForfeited")
+        .withArgs(proposalId, BOND);
+    });
+    
+    it("Should return the bond when the proposer cancels a pending proposal", async function () {
+      const proposalId = await createBondedProposal();
+      
+      await expect(dao.connect(member3).cancelProposal(proposalId))
+        .to.emit(dao, "ProposalBondReturned")
+        .withArgs(proposalId, member3.address, BOND);
+      expect(await dao.claimableBonds(member3.address)).to.equal(BOND);
+    });
+    
+    it("Should forfeit the bond when the proposer cancels an active proposal", async function () {
+      const proposalId = await createBondedProposal();
+      await dao.connect(member3).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.Against);
+      
+      // Withdrawing a proposal that is losing its vote must not dodge the forfeit
+      const fundBefore = await vault.treasuryBalances(TreasuryCategory.OperationalFund);
+      await expect(dao.connect(member3).cancelProposal(proposalId))
+        .to.emit(dao, "ProposalBondForfeited")
+        .withArgs(proposalId, BOND);
+      
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(fundBefore + BOND);
+      expect(await dao.claimableBonds(member3.address)).to.equal(0);
+    });
+    
+    it("Should forfeit the bond when another address cancels an understaked proposer's active proposal", async function () {
+      const proposalId = await createBondedProposal();
+      await dao.connect(member3).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.Against);
+      
+      // Dropping below the minimum stake and cancelling from another address must not dodge the forfeit
+      await staking.connect(member3).withdrawStake(ONE_ETH - ethers.parseEther("0.05"));
+      
+      const fundBefore = await vault.treasuryBalances(TreasuryCategory.OperationalFund);
+      await expect(dao.connect(recipient).cancelProposal(proposalId))
+        .to.emit(dao, "ProposalBondForfeited")
+        .withArgs(proposalId, BOND);
+      
+      expect(await vault.treasuryBalances(TreasuryCategory.OperationalFund)).to.equal(fundBefore + BOND);
+      expect(await dao.claimableBonds(member3.address)).to.equal(0);
+    });
+    
+    it("Should cap the number of open proposals per member", async function () {
+      const data = dao.interface.encodeFunctionData("setMaxOpenProposals", [2]);
+      await expect(executeThroughProposal(data))
+        .to.emit(dao, "MaxOpenProposalsUpdated")
+        .withArgs(2);
+      
+      const first = await createBondedProposal();
+      await createBondedProposal();
+      await expect(createBondedProposal()).to.be.revertedWith("Too many open proposals");
+      
+      // Other members have their own allowance
+      await dao.connect(member2).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Another member's proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund,
+        { value: BOND }
+      );
+      
+      // Resolved proposals free up a slot
+      await dao.connect(member3).cancelProposal(first);
+      await createBondedProposal();
+      
+      const invalid = dao.interface.encodeFunctionData("setMaxOpenProposals", [0]);
+      await expect(executeThroughProposal(invalid))
+        .to.be.revertedWith("Max open proposals must be greater than 0");
+    });
+  });
+  
+  describe("Guardian Council", function () {
+    const Action = { Cancel: 0, Pause: 1, Unpause: 2, HaltTranches: 3 };
+    const TERM_LENGTH = 90 * 24 * 60 * 60;
+    let council, councillors;
+    
+    beforeEach(async function () {
+      councillors = (await ethers.getSigners()).slice(6, 9);
+      
+      const GuardianCouncil = await ethers.getContractFactory("GuardianCouncil");
+      council = await GuardianCouncil.deploy(
+        await dao.getAddress(),
+        councillors.map((councillor) => councillor.address),
+        2,
+        TERM_LENGTH
+      );
+      await dao.grantRole(await dao.GUARDIAN_ROLE(), await council.getAddress());
+      
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+    });
+    
+    it("Should pause only once the threshold of guardians approves", async function () {
+      await expect(council.connect(councillors[0]).approve(Action.Pause, 0))
+        .to.emit(council, "ActionApproved")
+        .withArgs(Action.Pause, 0, councillors[0].address, 1);
+      expect(await dao.paused()).to.be.false;
+      
+      await expect(council.connect(councillors[1]).approve(Action.Pause, 0))
+        .to.emit(council, "ActionPerformed")
+        .withArgs(Action.Pause, 0);
+      expect(await dao.paused()).to.be.true;
+    });
+    
+    it("Should not count the same guardian twice", async function () {
+      await council.connect(councillors[0]).approve(Action.Pause, 0);
+      
+      await expect(
+        council.connect(councillors[0]).approve(Action.Pause, 0)
+      ).to.be.revertedWith("Already approved");
+    });
+    
+    it("Should require a fresh round of approvals to renew a pause", async function () {
+      await council.connect(councillors[0]).approve(Action.Pause, 0);
+      await council.connect(councillors[1]).approve(Action.Pause, 0);
+      expect(await council.getApprovalCount(Action.Pause, 0)).to.equal(0);
+      
+      await time.increase(6 * 24 * 60 * 60);
+      await council.connect(councillors[1]).approve(Action.Pause, 0);
+      await council.connect(councillors[2]).approve(Action.Pause, 0);
+      
+      await time.increase(2 * 24 * 60 * 60);
+      expect(await dao.paused()).to.be.true;
+    });
+    
+    it("Should cancel a queued proposal with council approval", async function () {
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Test proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const proposalId = await dao.proposalCount();
+      await passProposal(proposalId);
+      
+      await council.connect(councillors[0]).approve(Action.Cancel, proposalId);
+      await expect(council.connect(councillors[2]).approve(Action.Cancel, proposalId))
+        .to.emit(dao, "ProposalCancelled")
+        .withArgs(proposalId, await council.getAddress());
+      
+      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Cancelled);
+    });
+    
+    it("Should reject guardians whose term has ended", async function () {
+      await council.connect(councillors[0]).approve(Action.Pause, 0);
+      await time.increase(TERM_LENGTH);
+      
+      expect(await council.isActiveGuardian(councillors[0].address)).to.be.false;
+      expect(await council.activeGuardianCount()).to.equal(0);
+      expect(await council.getApprovalCount(Action.Pause, 0)).to.equal(0);
+      await expect(
+        council.connect(councillors[1]).approve(Action.Pause, 0)
+      ).to.be.revertedWith("Not an active guardian");
+    });
+    
+    it("Should only change membership through a proposal", async function () {
+      await expect(
+        council.connect(councillors[0]).addGuardian(member3.address)
+      ).to.be.revertedWith("Only callable through a proposal");
+      
+      const data = council.interface.encodeFunctionData("replaceGuardian", [
+        councillors[0].address,
+        member3.address
+      ]);
+      await expect(executeThroughProposal(data, await council.getAddress()))
+        .to.emit(council, "GuardianRemoved")
+        .withArgs(councillors[0].address);
+      
+      expect(await council.isActiveGuardian(member3.address)).to.be.true;
+      expect(await council.isActiveGuardian(councillors[0].address)).to.be.false;
+      expect(await council.getGuardians()).to.have.lengthOf(3);
+    });
+    
+    it("Should drop pending approvals when the membership changes", async function () {
+      await council.connect(councillors[0]).approve(Action.Pause, 0);
+      
+      const data = council.interface.encodeFunctionData("renewTerm", [councillors[1].address]);
+      await executeThroughProposal(data, await council.getAddress());
+      expect(await council.getApprovalCount(Action.Pause, 0)).to.equal(1);
+      
+      const rotation = council.interface.encodeFunctionData("addGuardian", [member3.address]);
+      await executeThroughProposal(rotation, await council.getAddress());
+      expect(await council.getApprovalCount(Action.Pause, 0)).to.equal(0);
+    });
+    
+    it("Should keep the threshold reachable", async function () {
+      const data = council.interface.encodeFunctionData("setThreshold", [4]);
+      
+      await expect(
+        executeThroughProposal(data, await council.getAddress())
+      ).to.be.revertedWith("Threshold exceeds active guardian count");
+    });
+    
+    it("Should only remove guardians down to the threshold counting running terms", async function () {
+      // Renew two terms, then let the third run out
+      await time.increase(TERM_LENGTH - 10 * 24 * 60 * 60);
+      for (const councillor of councillors.slice(0, 2)) {
+        const renewal = council.interface.encodeFunctionData("renewTerm", [councillor.address]);
+        await executeThroughProposal(renewal, await council.getAddress());
+      }
+      await time.increase(10 * 24 * 60 * 60);
+      expect(await council.activeGuardianCount()).to.equal(2);
+      expect(await council.getGuardians()).to.have.lengthOf(3);
+      
+      let data = council.interface.encodeFunctionData("removeGuardian", [councillors[1].address]);
+      await expect(
+        executeThroughProposal(data, await council.getAddress())
+      ).to.be.revertedWith("Threshold exceeds active guardian count");
+      
+      data = council.interface.encodeFunctionData("removeGuardian", [councillors[2].address]);
+      await expect(executeThroughProposal(data, await council.getAddress()))
+        .to.emit(council, "GuardianRemoved")
+        .withArgs(councillors[2].address);
+    });
+    
+    it("Should drop the deployer's guardian role with its admin role", async function () {
+      const GUARDIAN_ROLE = await dao.GUARDIAN_ROLE();
+      await dao.renounceDeployerAdmin();
+      
+      expect(await dao.hasRole(GUARDIAN_ROLE, owner.address)).to.be.false;
+      await expect(dao.pause()).to.be.revertedWithCustomError(dao, "AccessControlUnauthorizedAccount");
+    });
+  });
+  
+  describe("Governance-Controlled Parameters", function () {
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+    });
+    
+    it("Should emit the initial proposal configurations", async function () {
+      const proxy = await ethers.deployContract("ERC1967Proxy", [
+        await implementation.getAddress(),
+        dao.interface.encodeFunctionData("initialize")
+      ]);
+      const receipt = await proxy.deploymentTransaction().wait();
+      const updates = receipt.logs
+        .map((log) => dao.interface.parseLog(log))
+        .filter((event) => event && event.name === "ProposalConfigUpdated");
+      
+      expect(updates.map((event) => event.args.proposalType)).to.deep.equal([0n, 1n, 2n, 3n]);
+      expect(updates[2].args.quorumPercentage).to.equal(1500);
+    });
+    
+    it("Should update the maximum pause duration through governance", async function () {
+      const data = dao.interface.encodeFunctionData("setMaxPauseDuration", [3 * 24 * 60 * 60]);
+      
+      await expect(executeThroughProposal(data))
+        .to.emit(dao, "MaxPauseDurationUpdated")
+        .withArgs(3 * 24 * 60 * 60);
+      
+      await expect(dao.setMaxPauseDuration(0)).to.be.revertedWith("Only callable through a proposal");
+    });
+    
+    it("Should update the veto threshold through governance", async function () {
+      const data = dao.interface.encodeFunctionData("setVetoThreshold", [2000]);
+      
+      await expect(executeThroughHighConvictionProposal(data))
+        .to.emit(dao, "VetoThresholdUpdated")
+        .withArgs(2000);
+      expect(await dao.vetoThreshold()).to.equal(2000);
+      
+      for (const threshold of [0, 2501, 10000]) {
+        const invalid = dao.interface.encodeFunctionData("setVetoThreshold", [threshold]);
+        await expect(executeThroughHighConvictionProposal(invalid)).to.be.revertedWith("Invalid veto threshold");
+      }
+    });
+    
+    it("Should update proposal configuration through governance", async function () {
+      const data = dao.interface.encodeFunctionData("updateProposalConfig", [
+        ProposalType.Experimental, 4 * 24 * 60 * 60, 3000, 6000, 2 * 24 * 60 * 60
+      ]);
+      
+      await expect(executeThroughProposal(data))
+        .to.emit(dao, "ProposalConfigUpdated")
+        .withArgs(ProposalType.Experimental, 4 * 24 * 60 * 60, 3000, 6000, 2 * 24 * 60 * 60);
+      
+      const config = await dao.proposalConfigs(ProposalType.Experimental);
+      expect(config.votingPeriod).to.equal(4 * 24 * 60 * 60);
+      expect(config.quorumPercentage).to.equal(3000);
+    });
+    
+    it("Should not let the admin update parameters directly", async function () {
+      await expect(
+        dao.updateProposalConfig(ProposalType.Operational, 3 * 24 * 60 * 60, 0, 5000, 12 * 60 * 60)
+      ).to.be.revertedWith("Only callable through a proposal");
+      await expect(
+        vault.setTreasuryLimit(TreasuryCategory.OperationalFund, ONE_ETH)
+      ).to.be.revertedWith("Only callable through a proposal");
+    });
+    
+    it("Should enforce sanity bounds on proposal configuration", async function () {
+      const DAY = 24 * 60 * 60;
+      const cases = [
+        [[ProposalType.Operational, 60, 1500, 5000, 12 * 60 * 60], "Voting period too short"],
+        [[ProposalType.Operational, 3 * DAY, 1500, 5000, 60], "Timelock too short"],
+        [[ProposalType.Operational, 3 * DAY, 0, 5000, 12 * 60 * 60], "Quorum below floor"],
+        [[ProposalType.Operational, 3 * DAY, 10001, 5000, 12 * 60 * 60], "Quorum cannot exceed 100%"],
+        [[ProposalType.Operational, 3 * DAY, 1500, 0, 12 * 60 * 60], "Threshold below floor"],
+        [[ProposalType.Operational, 3 * DAY, 1500, 4999, 12 * 60 * 60], "Threshold below floor"],
+        [[ProposalType.Operational, 3 * DAY, 1500, 10001, 12 * 60 * 60], "Threshold cannot exceed 100%"]
+      ];
+      
+      for (const [args, reason] of cases) {
+        const data = dao.interface.encodeFunctionData("updateProposalConfig", args);
+        await expect(executeThroughProposal(data)).to.be.revertedWith(reason);
+      }
     });
     
-    it("Should queue proposal if it passes", async function () {
-      // Cast votes to pass (need 50% approval, 15% quorum for operational)
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.For);
-      await dao.connect(member3).castVote(proposalId, VoteType.Against);
-      
-      // Fast forward past voting period
-      await time.increase(3 * 24 * 60 * 60 + 1);
+    it("Should set treasury limits through governance", async function () {
+      const data = vault.interface.encodeFunctionData("setTreasuryLimit", [TreasuryCategory.ExperimentalFund, ONE_ETH]);
       
-      await expect(dao.queueProposal(proposalId))
-        .to.emit(dao, "ProposalQueued");
+      await expect(executeThroughProposal(data, await vault.getAddress()))
+        .to.emit(vault, "TreasuryLimitUpdated")
+        .withArgs(TreasuryCategory.ExperimentalFund, ONE_ETH);
       
-      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Queued);
+      await expect(
+        vault.depositToTreasury(TreasuryCategory.ExperimentalFund, { value: ONE_ETH * 2n })
+      ).to.be.revertedWith("Exceeds treasury limit");
     });
     
-    it("Should defeat proposal if quorum not met", async function () {
-      // Proposal allows voting with even 1 member vote - quorum is checked
-      // But in this case it queues with 1 vote (member1), so we check it's queued
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
+    it("Should let the deployer renounce its admin role once", async function () {
+      const DEFAULT_ADMIN_ROLE = await dao.DEFAULT_ADMIN_ROLE();
       
-      await time.increase(3 * 24 * 60 * 60 + 1);
+      await expect(dao.renounceDeployerAdmin())
+        .to.emit(dao, "DeployerAdminRenounced")
+        .withArgs(owner.address);
       
-      await dao.queueProposal(proposalId);
-      const state = await dao.getProposalState(proposalId);
-      // Proposal meets quorum with sufficient votes, so it's queued
-      expect(state).to.equal(ProposalState.Queued);
+      expect(await dao.deployerAdminRenounced()).to.be.true;
+      expect(await dao.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      expect(await dao.hasRole(DEFAULT_ADMIN_ROLE, await timelock.getAddress())).to.be.true;
+      expect(await dao.hasRole(await dao.GOVERNANCE_ROLE(), owner.address)).to.be.false;
+      expect(await dao.hasRole(await dao.GOVERNANCE_ROLE(), await timelock.getAddress())).to.be.true;
+      
+      await expect(
+        dao.renounceDeployerAdmin()
+      ).to.be.revertedWithCustomError(dao, "AccessControlUnauthorizedAccount");
     });
     
-    it("Should defeat proposal if approval threshold not met", async function () {
-      // More against than for
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.Against);
-      await dao.connect(member3).castVote(proposalId, VoteType.Against);
+    it("Should leave role grants to governance after the deployer renounces", async function () {
+      const GUARDIAN_ROLE = await dao.GUARDIAN_ROLE();
+      await dao.renounceDeployerAdmin();
       
-      await time.increase(3 * 24 * 60 * 60 + 1);
+      await expect(
+        dao.grantRole(GUARDIAN_ROLE, member3.address)
+      ).to.be.revertedWithCustomError(dao, "AccessControlUnauthorizedAccount");
       
-      await expect(dao.queueProposal(proposalId))
-        .to.emit(dao, "ProposalDefeated");
+      const data = dao.interface.encodeFunctionData("grantRole", [GUARDIAN_ROLE, member3.address]);
+      await executeThroughHighConvictionProposal(data);
       
-      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Defeated);
+      expect(await dao.hasRole(GUARDIAN_ROLE, member3.address)).to.be.true;
     });
     
-    it("Should execute proposal after timelock", async function () {
-      // Pass the proposal
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.For);
-      await dao.connect(member3).castVote(proposalId, VoteType.For);
+    it("Should only let the DAO administer the guardian and funding module roles", async function () {
+      const DEFAULT_ADMIN_ROLE = await dao.DEFAULT_ADMIN_ROLE();
+      const GOVERNANCE_ROLE = await dao.GOVERNANCE_ROLE();
+      const FUNDING_MODULE_ROLE = await dao.FUNDING_MODULE_ROLE();
+      expect(await dao.getRoleAdmin(await dao.GUARDIAN_ROLE())).to.equal(GOVERNANCE_ROLE);
+      expect(await dao.getRoleAdmin(FUNDING_MODULE_ROLE)).to.equal(GOVERNANCE_ROLE);
+      expect(await dao.getRoleAdmin(GOVERNANCE_ROLE)).to.equal(GOVERNANCE_ROLE);
       
-      await time.increase(3 * 24 * 60 * 60 + 1);
-      await dao.queueProposal(proposalId);
+      await dao.renounceDeployerAdmin();
+      await executeThroughHighConvictionProposal(dao.interface.encodeFunctionData("grantRole", [DEFAULT_ADMIN_ROLE, member1.address]));
       
-      // Fast forward past timelock (12 hours for operational)
-      await time.increase(12 * 60 * 60 + 1);
+      // Another admin can neither grant a funding module nor make itself the roles' admin
+      await expect(
+        dao.connect(member1).grantRole(FUNDING_MODULE_ROLE, member1.address)
+      ).to.be.revertedWithCustomError(dao, "AccessControlUnauthorizedAccount");
+      await expect(
+        dao.connect(member1).grantRole(GOVERNANCE_ROLE, member1.address)
+      ).to.be.revertedWithCustomError(dao, "AccessControlUnauthorizedAccount");
       
-      const recipientBalanceBefore = await ethers.provider.getBalance(recipient.address);
+      await executeThroughHighConvictionProposal(dao.interface.encodeFunctionData("grantRole", [FUNDING_MODULE_ROLE, member2.address]));
+      expect(await dao.hasRole(FUNDING_MODULE_ROLE, member2.address)).to.be.true;
+    });
+  });
+  
+  describe("Proposal Type Registry", function () {
+    const DAY = 24 * 60 * 60;
+    const GRANTS = 4;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH / 2n });
+    });
+    
+    async function registerGrants() {
+      const data = dao.interface.encodeFunctionData("registerProposalType", [
+        "Grants", TreasuryCategory.ExperimentalFund, ONE_ETH, DAY, 1500, 5000, 6 * 60 * 60
+      ]);
+      return executeThroughHighConvictionProposal(data);
+    }
+    
+    it("Should register the built-in proposal types on initialization", async function () {
+      const types = await Helpers.getProposalTypes(dao);
       
-      await expect(dao.executeProposal(proposalId))
-        .to.emit(dao, "ProposalExecuted");
+      expect(types.map((type) => type.name)).to.deep.equal([
+        "HighConviction", "Experimental", "Operational", "Optimistic"
+      ]);
+      expect(types.map((type) => type.category)).to.deep.equal([
+        TreasuryCategory.HighConvictionFund,
+        TreasuryCategory.ExperimentalFund,
+        TreasuryCategory.OperationalFund,
+        TreasuryCategory.OperationalFund
+      ]);
+      expect(types.every((type) => type.minProposerStake === MINIMUM_STAKE && !type.deprecated)).to.be.true;
+      expect(types[ProposalType.Operational].config.quorumPercentage).to.equal(1500);
+    });
+    
+    it("Should register a new proposal type through governance", async function () {
+      const tx = registerGrants();
+      await expect(tx)
+        .to.emit(dao, "ProposalTypeRegistered")
+        .withArgs(GRANTS, "Grants", TreasuryCategory.ExperimentalFund, ONE_ETH);
+      await expect(tx)
+        .to.emit(dao, "ProposalConfigUpdated")
+        .withArgs(GRANTS, DAY, 1500, 5000, 6 * 60 * 60);
       
-      const recipientBalanceAfter = await ethers.provider.getBalance(recipient.address);
-      expect(recipientBalanceAfter - recipientBalanceBefore).to.equal(ONE_ETH);
+      expect(await dao.getProposalTypeCount()).to.equal(5);
+      const [grants] = (await Helpers.getProposalTypes(dao)).slice(GRANTS);
+      expect(grants.name).to.equal("Grants");
+      expect(grants.category).to.equal(TreasuryCategory.ExperimentalFund);
+      expect(grants.config.votingPeriod).to.equal(DAY);
+    });
+    
+    it("Should only register valid proposal types through governance", async function () {
+      await expect(
+        dao.registerProposalType("Grants", TreasuryCategory.ExperimentalFund, ONE_ETH, DAY, 1500, 5000, 6 * 60 * 60)
+      ).to.be.revertedWith("Only callable through a proposal");
       
-      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Executed);
+      const cases = [
+        [["", TreasuryCategory.ExperimentalFund, ONE_ETH, DAY, 1500, 5000, 6 * 60 * 60], "Name required"],
+        [["Grants", TreasuryCategory.ExperimentalFund, 0, DAY, 1500, 5000, 6 * 60 * 60], "Stake requirement below minimum"],
+        [["Grants", TreasuryCategory.ExperimentalFund, ONE_ETH, 60, 1500, 5000, 6 * 60 * 60], "Voting period too short"]
+      ];
+      for (const [args, reason] of cases) {
+        const data = dao.interface.encodeFunctionData("registerProposalType", args);
+        await expect(executeThroughHighConvictionProposal(data)).to.be.revertedWith(reason);
+      }
     });
     
-    it("Should not execute proposal before timelock expires", async function () {
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.For);
-      await dao.connect(member3).castVote(proposalId, VoteType.For);
+    it("Should enforce a registered type's treasury category and minimum stake", async function () {
+      await registerGrants();
       
-      await time.increase(3 * 24 * 60 * 60 + 1);
-      await dao.queueProposal(proposalId);
+      await expect(
+        dao.connect(member3).createProposal(recipient.address, ONE_ETH, "Grant", GRANTS, TreasuryCategory.ExperimentalFund)
+      ).to.be.revertedWith("Insufficient stake to propose");
+      await expect(
+        dao.connect(member1).createProposal(recipient.address, ONE_ETH, "Grant", GRANTS, TreasuryCategory.OperationalFund)
+      ).to.be.revertedWith("Category must match proposal type");
       
-      // Don't wait for timelock
       await expect(
-        dao.executeProposal(proposalId)
-      ).to.be.revertedWith("Timelock period not elapsed");
+        dao.connect(member1).createProposal(recipient.address, ONE_ETH, "Grant", GRANTS, TreasuryCategory.ExperimentalFund)
+      ).to.emit(dao, "ProposalCreated");
     });
     
-    it("Should not execute proposal twice", async function () {
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.For);
-      await dao.connect(member3).castVote(proposalId, VoteType.For);
+    it("Should run a registered type's proposals with its own configuration", async function () {
+      await registerGrants();
+      await vault.depositToTreasury(TreasuryCategory.ExperimentalFund, { value: TEN_ETH });
       
-      await time.increase(3 * 24 * 60 * 60 + 1);
-      await dao.queueProposal(proposalId);
-      await time.increase(12 * 60 * 60 + 1);
+      await dao.connect(member1).createProposal(recipient.address, ONE_ETH, "Grant", GRANTS, TreasuryCategory.ExperimentalFund);
+      const proposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
       
-      await dao.executeProposal(proposalId);
+      await time.increase(DAY + 1);
+      await dao.queueProposal(proposalId);
+      await time.increase(6 * 60 * 60 + 1);
       
+      await expect(dao.executeProposal(proposalId)).to.changeEtherBalance(recipient, ONE_ETH);
+      expect(await vault.treasuryBalances(TreasuryCategory.ExperimentalFund)).to.equal(TEN_ETH - ONE_ETH);
+    });
+    
+    it("Should reject unregistered proposal types", async function () {
       await expect(
-        dao.executeProposal(proposalId)
-      ).to.be.revertedWith("Proposal not queued");
+        dao.connect(member1).createProposal(recipient.address, ONE_ETH, "Unknown", GRANTS, TreasuryCategory.ExperimentalFund)
+      ).to.be.revertedWith("Invalid proposal type");
+      
+      const data = dao.interface.encodeFunctionData("updateProposalConfig", [GRANTS, DAY, 1500, 5000, 6 * 60 * 60]);
+      await expect(executeThroughProposal(data)).to.be.revertedWith("Invalid proposal type");
     });
     
-    it("Should fail execution if insufficient treasury funds", async function () {
-      // Create proposal for more than treasury has
+    it("Should stop new proposals of a deprecated type", async function () {
+      await registerGrants();
+      await vault.depositToTreasury(TreasuryCategory.ExperimentalFund, { value: TEN_ETH });
       await dao.connect(member1).createProposal(
-        recipient.address,
-        ethers.parseEther("20"), // More than 10 ETH in treasury
-        "Large proposal",
-        ProposalType.Operational,
-        TreasuryCategory.OperationalFund
+        recipient.address, ONE_ETH, "Before deprecation", GRANTS, TreasuryCategory.ExperimentalFund
       );
-      const largeProposalId = await dao.proposalCount();
-      
-      await dao.connect(member1).activateProposal(largeProposalId);
-      await dao.connect(member1).castVote(largeProposalId, VoteType.For);
-      await dao.connect(member2).castVote(largeProposalId, VoteType.For);
-      await dao.connect(member3).castVote(largeProposalId, VoteType.For);
+      const proposalId = await dao.proposalCount();
       
-      await time.increase(3 * 24 * 60 * 60 + 1);
-      await dao.queueProposal(largeProposalId);
-      await time.increase(12 * 60 * 60 + 1);
+      const data = dao.interface.encodeFunctionData("deprecateProposalType", [GRANTS]);
+      await expect(executeThroughHighConvictionProposal(data))
+        .to.emit(dao, "ProposalTypeDeprecated")
+        .withArgs(GRANTS);
+      await expect(executeThroughHighConvictionProposal(data)).to.be.revertedWith("Proposal type already deprecated");
       
+      expect((await dao.proposalTypes(GRANTS)).deprecated).to.be.true;
       await expect(
-        dao.executeProposal(largeProposalId)
-      ).to.be.revertedWith("Insufficient treasury funds");
+        dao.connect(member1).createProposal(
+          recipient.address, ONE_ETH, "After deprecation", GRANTS, TreasuryCategory.ExperimentalFund
+        )
+      ).to.be.revertedWith("Proposal type deprecated");
+      
+      // Proposals created before the deprecation keep going
+      await dao.connect(member1).activateProposal(proposalId);
+      await expect(staking.connect(member1).castVote(proposalId, VoteType.For)).to.emit(staking, "VoteCast");
+    });
+    
+    it("Should not deprecate the built-in proposal types", async function () {
+      for (const proposalType of Object.values(ProposalType)) {
+        const data = dao.interface.encodeFunctionData("deprecateProposalType", [proposalType]);
+        await expect(executeThroughHighConvictionProposal(data)).to.be.revertedWith("Cannot deprecate a built-in proposal type");
+      }
+      
+      expect((await dao.proposalTypes(ProposalType.HighConviction)).deprecated).to.be.false;
     });
   });
   
-  describe("Multi-Tier Treasury", function () {
-    it("Should allow deposits to different treasury categories", async function () {
-      await expect(dao.depositToTreasury(TreasuryCategory.HighConvictionFund, { value: ONE_ETH }))
-        .to.emit(dao, "TreasuryDeposit");
+  describe("Enumeration Views", function () {
+    let lens;
+    
+    beforeEach(async function () {
+      lens = await ethers.deployContract("DAOLens", [await dao.getAddress()]);
       
-      expect(await dao.treasuryBalances(TreasuryCategory.HighConvictionFund)).to.equal(ONE_ETH);
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
     });
     
-    it("Should track different proposal types with different requirements", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
+    async function createProposals(specs) {
+      for (const [proposalType, category] of specs) {
+        await dao.connect(member1).createProposal(recipient.address, ONE_ETH, "Proposal", proposalType, category);
+      }
+    }
+    
+    it("Should page through members with their stake, power and delegate", async function () {
+      await staking.connect(member1).registerDelegate("ipfs://member1", "");
+      await staking.connect(member3).delegateVotingPower(member1.address);
       
-      // Get configs for different types
-      const highConvictionConfig = await dao.proposalConfigs(ProposalType.HighConviction);
-      const experimentalConfig = await dao.proposalConfigs(ProposalType.Experimental);
-      const operationalConfig = await dao.proposalConfigs(ProposalType.Operational);
+      const page = await lens.getMembers(1, 5);
+      expect(page.map((member) => member.account)).to.deep.equal([member2.address, member3.address]);
+      expect(page[1].stake).to.equal(ONE_ETH);
+      expect(page[1].votingPower).to.equal(await staking.getVotingPower(member3.address));
+      expect(page[1].delegateTo).to.equal(member1.address);
       
-      // High conviction should have strictest requirements
-      expect(highConvictionConfig.quorumPercentage).to.be.greaterThan(experimentalConfig.quorumPercentage);
-      expect(experimentalConfig.quorumPercentage).to.be.greaterThan(operationalConfig.quorumPercentage);
+      expect(await lens.getMembers(0, 1)).to.have.lengthOf(1);
+      expect(await lens.getMembers(3, 5)).to.be.empty;
+    });
+    
+    it("Should remove members who withdraw all their stake", async function () {
+      const PROPOSER_ROLE = await dao.PROPOSER_ROLE();
       
-      expect(highConvictionConfig.approvalThreshold).to.be.greaterThan(experimentalConfig.approvalThreshold);
-      expect(experimentalConfig.approvalThreshold).to.be.greaterThan(operationalConfig.approvalThreshold);
+      await staking.connect(member3).withdrawStake(ONE_ETH / 2n);
+      expect(await staking.getMemberCount()).to.equal(3);
       
-      expect(highConvictionConfig.timelockDelay).to.be.greaterThan(experimentalConfig.timelockDelay);
-      expect(experimentalConfig.timelockDelay).to.be.greaterThan(operationalConfig.timelockDelay);
+      await staking.connect(member3).withdrawStake(ONE_ETH / 2n);
+      expect(await staking.getMemberCount()).to.equal(2);
+      expect(await dao.hasRole(PROPOSER_ROLE, member3.address)).to.be.false;
+      expect((await lens.getMembers(0, 10)).map((member) => member.account)).to.not.include(member3.address);
+      
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      expect(await staking.getMemberCount()).to.equal(3);
+      expect(await dao.hasRole(PROPOSER_ROLE, member3.address)).to.be.true;
     });
     
-    it("Should calculate total treasury balance correctly", async function () {
-      await dao.depositToTreasury(TreasuryCategory.HighConvictionFund, { value: ONE_ETH });
-      await dao.depositToTreasury(TreasuryCategory.ExperimentalFund, { value: ONE_ETH * 2n });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: ONE_ETH * 3n });
+    it("Should only prune accounts without stake", async function () {
+      await expect(staking.pruneMember(member1.address)).to.be.revertedWith("Member has stake");
+      
+      await staking.pruneMember(recipient.address);
+      expect(await staking.getMemberCount()).to.equal(3);
+    });
+    
+    it("Should page through proposals by state", async function () {
+      await createProposals([
+        [ProposalType.Operational, TreasuryCategory.OperationalFund],
+        [ProposalType.Operational, TreasuryCategory.OperationalFund],
+        [ProposalType.Operational, TreasuryCategory.OperationalFund]
+      ]);
+      await dao.connect(member1).activateProposal(2);
+      await dao.connect(member1).cancelProposal(3);
+      await dao.connect(member1).createProposal(
+        recipient.address, ONE_ETH, "Proposal", ProposalType.Operational, TreasuryCategory.OperationalFund
+      );
+      
+      expect(await lens.getProposalsByState(ProposalState.Pending, 0, 10)).to.deep.equal([1n, 4n]);
+      expect(await lens.getProposalsByState(ProposalState.Pending, 1, 10)).to.deep.equal([4n]);
+      expect(await lens.getProposalsByState(ProposalState.Pending, 0, 1)).to.deep.equal([1n]);
+      expect(await lens.getProposalsByState(ProposalState.Active, 0, 10)).to.deep.equal([2n]);
+      expect(await lens.getProposalsByState(ProposalState.Cancelled, 0, 10)).to.deep.equal([3n]);
+      expect(await lens.getProposalsByState(ProposalState.Executed, 0, 10)).to.be.empty;
+    });
+    
+    it("Should report queued proposals past their grace period as Expired", async function () {
+      await createProposals([[ProposalType.Operational, TreasuryCategory.OperationalFund]]);
+      await passProposal(1);
+      
+      expect(await lens.getProposalsByState(ProposalState.Queued, 0, 10)).to.deep.equal([1n]);
+      
+      await time.increase(14 * 24 * 60 * 60 + 1);
+      expect(await lens.getProposalsByState(ProposalState.Queued, 0, 10)).to.be.empty;
+      expect(await lens.getProposalsByState(ProposalState.Expired, 0, 10)).to.deep.equal([1n]);
+    });
+    
+    it("Should page through proposals by type", async function () {
+      await createProposals([
+        [ProposalType.Operational, TreasuryCategory.OperationalFund],
+        [ProposalType.Experimental, TreasuryCategory.ExperimentalFund],
+        [ProposalType.Operational, TreasuryCategory.OperationalFund],
+        [ProposalType.Optimistic, TreasuryCategory.OperationalFund]
+      ]);
       
-      expect(await dao.getTotalTreasuryBalance()).to.equal(ONE_ETH * 6n);
+      expect(await lens.getProposalsByType(ProposalType.Operational, 0, 10)).to.deep.equal([1n, 3n]);
+      expect(await lens.getProposalsByType(ProposalType.Operational, 1, 1)).to.deep.equal([3n]);
+      expect(await lens.getProposalsByType(ProposalType.Experimental, 0, 10)).to.deep.equal([2n]);
+      expect(await lens.getProposalsByType(ProposalType.HighConviction, 0, 10)).to.be.empty;
     });
   });
   
-  describe("Emergency Functions", function () {
-    let proposalId;
+  describe("DAO Lens", function () {
+    let lens;
     
     beforeEach(async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      lens = await ethers.deployContract("DAOLens", [await dao.getAddress()]);
+      
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
       
       await dao.connect(member1).createProposal(
-        recipient.address,
-        ONE_ETH,
-        "Test proposal",
-        ProposalType.Operational,
-        TreasuryCategory.OperationalFund
+        recipient.address, ONE_ETH, "Operational", ProposalType.Operational, TreasuryCategory.OperationalFund
+      );
+      await dao.connect(member1).createProposal(
+        recipient.address, ONE_ETH * 2n, "High Conviction", ProposalType.HighConviction, TreasuryCategory.HighConvictionFund
       );
-      proposalId = await dao.proposalCount();
-      await dao.connect(member1).activateProposal(proposalId);
     });
     
-    it("Should allow guardian to cancel queued proposals", async function () {
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await time.increase(3 * 24 * 60 * 60 + 1);
-      await dao.queueProposal(proposalId);
+    it("Should return full views for a range of proposals", async function () {
+      await passProposal(1);
+      await dao.executeProposal(1);
       
-      await expect(dao.connect(guardian).cancelProposal(proposalId))
-        .to.emit(dao, "ProposalCancelled");
+      const views = await lens.getProposals(1, 10);
+      expect(views).to.have.lengthOf(2);
       
-      expect(await dao.getProposalState(proposalId)).to.equal(ProposalState.Cancelled);
+      const proposal = await dao.proposals(1);
+      expect(views[0].id).to.equal(1);
+      expect(views[0].description).to.equal("Operational");
+      expect(views[0].category).to.equal(TreasuryCategory.OperationalFund);
+      expect(views[0].state).to.equal(ProposalState.Executed);
+      expect(views[0].queuedTime).to.equal(proposal.queuedTime);
+      expect(views[0].executedTime).to.equal(proposal.executedTime);
+      expect(views[0].earliestExecution).to.equal(proposal.queuedTime + BigInt(12 * 60 * 60));
+      
+      expect(views[1].amount).to.equal(ONE_ETH * 2n);
+      expect(views[1].state).to.equal(ProposalState.Pending);
+      expect(views[1].quorumReached).to.be.false;
+      expect(views[1].earliestExecution).to.equal(0);
+      
+      expect(await lens.getProposals(2, 10)).to.have.lengthOf(1);
+      expect(await lens.getProposals(3, 10)).to.be.empty;
     });
     
-    it("Should allow guardian to pause contract", async function () {
-      await expect(dao.connect(guardian).pause())
-        .to.emit(dao, "EmergencyPause");
+    it("Should report live quorum and approval of an active vote", async function () {
+      await dao.connect(member1).activateProposal(2);
       
-      await expect(
-        dao.connect(member2).joinDAO({ value: ONE_ETH })
-      ).to.be.revertedWithCustomError(dao, "EnforcedPause");
+      await staking.connect(member3).castVote(2, VoteType.For);
+      let [view] = await lens.getProposals(2, 1);
+      expect(view.quorumReached).to.be.false;
+      expect(view.approvalPercentage).to.equal(10000);
+      
+      await staking.connect(member2).castVote(2, VoteType.Against);
+      [view] = await lens.getProposals(2, 1);
+      expect(view.quorumReached).to.be.true;
+      expect(view.approvalPercentage).to.equal(
+        (view.forVotes * 10000n) / (view.forVotes + view.againstVotes)
+      );
     });
     
-    it("Should allow guardian to unpause contract", async function () {
-      await dao.connect(guardian).pause();
+    it("Should report the earliest time a proposal can execute", async function () {
+      await dao.connect(member1).activateProposal(1);
+      await staking.connect(member1).castVote(1, VoteType.For);
+      await staking.connect(member2).castVote(1, VoteType.For);
       
-      await expect(dao.connect(guardian).unpause())
-        .to.emit(dao, "EmergencyUnpause");
+      let [view] = await lens.getProposals(1, 1);
+      expect(view.earliestExecution).to.equal(view.endTime + 1n + BigInt(12 * 60 * 60));
       
-      // Should work again
-      await expect(dao.connect(member2).joinDAO({ value: ONE_ETH }))
-        .to.not.be.reverted;
+      await time.increaseTo(view.endTime + 1n);
+      await dao.queueProposal(1);
+      [view] = await lens.getProposals(1, 1);
+      
+      await time.setNextBlockTimestamp(view.earliestExecution - 1n);
+      await expect(dao.executeProposal(1)).to.be.revertedWith("Timelock period not elapsed");
+      await time.setNextBlockTimestamp(view.earliestExecution);
+      await expect(dao.executeProposal(1)).to.emit(dao, "ProposalExecuted");
     });
     
-    it("Should not allow non-guardian to cancel proposals", async function () {
-      await expect(
-        dao.connect(member1).cancelProposal(proposalId)
-      ).to.be.reverted; // AccessControl will revert
+    it("Should judge Optimistic proposals by the veto threshold", async function () {
+      await dao.connect(member1).createProposal(
+        recipient.address, ONE_ETH, "Optimistic", ProposalType.Optimistic, TreasuryCategory.OperationalFund
+      );
+      await dao.connect(member1).activateProposal(3);
+      
+      let [view] = await lens.getProposals(3, 1);
+      expect(view.quorumReached).to.be.true;
+      
+      await staking.connect(member2).castVote(3, VoteType.Against);
+      [view] = await lens.getProposals(3, 1);
+      expect(view.quorumReached).to.be.false;
+    });
+    
+    it("Should return a member's stake, power, delegation and votes", async function () {
+      await staking.connect(member1).registerDelegate("ipfs://member1", "");
+      await staking.connect(member3).delegateVotingPower(member1.address);
+      await dao.connect(member1).activateProposal(1);
+      await staking.connect(member1).castVote(1, VoteType.Against);
+      
+      const member = await lens.getMember(member1.address, [1, 2]);
+      expect(member.stake).to.equal(ONE_ETH * 5n);
+      expect(member.votingPower).to.equal(await staking.getVotingPower(member1.address));
+      expect(member.delegatedPower).to.equal(await staking.getVotingPower(member3.address));
+      expect(member.delegateTo).to.equal(ethers.ZeroAddress);
+      expect(member.votes.map((ballot) => [ballot.proposalId, ballot.hasVoted, ballot.voteType])).to.deep.equal([
+        [1n, true, BigInt(VoteType.Against)],
+        [2n, false, 0n]
+      ]);
+      
+      expect((await lens.getMember(member3.address, [])).delegateTo).to.equal(member1.address);
     });
   });
   
   describe("Role-Based Access Control", function () {
     it("Should grant proposer role to members who join", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
       
       const PROPOSER_ROLE = await dao.PROPOSER_ROLE();
       expect(await dao.hasRole(PROPOSER_ROLE, member1.address)).to.be.true;
     });
     
+    it("Should only let the staking module record votes and members", async function () {
+      await expect(
+        dao.connect(member1).setProposer(member1.address, true)
+      ).to.be.revertedWith("Only callable by the staking module");
+      await expect(
+        dao.connect(member1).recordVote(1, member1.address, VoteType.For, ONE_ETH)
+      ).to.be.revertedWith("Only callable by the staking module");
+      await expect(
+        dao.connect(member1).recordVoteChange(1, member1.address, VoteType.For, ONE_ETH)
+      ).to.be.revertedWith("Only callable by the staking module");
+    });
+    
     it("Should only allow executor role to execute proposals", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH * 5n });
-      await dao.connect(member2).joinDAO({ value: ONE_ETH * 5n });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
       
       await dao.connect(member1).createProposal(
         recipient.address,
@@ -588,8 +4243,8 @@ describe("CryptoVenturesDAO", function () {
       const proposalId = await dao.proposalCount();
       
       await dao.connect(member1).activateProposal(proposalId);
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.For);
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
       
       await time.increase(3 * 24 * 60 * 60 + 1);
       await dao.queueProposal(proposalId);
@@ -606,10 +4261,225 @@ describe("CryptoVenturesDAO", function () {
     });
   });
   
+  describe("Upgrades", function () {
+    let newImplementation;
+    
+    beforeEach(async function () {
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member3).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.HighConvictionFund, { value: TEN_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: ONE_ETH * 3n });
+      
+      newImplementation = await CryptoVenturesDAO.deploy();
+    });
+    
+    // Helper to pass and execute a High Conviction upgrade proposal, of the DAO unless a module is given
+    async function executeUpgrade(data, module, moduleImplementation) {
+      const proposalId = module
+        ? await proposeUpgrade(dao, member1, await moduleImplementation.getAddress(), data, await module.getAddress())
+        : await proposeUpgrade(dao, member1, await newImplementation.getAddress(), data);
+      await dao.connect(member1).activateProposal(proposalId);
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.For);
+      
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await dao.queueProposal(proposalId);
+      await time.increase(2 * 24 * 60 * 60 + 1);
+      return dao.executeProposal(proposalId);
+    }
+    
+    it("Should only be initialized once, and never on the implementation", async function () {
+      await expect(dao.initialize()).to.be.revertedWithCustomError(dao, "InvalidInitialization");
+      await expect(implementation.initialize()).to.be.revertedWithCustomError(dao, "InvalidInitialization");
+    });
+    
+    it("Should only upgrade through a passed proposal", async function () {
+      await expect(
+        dao.connect(owner).upgradeToAndCall(await newImplementation.getAddress(), "0x")
+      ).to.be.revertedWith("Only callable through a proposal");
+      await expect(
+        implementation.connect(owner).upgradeToAndCall(await newImplementation.getAddress(), "0x")
+      ).to.be.revertedWithCustomError(dao, "UUPSUnauthorizedCallContext");
+      expect(await getImplementation(await dao.getAddress())).to.equal(await implementation.getAddress());
+    });
+    
+    it("Should keep members, proposals and treasury balances across an upgrade", async function () {
+      await staking.connect(member2).registerDelegate("ipfs://member2", "");
+      await staking.connect(member3).delegateVotingPower(member2.address);
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "Open proposal",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      const openProposalId = await dao.proposalCount();
+      await dao.connect(member1).activateProposal(openProposalId);
+      await staking.connect(member1).castVote(openProposalId, VoteType.For);
+      await staking.connect(member2).castVote(openProposalId, VoteType.For);
+      
+      const member2Before = await staking.members(member2.address);
+      const proposalBefore = await dao.getProposalDetails(openProposalId);
+      const totalStaked = await staking.totalStaked();
+      const totalStakePower = await staking.totalStakePower();
+      const highConvictionFund = await vault.treasuryBalances(TreasuryCategory.HighConvictionFund);
+      const balance = await ethers.provider.getBalance(await dao.getAddress());
+      
+      await expect(executeUpgrade())
+        .to.emit(dao, "Upgraded")
+        .withArgs(await newImplementation.getAddress());
+      expect(await getImplementation(await dao.getAddress())).to.equal(await newImplementation.getAddress());
+      
+      expect(await staking.members(member2.address)).to.deep.equal(member2Before);
+      expect(await dao.getProposalDetails(openProposalId)).to.deep.equal(proposalBefore);
+      expect(await staking.getMemberCount()).to.equal(3);
+      expect(await staking.totalStaked()).to.equal(totalStaked);
+      expect(await staking.totalStakePower()).to.equal(totalStakePower);
+      expect(await vault.treasuryBalances(TreasuryCategory.HighConvictionFund)).to.equal(highConvictionFund);
+      expect(await ethers.provider.getBalance(await dao.getAddress())).to.equal(balance);
+      expect(await dao.hasRole(await dao.GUARDIAN_ROLE(), guardian.address)).to.be.true;
+      
+      // The proposal voted on before the upgrade carries on under the new implementation
+      await dao.queueProposal(openProposalId);
+      await time.increase(12 * 60 * 60 + 1);
+      await expect(dao.executeProposal(openProposalId)).to.changeEtherBalance(recipient, ONE_ETH);
+    });
+    
+    it("Should make the migration call with the upgrade", async function () {
+      const migration = dao.interface.encodeFunctionData("setGracePeriod", [30 * 24 * 60 * 60]);
+      
+      await expect(executeUpgrade(migration))
+        .to.emit(dao, "GracePeriodUpdated")
+        .withArgs(30 * 24 * 60 * 60);
+      expect(await dao.gracePeriod()).to.equal(30 * 24 * 60 * 60);
+    });
+    
+    it("Should only upgrade, change roles, proposal types or the veto threshold or reconfigure HighConviction through HighConviction proposals", async function () {
+      const daoAddress = await dao.getAddress();
+      const privilegedCalls = [
+        dao.interface.encodeFunctionData("upgradeToAndCall", [await newImplementation.getAddress(), "0x"]),
+        dao.interface.encodeFunctionData("grantRole", [await dao.DEFAULT_ADMIN_ROLE(), member1.address]),
+        dao.interface.encodeFunctionData("revokeRole", [await dao.GUARDIAN_ROLE(), guardian.address]),
+        dao.interface.encodeFunctionData("updateProposalConfig", [
+          ProposalType.HighConviction, 24 * 60 * 60, 1000, 0, 6 * 60 * 60
+        ]),
+        dao.interface.encodeFunctionData("registerProposalType", [
+          "Drain", TreasuryCategory.HighConvictionFund, MINIMUM_STAKE, 24 * 60 * 60, 1000, 0, 6 * 60 * 60
+        ]),
+        dao.interface.encodeFunctionData("deprecateProposalType", [ProposalType.HighConviction]),
+        dao.interface.encodeFunctionData("setVetoThreshold", [2500])
+      ];
+      
+      for (const data of privilegedCalls) {
+        for (const [proposalType, category] of [
+          [ProposalType.Operational, TreasuryCategory.OperationalFund],
+          [ProposalType.Experimental, TreasuryCategory.ExperimentalFund]
+        ]) {
+          await expect(
+            dao.connect(member1).propose([daoAddress], [0], [data], "Takeover", proposalType, category)
+          ).to.be.revertedWith("Requires a HighConviction proposal");
+        }
+      }
+      
+      // Other types can still reconfigure themselves
+      const data = dao.interface.encodeFunctionData("updateProposalConfig", [
+        ProposalType.Operational, 4 * 24 * 60 * 60, 1500, 5000, 12 * 60 * 60
+      ]);
+      await expect(executeThroughProposal(data)).to.emit(dao, "ProposalConfigUpdated");
+      
+      await expect(executeThroughHighConvictionProposal(privilegedCalls[1]))
+        .to.emit(dao, "RoleGranted");
+    });
+    
+    it("Should upgrade the staking module, vault and timelock and keep their state", async function () {
+      const member1Before = await staking.members(member1.address);
+      const totalStaked = await staking.totalStaked();
+      const stakingBalance = await ethers.provider.getBalance(await staking.getAddress());
+      const highConvictionFund = await vault.treasuryBalances(TreasuryCategory.HighConvictionFund);
+      const vaultBalance = await ethers.provider.getBalance(await vault.getAddress());
+      
+      for (const [module, name] of [[staking, "StakingModule"], [vault, "TreasuryVault"], [timelock, "DAOTimelock"]]) {
+        const moduleImplementation = await deployImplementation(libraries, name);
+        await expect(executeUpgrade("0x", module, moduleImplementation))
+          .to.emit(module, "Upgraded")
+          .withArgs(await moduleImplementation.getAddress());
+        expect(await getImplementation(await module.getAddress())).to.equal(await moduleImplementation.getAddress());
+        expect(await module.dao()).to.equal(await dao.getAddress());
+      }
+      
+      expect(await staking.members(member1.address)).to.deep.equal(member1Before);
+      expect(await staking.totalStaked()).to.equal(totalStaked);
+      expect(await ethers.provider.getBalance(await staking.getAddress())).to.equal(stakingBalance);
+      expect(await vault.treasuryBalances(TreasuryCategory.HighConvictionFund)).to.equal(highConvictionFund);
+      expect(await ethers.provider.getBalance(await vault.getAddress())).to.equal(vaultBalance);
+      
+      // Proposals keep flowing through the upgraded modules
+      await dao.connect(member1).createProposal(
+        recipient.address,
+        ONE_ETH,
+        "After the upgrade",
+        ProposalType.Operational,
+        TreasuryCategory.OperationalFund
+      );
+      await passProposal(await dao.proposalCount());
+      await expect(dao.executeProposal(await dao.proposalCount())).to.changeEtherBalance(recipient, ONE_ETH);
+    });
+    
+    it("Should only upgrade the staking module, vault and timelock through HighConviction proposals", async function () {
+      for (const [module, name] of [[staking, "StakingModule"], [vault, "TreasuryVault"], [timelock, "DAOTimelock"]]) {
+        const moduleImplementation = await deployImplementation(libraries, name);
+        const moduleAddress = await module.getAddress();
+        const data = module.interface.encodeFunctionData("upgradeToAndCall", [
+          await moduleImplementation.getAddress(),
+          "0x"
+        ]);
+        
+        await expect(module.connect(owner).upgradeToAndCall(await moduleImplementation.getAddress(), "0x"))
+          .to.be.revertedWith("Only callable through a proposal");
+        await expect(
+          dao.connect(member1).propose(
+            [moduleAddress], [0], [data], "Upgrade", ProposalType.Operational, TreasuryCategory.OperationalFund
+          )
+        ).to.be.revertedWith("Requires a HighConviction proposal");
+        
+        await expect(module.initialize(await dao.getAddress()))
+          .to.be.revertedWithCustomError(module, "InvalidInitialization");
+        await expect(moduleImplementation.initialize(await dao.getAddress()))
+          .to.be.revertedWithCustomError(module, "InvalidInitialization");
+      }
+      
+      // The timelock takes no other call from a proposal
+      const data = timelock.interface.encodeFunctionData("cancel", [1]);
+      await expect(
+        dao.connect(member1).propose(
+          [await timelock.getAddress()],
+          [0],
+          [data],
+          "Cancel",
+          ProposalType.HighConviction,
+          TreasuryCategory.HighConvictionFund,
+          { value: await dao.proposalBonds(ProposalType.HighConviction) }
+        )
+      ).to.be.revertedWith("Not a timelock governance call");
+    });
+    
+    it("Should not upgrade to an address without code or to a non-UUPS contract", async function () {
+      let data = dao.interface.encodeFunctionData("upgradeToAndCall", [recipient.address, "0x"]);
+      await expect(executeThroughHighConvictionProposal(data)).to.be.revertedWithCustomError(dao, "FailedCall");
+      
+      data = dao.interface.encodeFunctionData("upgradeToAndCall", [await vault.getAddress(), "0x"]);
+      await expect(executeThroughHighConvictionProposal(data))
+        .to.be.revertedWithCustomError(dao, "ERC1967InvalidImplementation")
+        .withArgs(await vault.getAddress());
+      expect(await getImplementation(await dao.getAddress())).to.equal(await implementation.getAddress());
+    });
+  });
+  
   describe("Edge Cases", function () {
     it("Should handle proposals with zero votes", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
       
       await dao.connect(member1).createProposal(
         recipient.address,
@@ -628,9 +4498,9 @@ describe("CryptoVenturesDAO", function () {
     });
     
     it("Should handle tie in voting results", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH });
-      await dao.connect(member2).joinDAO({ value: ONE_ETH });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
       
       await dao.connect(member1).createProposal(
         recipient.address,
@@ -642,8 +4512,8 @@ describe("CryptoVenturesDAO", function () {
       const proposalId = await dao.proposalCount();
       await dao.connect(member1).activateProposal(proposalId);
       
-      await dao.connect(member1).castVote(proposalId, VoteType.For);
-      await dao.connect(member2).castVote(proposalId, VoteType.Against);
+      await staking.connect(member1).castVote(proposalId, VoteType.For);
+      await staking.connect(member2).castVote(proposalId, VoteType.Against);
       
       await time.increase(3 * 24 * 60 * 60 + 1);
       
@@ -655,9 +4525,9 @@ describe("CryptoVenturesDAO", function () {
     });
     
     it("Should handle abstain-only votes", async function () {
-      await dao.connect(member1).joinDAO({ value: ONE_ETH * 5n });
-      await dao.connect(member2).joinDAO({ value: ONE_ETH * 5n });
-      await dao.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
+      await staking.connect(member1).joinDAO({ value: ONE_ETH * 5n });
+      await staking.connect(member2).joinDAO({ value: ONE_ETH * 5n });
+      await vault.depositToTreasury(TreasuryCategory.OperationalFund, { value: TEN_ETH });
       
       await dao.connect(member1).createProposal(
         recipient.address,
@@ -669,8 +4539,8 @@ describe("CryptoVenturesDAO", function () {
       const proposalId = await dao.proposalCount();
       await dao.connect(member1).activateProposal(proposalId);
       
-      await dao.connect(member1).castVote(proposalId, VoteType.Abstain);
-      await dao.connect(member2).castVote(proposalId, VoteType.Abstain);
+      await staking.connect(member1).castVote(proposalId, VoteType.Abstain);
+      await staking.connect(member2).castVote(proposalId, VoteType.Abstain);
       
       await time.increase(3 * 24 * 60 * 60 + 1);
       
@@ -680,6 +4550,89 @@ describe("CryptoVenturesDAO", function () {
     });
   });
   
+  // Helper to activate, pass and queue an Operational proposal voted For by member1 and member2
+  async function passProposal(proposalId) {
+    await dao.connect(member1).activateProposal(proposalId);
+    await staking.connect(member1).castVote(proposalId, VoteType.For);
+    await staking.connect(member2).castVote(proposalId, VoteType.For);
+    
+    await time.increase(3 * 24 * 60 * 60 + 1);
+    await dao.queueProposal(proposalId);
+    await time.increase(12 * 60 * 60 + 1);
+  }
+  
+  // Helper to pass and execute an Operational proposal in which the DAO calls itself, or target
+  async function executeThroughProposal(data, target) {
+    await dao.connect(member1).propose(
+      [target || await dao.getAddress()],
+      [0],
+      [data],
+      "Governance call",
+      ProposalType.Operational,
+      TreasuryCategory.OperationalFund,
+      { value: await dao.proposalBonds(ProposalType.Operational) }
+    );
+    const proposalId = await dao.proposalCount();
+    await passProposal(proposalId);
+    return dao.executeProposal(proposalId);
+  }
+  
+  // Helper to pass and execute a High Conviction proposal in which the DAO calls itself
+  async function executeThroughHighConvictionProposal(data) {
+    await dao.connect(member1).propose(
+      [await dao.getAddress()],
+      [0],
+      [data],
+      "Privileged governance call",
+      ProposalType.HighConviction,
+      TreasuryCategory.HighConvictionFund,
+      { value: await dao.proposalBonds(ProposalType.HighConviction) }
+    );
+    const proposalId = await dao.proposalCount();
+    await dao.connect(member1).activateProposal(proposalId);
+    await staking.connect(member1).castVote(proposalId, VoteType.For);
+    await staking.connect(member2).castVote(proposalId, VoteType.For);
+    
+    await time.increase(7 * 24 * 60 * 60 + 1);
+    await dao.queueProposal(proposalId);
+    await time.increase(2 * 24 * 60 * 60 + 1);
+    return dao.executeProposal(proposalId);
+  }
+  
+  // Helper to sign an EIP-712 ballot for castVoteBySig
+  async function signBallot(signer, proposalId, voteType, nonce, deadline) {
+    const domain = {
+      name: "CryptoVenturesDAO",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await dao.getAddress()
+    };
+    const types = {
+      Ballot: [
+        { name: "proposalId", type: "uint256" },
+        { name: "voteType", type: "uint8" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    
+    return signer.signTypedData(domain, types, {
+      proposalId,
+      voteType,
+      voter: signer.address,
+      nonce,
+      deadline
+    });
+  }
+  
+  // Expected voting power of an account's stake, or of `stake` staked since the same time,
+  // at a timestamp with the age bonus it has grown by then
+  async function votingPowerAt(account, timepoint, stake) {
+    const member = await staking.members(account);
+    return Helpers.calculateVotingPower(stake ?? member.stake, member.stakeSince, timepoint, member.lockDuration);
+  }
+  
   // Helper function to calculate expected voting power
   async function calculateVotingPower(stake) {
     const VOTING_POWER_COEFFICIENT = 100n;